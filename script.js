@@ -23,6 +23,14 @@ class InputSanitizer {
         return div.innerHTML;
     }
     
+    // Escape text for element content and quoted attribute values
+    static escapeHTML(input) {
+        if (input === null || input === undefined) return '';
+        
+        const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+        return String(input).replace(/[&<>"']/g, char => entities[char]);
+    }
+    
     static validateEmail(email) {
         const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
         return emailRegex.test(email);
@@ -38,6 +46,14 @@ class InputSanitizer {
     }
 }
 
+// Event data that failed validation; the message lists the problems for the user
+class ValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ValidationError';
+    }
+}
+
 // Enhanced Validation System
 class FormValidator {
     static rules = {
@@ -60,7 +76,7 @@ class FormValidator {
             const ruleFunction = this.rules[ruleName];
             
             if (!ruleFunction) {
-                errors.push(`Unknown validation rule: ${ruleName}`);
+                errors.push(I18n.t('validation.unknownRule', { rule: ruleName }));
                 continue;
             }
             
@@ -80,19 +96,11 @@ class FormValidator {
     }
     
     static getErrorMessage(rule, fieldName, params) {
-        const messages = {
-            required: `${fieldName} is required`,
-            minLength: `${fieldName} must be at least ${params[0]} characters`,
-            maxLength: `${fieldName} must be no more than ${params[0]} characters`,
-            email: `Please enter a valid email address`,
-            url: `Please enter a valid URL`,
-            date: `Please enter a valid date`,
-            time: `Please enter a valid time`,
-            numeric: `${fieldName} must be a number`,
-            pattern: `${fieldName} format is invalid`
-        };
+        // Field names are shown with their translated label (see the field.* messages) where there is one
+        const field = I18n.has(`field.${fieldName}`) ? I18n.t(`field.${fieldName}`) : fieldName;
+        const key = I18n.has(`validation.${rule}`) ? `validation.${rule}` : 'validation.invalid';
         
-        return messages[rule] || `${fieldName} is invalid`;
+        return I18n.t(key, { field, min: params[0], max: params[0] });
     }
     
     static validateForm(formData, schema) {
@@ -118,14 +126,33 @@ class FormValidator {
 
 // Event Class Definition
 class Event {
+    // Categories offered by the event forms
+    static categories = ['work', 'personal', 'health', 'education', 'social', 'travel', 'general'];
+    
+    // Reminder offsets (minutes before the start) offered by the event forms
+    static reminderPresets = [0, 5, 10, 15, 30, 60, 120, 1440, 2880, 10080];
+    static maxReminderMinutes = 4 * 7 * 24 * 60;
+    
+    // Absence types; only vacation counts against the yearly allowance (see CalendarApp.getAbsenceBalances)
+    static absenceTypes = ['vacation', 'sick', 'comp'];
+    
     constructor(data = {}) {
         this.id = data.id || Event.generateId();
         this.title = InputSanitizer.sanitizeText(data.title || '');
         this.description = InputSanitizer.sanitizeText(data.description || '');
         this.date = data.date || '';
+        this.endDate = data.endDate && data.endDate !== data.date ? data.endDate : ''; // Empty for single-day events
         this.startTime = data.startTime || '';
         this.endTime = data.endTime || '';
-        this.category = data.category || 'general';
+        this.timeZone = data.timeZone || ''; // IANA zone of the date and times; empty for floating events
+        this.category = Event.categories.includes(data.category) ? data.category : 'general'; // Also a CSS class
+        this.recurrence = RecurrenceRule.normalize(data.recurrence);
+        this.exceptions = data.exceptions ? { ...data.exceptions } : {}; // Keyed by original occurrence date
+        this.reminders = Event.normalizeReminders(data.reminders); // Minutes before the start, ascending
+        this.showWorkingDays = Boolean(data.showWorkingDays); // Count down the working days in the details
+        this.absenceType = data.absenceType || ''; // One of Event.absenceTypes for absences, empty otherwise
+        this.person = InputSanitizer.sanitizeText(data.person || ''); // Who is absent
+        this.recurrenceId = null; // Set on expanded occurrences of a recurring series
         this.createdAt = data.createdAt || new Date().toISOString();
         this.updatedAt = data.updatedAt || new Date().toISOString();
     }
@@ -140,23 +167,48 @@ class Event {
         const errors = [];
         
         if (!this.title || this.title.trim().length === 0) {
-            errors.push('Event title is required');
+            errors.push(I18n.t('validation.titleRequired'));
         }
         
         if (!this.date || !Event.isValidDate(this.date)) {
-            errors.push('Valid event date is required');
+            errors.push(I18n.t('validation.dateRequired'));
         }
         
         if (this.startTime && !Event.isValidTime(this.startTime)) {
-            errors.push('Invalid start time format');
+            errors.push(I18n.t('validation.startTime'));
         }
         
         if (this.endTime && !Event.isValidTime(this.endTime)) {
-            errors.push('Invalid end time format');
+            errors.push(I18n.t('validation.endTime'));
+        }
+        
+        if (this.timeZone && !TimeZoneUtils.isValidTimeZone(this.timeZone)) {
+            errors.push(I18n.t('validation.timeZone', { timeZone: this.timeZone }));
+        }
+        
+        if (this.endDate && !Event.isValidDate(this.endDate)) {
+            errors.push(I18n.t('validation.endDate'));
+        } else {
+            const rangeError = Event.getTimeRangeError(this.date, this.startTime, this.endDate, this.endTime);
+            if (rangeError) {
+                errors.push(rangeError);
+            }
         }
         
-        if (this.startTime && this.endTime && this.startTime >= this.endTime) {
-            errors.push('End time must be after start time');
+        errors.push(...RecurrenceRule.validate(this.recurrence, this.date));
+        
+        if (this.reminders.some(minutes => !Number.isInteger(minutes) || minutes < 0 || minutes > Event.maxReminderMinutes)) {
+            errors.push(I18n.t('validation.reminders'));
+        }
+        
+        if (!Event.categories.includes(this.category)) {
+            errors.push(I18n.t('validation.category', { category: this.category }));
+        }
+        
+        if (this.absenceType && !Event.absenceTypes.includes(this.absenceType)) {
+            errors.push(I18n.t('validation.absenceType', { type: this.absenceType }));
+        } else if (this.absenceType && !this.person) {
+            errors.push(I18n.t('validation.absencePerson'));
         }
         
         return {
@@ -165,14 +217,30 @@ class Event {
         };
     }
     
-    // Validate date format (YYYY-MM-DD)
+    // Validate date format (YYYY-MM-DD); checked in UTC so days like 2025-02-30 fail in every time zone
     static isValidDate(dateString) {
         if (!dateString) return false;
         const regex = /^\d{4}-\d{2}-\d{2}$/;
         if (!regex.test(dateString)) return false;
         
-        const date = new Date(dateString);
-        return date instanceof Date && !isNaN(date);
+        const { year, month, day } = DateUtils.parseDate(dateString);
+        const date = new Date(Date.UTC(year, month, day));
+        return date.getUTCFullYear() === year && date.getUTCMonth() === month && date.getUTCDate() === day;
+    }
+    
+    // Check that an event ends after it starts; returns an error message or null.
+    // Events ending on a later day (e.g. night shifts 22:00-06:00) may have an earlier end time.
+    static getTimeRangeError(date, startTime, endDate, endTime) {
+        if (endDate && date && endDate < date) {
+            return I18n.t('validation.endDateBeforeStart');
+        }
+        
+        const isSameDay = !endDate || endDate === date;
+        if (isSameDay && startTime && endTime && startTime >= endTime) {
+            return I18n.t('validation.endTimeBeforeStart');
+        }
+        
+        return null;
     }
     
     // Validate time format (HH:MM)
@@ -182,10 +250,29 @@ class Event {
         return regex.test(timeString);
     }
     
+    // Turn reminder offsets into sorted, distinct numbers (invalid entries are left for validate)
+    static normalizeReminders(reminders) {
+        if (!Array.isArray(reminders)) return [];
+        return [...new Set(reminders.map(Number))].sort((a, b) => a - b);
+    }
+    
+    // Describe a reminder offset, e.g. "10 minutes before" or "1 day before"
+    static describeReminder(minutes) {
+        if (minutes === 0) return I18n.t('reminder.atStart');
+        
+        const units = [[7 * 24 * 60, 'weeks'], [24 * 60, 'days'], [60, 'hours'], [1, 'minutes']];
+        const [size, unit] = units.find(([size]) => minutes % size === 0);
+        return I18n.t(`reminder.${unit}`, { count: minutes / size });
+    }
+    
     // Update event data
     update(data) {
         Object.keys(data).forEach(key => {
-            if (key !== 'id' && key !== 'createdAt' && this.hasOwnProperty(key)) {
+            if (key === 'recurrence') {
+                this.recurrence = RecurrenceRule.normalize(data.recurrence);
+            } else if (key === 'reminders') {
+                this.reminders = Event.normalizeReminders(data.reminders);
+            } else if (key !== 'id' && key !== 'createdAt' && key !== 'recurrenceId' && this.hasOwnProperty(key)) {
                 this[key] = data[key];
             }
         });
@@ -199,9 +286,17 @@ class Event {
             title: this.title,
             description: this.description,
             date: this.date,
+            endDate: this.endDate,
             startTime: this.startTime,
             endTime: this.endTime,
+            timeZone: this.timeZone,
             category: this.category,
+            recurrence: this.recurrence,
+            exceptions: this.exceptions,
+            reminders: this.reminders,
+            showWorkingDays: this.showWorkingDays,
+            absenceType: this.absenceType,
+            person: this.person,
             createdAt: this.createdAt,
             updatedAt: this.updatedAt
         };
@@ -221,1483 +316,8067 @@ class Event {
             timeStr += ` - ${this.endTime}`;
         }
         
+        const extraDays = this.getDurationInDays();
+        if (extraDays > 0) {
+            timeStr += ` (${I18n.t('event.extraDays', { count: extraDays })})`;
+        }
+        
         return timeStr;
     }
     
-    // Check if event is all-day
-    isAllDay() {
-        return !this.startTime && !this.endTime;
+    // Get the last day the event covers
+    getEndDate() {
+        return this.endDate || this.date;
     }
-}
-
-// EventManager Class for CRUD operations
-class EventManager {
-    constructor(storageManager = null) {
-        this.events = new Map(); // Use Map for efficient lookups
-        this.eventsByDate = new Map(); // Index events by date for quick calendar rendering
-        this.storageManager = storageManager;
-        
-        // Load existing events from storage
-        this.loadFromStorage();
+    
+    // Number of days after the start date that the event continues
+    getDurationInDays() {
+        return this.endDate ? DateUtils.daysBetween(this.date, this.endDate) : 0;
     }
     
-    // Create a new event
-    create(eventData) {
-        const event = new Event(eventData);
-        const validation = event.validate();
-        
-        if (!validation.isValid) {
-            throw new Error(`Event validation failed: ${validation.errors.join(', ')}`);
+    // Total duration in minutes (all-day events count as whole days)
+    getDurationInMinutes() {
+        const extraMinutes = this.getDurationInDays() * 24 * 60;
+        if (!this.startTime) {
+            return extraMinutes + 24 * 60;
         }
         
-        this.events.set(event.id, event);
-        this.indexEventByDate(event);
-        this.saveToStorage();
-        
-        return event;
+        const start = DateUtils.timeToMinutes(this.startTime);
+        const end = this.endTime ? DateUtils.timeToMinutes(this.endTime) : start;
+        return extraMinutes + end - start;
     }
     
-    // Get event by ID
-    getById(id) {
-        return this.events.get(id) || null;
+    // Check if event spans more than one calendar day
+    isMultiDay() {
+        return this.getDurationInDays() > 0;
     }
     
-    // Get all events
-    getAll() {
-        return Array.from(this.events.values());
+    // Get every date (YYYY-MM-DD) the event covers
+    getDates() {
+        const dates = [];
+        for (let date = this.date; date <= this.getEndDate(); date = DateUtils.addDays(date, 1)) {
+            dates.push(date);
+        }
+        return dates;
     }
     
-    // Get events for a specific date
-    getByDate(date) {
-        return this.eventsByDate.get(date) || [];
+    // Check if event is all-day
+    isAllDay() {
+        return !this.startTime && !this.endTime;
     }
     
-    // Get events for a date range
-    getByDateRange(startDate, endDate) {
-        const events = [];
-        const start = new Date(startDate);
-        const end = new Date(endDate);
+    // Copy of this instance with its date and times expressed in another time zone (e.g. the viewer's).
+    // Floating and all-day events look the same everywhere and are returned unchanged.
+    toTimeZone(timeZone) {
+        if (!this.timeZone || !timeZone || this.timeZone === timeZone || !this.startTime) {
+            return this;
+        }
+        
+        const start = TimeZoneUtils.convert(this.date, this.startTime, this.timeZone, timeZone);
+        const end = this.endTime
+            ? TimeZoneUtils.convert(this.getEndDate(), this.endTime, this.timeZone, timeZone)
+            : { date: DateUtils.addDays(start.date, this.getDurationInDays()), time: '' };
+        const converted = new Event({
+            ...this.toJSON(),
+            date: start.date,
+            startTime: start.time,
+            endDate: end.date,
+            endTime: end.time,
+            timeZone
+        });
         
-        for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
-            const dateKey = DateUtils.formatDate(d.getFullYear(), d.getMonth(), d.getDate());
-            const dayEvents = this.getByDate(dateKey);
-            events.push(...dayEvents);
+        converted.recurrenceId = this.recurrenceId;
+        if (this.isException !== undefined) {
+            converted.isException = this.isException;
         }
-        
-        return events;
+        return converted;
     }
     
-    // Update an existing event
-    update(id, eventData) {
-        const event = this.events.get(id);
-        if (!event) {
-            throw new Error(`Event with ID ${id} not found`);
-        }
-        
-        // Remove from old date index if date is changing
-        const oldDate = event.date;
-        event.update(eventData);
-        
-        const validation = event.validate();
-        if (!validation.isValid) {
-            throw new Error(`Event validation failed: ${validation.errors.join(', ')}`);
-        }
-        
-        // Update date index if date changed
-        if (oldDate !== event.date) {
-            this.removeEventFromDateIndex(event.id, oldDate);
-            this.indexEventByDate(event);
-        }
-        
-        this.saveToStorage();
-        return event;
+    // Check if event is an absence (vacation, sick leave or comp time)
+    isAbsence() {
+        return Boolean(this.absenceType);
     }
     
-    // Delete an event
-    delete(id) {
-        const event = this.events.get(id);
-        if (!event) {
-            throw new Error(`Event with ID ${id} not found`);
+    // Working days (see WorkingDays) from the first to the last day, optionally only those within a year
+    getWorkingDays(year = null) {
+        let start = this.date;
+        let end = this.getEndDate();
+        if (year !== null) {
+            start = start > DateUtils.formatDate(year, 0, 1) ? start : DateUtils.formatDate(year, 0, 1);
+            end = end < DateUtils.formatDate(year, 11, 31) ? end : DateUtils.formatDate(year, 11, 31);
         }
-        
-        this.events.delete(id);
-        this.removeEventFromDateIndex(id, event.date);
-        this.saveToStorage();
-        
-        return true;
+        return start > end ? 0 : WorkingDays.countWorkingDays(DateUtils.addDays(start, -1), end);
     }
     
-    // Get events by category
-    getByCategory(category) {
-        return this.getAll().filter(event => event.category === category);
+    // Check if event repeats
+    isRecurring() {
+        return this.recurrence !== null;
     }
     
-    // Search events by title or description
-    search(query) {
-        const searchTerm = query.toLowerCase();
-        return this.getAll().filter(event => 
-            event.title.toLowerCase().includes(searchTerm) ||
-            event.description.toLowerCase().includes(searchTerm)
-        );
+    // Check if this instance is a single occurrence of a recurring series
+    isOccurrence() {
+        return this.recurrenceId !== null;
     }
     
-    // Get event count for a date
-    getEventCountForDate(date) {
-        const events = this.getByDate(date);
-        return events.length;
+    // Build the occurrence of this series that was originally scheduled on recurrenceId
+    createOccurrence(recurrenceId) {
+        const exception = this.exceptions[recurrenceId] || {};
+        const date = exception.date || recurrenceId;
+        const extraDays = this.getDurationInDays();
+        const occurrence = new Event({
+            ...this.toJSON(),
+            ...exception,
+            id: this.id,
+            date: date,
+            endDate: exception.endDate || (extraDays > 0 ? DateUtils.addDays(date, extraDays) : '')
+        });
+        
+        occurrence.recurrenceId = recurrenceId;
+        occurrence.isException = Object.keys(exception).length > 0;
+        return occurrence;
     }
+}
+
+// Recurrence rule helper (subset of RFC 5545 RRULE: FREQ, INTERVAL, BYDAY, COUNT, UNTIL)
+class RecurrenceRule {
+    static frequencies = ['daily', 'weekly', 'monthly', 'yearly'];
     
-    // Check if a date has events
-    hasEventsOnDate(date) {
-        return this.getEventCountForDate(date) > 0;
-    }
+    // Weekday codes in Monday=0 order, matching DateUtils.getWeekday
+    static weekdays = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
     
-    // Private method to index events by date
-    indexEventByDate(event) {
-        if (!this.eventsByDate.has(event.date)) {
-            this.eventsByDate.set(event.date, []);
-        }
+    // Normalize raw rule data into a consistent shape (or null for "does not repeat")
+    static normalize(rule) {
+        if (!rule || !rule.freq) return null;
         
-        const dateEvents = this.eventsByDate.get(event.date);
-        // Remove existing event if updating
-        const existingIndex = dateEvents.findIndex(e => e.id === event.id);
-        if (existingIndex !== -1) {
-            dateEvents[existingIndex] = event;
-        } else {
-            dateEvents.push(event);
-        }
+        const freq = String(rule.freq).toLowerCase();
+        const count = parseInt(rule.count, 10);
+        const byDay = Array.isArray(rule.byDay)
+            ? rule.byDay.map(day => String(day).toUpperCase().trim()).filter(Boolean)
+            : [];
         
-        // Sort events by start time
-        dateEvents.sort((a, b) => {
-            if (!a.startTime && !b.startTime) return 0;
-            if (!a.startTime) return -1;
-            if (!b.startTime) return 1;
-            return a.startTime.localeCompare(b.startTime);
-        });
+        return {
+            freq: freq,
+            interval: Math.max(1, parseInt(rule.interval, 10) || 1),
+            byDay: byDay,
+            count: count > 0 ? count : null,
+            until: rule.until || null
+        };
     }
     
-    // Private method to remove event from date index
-    removeEventFromDateIndex(eventId, date) {
-        if (!this.eventsByDate.has(date)) return;
+    // Validate a normalized rule against the series start date
+    static validate(rule, startDate) {
+        const errors = [];
+        if (!rule) return errors;
+        
+        if (!this.frequencies.includes(rule.freq)) {
+            errors.push(I18n.t('recurrence.invalidFrequency', { freq: rule.freq }));
+        }
+        
+        const invalidDays = rule.byDay.filter(day => !this.parseByDay(day));
+        if (invalidDays.length > 0) {
+            errors.push(I18n.t('recurrence.invalidWeekday', { days: invalidDays.join(', ') }));
+        }
         
-        const dateEvents = this.eventsByDate.get(date);
-        const index = dateEvents.findIndex(e => e.id === eventId);
-        if (index !== -1) {
-            dateEvents.splice(index, 1);
+        if (rule.count && rule.until) {
+            errors.push(I18n.t('recurrence.countAndUntil'));
         }
         
-        // Clean up empty date entries
-        if (dateEvents.length === 0) {
-            this.eventsByDate.delete(date);
+        if (rule.until) {
+            if (!Event.isValidDate(rule.until)) {
+                errors.push(I18n.t('recurrence.invalidUntil'));
+            } else if (startDate && rule.until < startDate) {
+                errors.push(I18n.t('recurrence.untilBeforeStart'));
+            }
         }
+        
+        return errors;
     }
     
-    // Export all events to JSON
-    exportToJSON() {
+    // Parse a BYDAY entry such as "MO", "2TU" or "-1FR"
+    static parseByDay(value) {
+        const match = /^([+-]?\d{1,2})?(MO|TU|WE|TH|FR|SA|SU)$/.exec(value);
+        if (!match) return null;
+        
         return {
-            events: this.getAll().map(event => event.toJSON()),
-            exportDate: new Date().toISOString()
+            ordinal: match[1] ? parseInt(match[1], 10) : 0,
+            weekday: this.weekdays.indexOf(match[2])
         };
     }
     
-    // Import events from JSON
-    importFromJSON(jsonData) {
-        if (!jsonData.events || !Array.isArray(jsonData.events)) {
-            throw new Error('Invalid JSON format for events import');
-        }
+    // Get the original occurrence dates (recurrence IDs) of an event between two dates, inclusive.
+    // Exceptions are not applied here; COUNT always counts from the series start.
+    static expand(event, fromDate, toDate) {
+        const rule = event.recurrence;
+        if (!rule || !event.date) return [];
         
-        const importedEvents = [];
-        const errors = [];
+        const start = event.date;
+        const limit = rule.until && rule.until < toDate ? rule.until : toDate;
+        const results = [];
+        if (limit < start) return results;
         
-        jsonData.events.forEach((eventData, index) => {
-            try {
-                const event = Event.fromJSON(eventData);
-                const validation = event.validate();
+        let generated = 0;
+        let period = rule.count ? 0 : this.getFirstPeriod(rule, start, fromDate);
+        
+        while (true) {
+            const { periodStart, dates } = this.getPeriodDates(rule, start, period);
+            if (periodStart > limit) break;
+            
+            for (const date of dates) {
+                if (date < start) continue;
+                if (date > limit) return results;
                 
-                if (validation.isValid) {
-                    this.events.set(event.id, event);
-                    this.indexEventByDate(event);
-                    importedEvents.push(event);
-                } else {
-                    errors.push(`Event ${index + 1}: ${validation.errors.join(', ')}`);
+                generated++;
+                if (date >= fromDate) {
+                    results.push(date);
                 }
-            } catch (error) {
-                errors.push(`Event ${index + 1}: ${error.message}`);
+                if (rule.count && generated >= rule.count) return results;
             }
-        });
+            
+            period++;
+        }
         
-        return {
-            imported: importedEvents.length,
-            errors: errors
-        };
+        return results;
     }
     
-    // Clear all events
-    clear() {
-        this.events.clear();
-        this.eventsByDate.clear();
-        this.saveToStorage();
+    // Check whether a series has an (original) occurrence on the given date
+    static occursOn(event, date) {
+        return this.expand(event, date, date).length > 0;
     }
     
-    // Get statistics
-    getStatistics() {
-        const events = this.getAll();
-        const categories = {};
+    // Skip ahead to the period containing fromDate (only valid without COUNT)
+    static getFirstPeriod(rule, start, fromDate) {
+        if (fromDate <= start) return 0;
         
-        events.forEach(event => {
-            categories[event.category] = (categories[event.category] || 0) + 1;
-        });
-        
-        return {
-            totalEvents: events.length,
-            categoryCounts: categories,
-            datesWithEvents: this.eventsByDate.size
-        };
-    }
-    
-    // Storage integration methods
-    saveToStorage() {
-        if (!this.storageManager) return false;
+        const from = DateUtils.parseDate(fromDate);
+        const begin = DateUtils.parseDate(start);
+        let elapsed;
         
-        try {
-            const eventsData = this.exportToJSON();
-            return this.storageManager.save(eventsData);
-        } catch (error) {
-            console.error('Failed to save events to storage:', error);
-            return false;
+        switch (rule.freq) {
+            case 'daily':
+                elapsed = DateUtils.daysBetween(start, fromDate);
+                break;
+            case 'weekly':
+                elapsed = Math.floor(DateUtils.daysBetween(DateUtils.getWeekStart(start, 0), fromDate) / 7);
+                break;
+            case 'monthly':
+                elapsed = (from.year - begin.year) * 12 + (from.month - begin.month);
+                break;
+            default:
+                elapsed = from.year - begin.year;
         }
+        
+        return Math.max(0, Math.floor(elapsed / rule.interval));
     }
     
-    loadFromStorage() {
-        if (!this.storageManager) return false;
+    // Get the candidate dates (sorted) for the n-th period of a rule
+    static getPeriodDates(rule, start, period) {
+        const step = period * rule.interval;
+        const begin = DateUtils.parseDate(start);
         
-        try {
-            const eventsData = this.storageManager.load();
-            if (!eventsData) return false; // No data to load
-            
-            // Clear current events
-            this.events.clear();
-            this.eventsByDate.clear();
+        switch (rule.freq) {
+            case 'daily': {
+                const date = DateUtils.addDays(start, step);
+                return { periodStart: date, dates: [date] };
+            }
             
-            // Import loaded events
-            const result = this.importFromJSON(eventsData);
+            case 'weekly': {
+                const periodStart = DateUtils.addDays(DateUtils.getWeekStart(start, 0), step * 7);
+                const weekdays = rule.byDay.length > 0
+                    ? rule.byDay.map(day => this.parseByDay(day).weekday)
+                    : [DateUtils.getWeekday(start)];
+                const dates = [...new Set(weekdays)]
+                    .sort((a, b) => a - b)
+                    .map(weekday => DateUtils.addDays(periodStart, weekday));
+                return { periodStart, dates };
+            }
             
-            if (result.errors.length > 0) {
-                console.warn('Some events failed to load:', result.errors);
+            case 'monthly': {
+                const monthIndex = begin.month + step;
+                const year = begin.year + Math.floor(monthIndex / 12);
+                const month = monthIndex % 12;
+                const periodStart = DateUtils.formatDate(year, month, 1);
+                const daysInMonth = DateUtils.getDaysInMonth(year, month);
+                
+                if (rule.byDay.length === 0) {
+                    const dates = begin.day <= daysInMonth ? [DateUtils.formatDate(year, month, begin.day)] : [];
+                    return { periodStart, dates };
+                }
+                
+                const days = new Set();
+                rule.byDay.forEach(value => {
+                    this.getMonthDaysForByDay(year, month, this.parseByDay(value))
+                        .forEach(day => days.add(day));
+                });
+                const dates = [...days]
+                    .sort((a, b) => a - b)
+                    .map(day => DateUtils.formatDate(year, month, day));
+                return { periodStart, dates };
             }
             
-            console.log(`Loaded ${result.imported} events from storage`);
-            return true;
-        } catch (error) {
-            console.error('Failed to load events from storage:', error);
-            return false;
+            default: {
+                const year = begin.year + step;
+                const periodStart = DateUtils.formatDate(year, 0, 1);
+                const valid = begin.day <= DateUtils.getDaysInMonth(year, begin.month);
+                return { periodStart, dates: valid ? [DateUtils.formatDate(year, begin.month, begin.day)] : [] };
+            }
         }
     }
     
-    // Get storage status and info
-    getStorageStatus() {
-        if (!this.storageManager) {
-            return {
-                enabled: false,
-                supported: false,
-                info: null
-            };
+    // Resolve a parsed BYDAY entry to day numbers within a month
+    static getMonthDaysForByDay(year, month, byDay) {
+        const daysInMonth = DateUtils.getDaysInMonth(year, month);
+        const firstWeekday = DateUtils.getFirstDayOfMonth(year, month);
+        const matches = [];
+        
+        for (let day = 1 + (byDay.weekday - firstWeekday + 7) % 7; day <= daysInMonth; day += 7) {
+            matches.push(day);
         }
         
-        return {
-            enabled: true,
-            supported: this.storageManager.isStorageSupported,
-            info: this.storageManager.getStorageInfo()
-        };
+        if (byDay.ordinal === 0) return matches;
+        
+        const index = byDay.ordinal > 0 ? byDay.ordinal - 1 : matches.length + byDay.ordinal;
+        return matches[index] ? [matches[index]] : [];
     }
     
-    // Create backup download
-    downloadBackup() {
-        if (!this.storageManager) {
-            console.warn('Storage manager not available for backup');
-            return false;
-        }
+    // Format a rule as an RFC 5545 RRULE value, e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE"
+    static toRRULE(rule) {
+        if (!rule) return '';
         
-        return this.storageManager.exportData();
+        const parts = [`FREQ=${rule.freq.toUpperCase()}`];
+        if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+        if (rule.byDay.length > 0) parts.push(`BYDAY=${rule.byDay.join(',')}`);
+        if (rule.count) parts.push(`COUNT=${rule.count}`);
+        if (rule.until) parts.push(`UNTIL=${rule.until.replace(/-/g, '')}`);
+        
+        return parts.join(';');
     }
     
-    // Restore from uploaded backup file
-    async restoreFromFile(file) {
-        if (!this.storageManager) {
-            throw new Error('Storage manager not available for restore');
-        }
+    // Parse an RFC 5545 RRULE value into a normalized rule (unsupported parts are ignored)
+    static fromRRULE(value) {
+        const parts = {};
+        String(value).split(';').forEach(part => {
+            const [key, partValue] = part.split('=');
+            if (key && partValue) {
+                parts[key.trim().toUpperCase()] = partValue.trim();
+            }
+        });
         
-        try {
-            const success = await this.storageManager.importData(file);
-            if (success) {
-                // Reload events from storage after successful import
-                this.loadFromStorage();
-            }
-            return success;
-        } catch (error) {
-            console.error('Failed to restore from file:', error);
-            throw error;
+        const until = /^(\d{4})(\d{2})(\d{2})/.exec(parts.UNTIL || '');
+        
+        return this.normalize({
+            freq: parts.FREQ,
+            interval: parts.INTERVAL,
+            byDay: parts.BYDAY ? parts.BYDAY.split(',') : [],
+            count: parts.COUNT,
+            until: until ? `${until[1]}-${until[2]}-${until[3]}` : null
+        });
+    }
+    
+    // Human readable summary in the active locale, e.g. "Every 2 weeks on Mon, Wed, 10 times"
+    static describe(rule) {
+        if (!rule) return '';
+        
+        let text = I18n.t(`recurrence.every${rule.freq.charAt(0).toUpperCase()}${rule.freq.slice(1)}`, { count: rule.interval });
+        
+        if (rule.byDay.length > 0) {
+            const days = rule.byDay.map(value => {
+                const parsed = this.parseByDay(value);
+                const day = DateUtils.getWeekdayShortName(parsed.weekday);
+                if (parsed.ordinal === 0) return day;
+                return parsed.ordinal === -1
+                    ? I18n.t('recurrence.lastWeekday', { day })
+                    : I18n.t('recurrence.nthWeekday', { ordinal: this.formatOrdinal(parsed.ordinal), day });
+            });
+            text = I18n.t('recurrence.onDays', { rule: text, days: days.join(', ') });
+        }
+        
+        if (rule.count) {
+            text = I18n.t('recurrence.times', { rule: text, count: rule.count });
+        } else if (rule.until) {
+            text = I18n.t('recurrence.untilDate', { rule: text, date: I18n.formatDate(rule.until) });
         }
+        
+        return text;
+    }
+    
+    static formatOrdinal(number) {
+        return I18n.formatOrdinal(number);
     }
 }
 
-// StorageManager Class for localStorage integration
-class StorageManager {
-    constructor(storageKey = 'calendar_events') {
-        this.storageKey = storageKey;
-        this.version = '1.0';
-        this.versionKey = `${storageKey}_version`;
-        
-        // Check for storage support
-        this.isStorageSupported = this.checkStorageSupport();
-        
-        // Initialize storage version tracking
-        this.initializeVersioning();
+// Undo/redo stacks for EventManager mutations
+// Each entry holds snapshots of the affected events before and after the change (null = event did not exist)
+class EventHistory {
+    constructor(limit = 100) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
     }
     
-    // Check if localStorage is supported and available
-    checkStorageSupport() {
-        try {
-            const testKey = '__storage_test__';
-            localStorage.setItem(testKey, 'test');
-            localStorage.removeItem(testKey);
-            return true;
-        } catch (e) {
-            console.warn('localStorage is not supported or is disabled:', e);
-            return false;
+    record(entry) {
+        this.undoStack.push(entry);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
         }
+        this.redoStack = [];
     }
     
-    // Initialize version tracking for data migration
-    initializeVersioning() {
-        if (!this.isStorageSupported) return;
-        
-        const storedVersion = localStorage.getItem(this.versionKey);
-        if (!storedVersion) {
-            localStorage.setItem(this.versionKey, this.version);
-        } else if (storedVersion !== this.version) {
-            console.log(`Data version mismatch. Stored: ${storedVersion}, Current: ${this.version}`);
-            // Handle data migration if needed in future versions
-        }
+    canUndo() {
+        return this.undoStack.length > 0;
     }
     
-    // Save data to localStorage
-    save(data) {
-        if (!this.isStorageSupported) {
-            console.warn('Cannot save data: localStorage not supported');
-            return false;
-        }
-        
-        try {
-            const serializedData = JSON.stringify({
-                data: data,
-                timestamp: new Date().toISOString(),
-                version: this.version
-            });
-            
-            localStorage.setItem(this.storageKey, serializedData);
-            return true;
-        } catch (error) {
-            console.error('Failed to save data to localStorage:', error);
-            
-            // Handle storage quota exceeded
-            if (error.name === 'QuotaExceededError') {
-                this.handleStorageQuotaExceeded();
-            }
-            
-            return false;
-        }
+    canRedo() {
+        return this.redoStack.length > 0;
     }
     
-    // Load data from localStorage
-    load() {
-        if (!this.isStorageSupported) {
-            console.warn('Cannot load data: localStorage not supported');
-            return null;
+    // Most recent undoable entry, without removing it
+    peekUndo() {
+        return this.undoStack[this.undoStack.length - 1] || null;
+    }
+    
+    takeUndo() {
+        const entry = this.undoStack.pop();
+        if (entry) {
+            this.redoStack.push(entry);
         }
-        
-        try {
-            const serializedData = localStorage.getItem(this.storageKey);
-            if (!serializedData) {
-                return null; // No data stored yet
-            }
-            
-            const parsedData = JSON.parse(serializedData);
-            
-            // Validate data structure
-            if (!parsedData.data || !parsedData.timestamp || !parsedData.version) {
-                console.warn('Invalid data structure in localStorage');
-                return null;
-            }
-            
-            // Check data freshness (optional - could implement expiration)
-            const dataAge = Date.now() - new Date(parsedData.timestamp).getTime();
-            const maxAge = 30 * 24 * 60 * 60 * 1000; // 30 days in milliseconds
-            
-            if (dataAge > maxAge) {
-                console.log('Stored data is older than 30 days');
-                // Could choose to clear old data or migrate it
-            }
-            
-            return parsedData.data;
-        } catch (error) {
-            console.error('Failed to load data from localStorage:', error);
-            
-            // Handle corrupted data
-            this.handleCorruptedData();
-            return null;
+        return entry || null;
+    }
+    
+    takeRedo() {
+        const entry = this.redoStack.pop();
+        if (entry) {
+            this.undoStack.push(entry);
         }
+        return entry || null;
     }
     
-    // Clear all stored data
     clear() {
-        if (!this.isStorageSupported) {
-            console.warn('Cannot clear data: localStorage not supported');
-            return false;
-        }
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+}
+
+// EventManager Class for CRUD operations
+class EventManager {
+    constructor(storageManager = null) {
+        this.events = new Map(); // Use Map for efficient lookups
+        this.eventsByDate = new Map(); // Index events by date for quick calendar rendering
+        this.recurringEvents = new Map(); // Recurring series are expanded on the fly instead of indexed
+        this.storageManager = storageManager;
+        this.history = new EventHistory();
+        this.sync = null; // Optional CrossTabSync used to announce saved changes to other tabs
+        this.remote = null; // Optional remote calendar sync (e.g. CalDAVSync) that mirrors saved changes
+        this.pendingChanges = new Map(); // Changed events not yet announced, with the version they replaced
+        this.listeners = new Map(); // Change listeners by type (see on)
+        this.viewTimeZone = TimeZoneUtils.getSystemTimeZone(); // Zone that date queries express events in
         
-        try {
-            localStorage.removeItem(this.storageKey);
-            localStorage.removeItem(this.versionKey);
-            return true;
-        } catch (error) {
-            console.error('Failed to clear localStorage:', error);
-            return false;
+        // Load existing events from storage
+        this.loadFromStorage();
+    }
+    
+    // Subscribe to changes: 'created', 'updated', 'deleted' (payload { before, after, source } with
+    // Event instances or null; occurrence edits add recurrenceId), 'imported' ({ events, errors }),
+    // 'cleared' ({ events }), 'loaded' ({ events }), or 'change' for all of them.
+    // source is 'local', 'undo', 'redo', 'tab' (another tab) or 'remote'. Returns an unsubscribe function.
+    on(type, listener) {
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
         }
+        this.listeners.get(type).add(listener);
+        return () => this.off(type, listener);
     }
     
-    // Get storage usage information
-    getStorageInfo() {
-        if (!this.isStorageSupported) {
-            return null;
+    off(type, listener) {
+        const listeners = this.listeners.get(type);
+        if (listeners) {
+            listeners.delete(listener);
         }
+    }
+    
+    // Private method to notify the listeners of a change type and the 'change' listeners
+    emit(type, payload = {}) {
+        const change = { type, source: 'local', ...payload };
         
-        try {
-            const data = localStorage.getItem(this.storageKey);
-            const dataSize = data ? new Blob([data]).size : 0;
-            
-            // Estimate total localStorage usage
-            let totalSize = 0;
-            for (let key in localStorage) {
-                if (localStorage.hasOwnProperty(key)) {
-                    totalSize += localStorage[key].length;
+        [type, 'change'].forEach(listenerType => {
+            (this.listeners.get(listenerType) || []).forEach(listener => {
+                try {
+                    listener(change);
+                } catch (error) {
+                    console.error(`EventManager ${type} listener failed:`, error);
                 }
-            }
-            
-            return {
-                dataSize: dataSize,
-                totalSize: totalSize,
-                keyCount: localStorage.length,
-                isSupported: true
-            };
-        } catch (error) {
-            console.error('Failed to get storage info:', error);
-            return null;
+            });
+        });
+    }
+    
+    // Private method to emit 'created', 'updated' or 'deleted' for an event changed from stored data
+    // (null if it didn't exist) to its current state
+    emitEventChange(id, beforeData, details = {}) {
+        const before = beforeData ? Event.fromJSON(beforeData) : null;
+        const after = this.events.get(id) || null;
+        if (!before && !after) return;
+        
+        this.emit(!before ? 'created' : after ? 'updated' : 'deleted', { before, after, ...details });
+    }
+    
+    // Create a new event
+    create(eventData) {
+        const event = new Event(eventData);
+        const validation = event.validate();
+        
+        if (!validation.isValid) {
+            throw new ValidationError(I18n.t('event.validationFailed', { errors: validation.errors.join(', ') }));
         }
+        
+        const before = this.snapshotEvents([event.id]);
+        this.events.set(event.id, event);
+        this.indexEventByDate(event);
+        this.recordHistory(I18n.t('history.create', { title: event.title }), before);
+        this.saveToStorage();
+        this.emitEventChange(event.id, null);
+        
+        return event;
     }
     
-    // Create backup of current data
-    createBackup() {
-        const data = this.load();
-        if (!data) return null;
+    // Get event by ID
+    getById(id) {
+        return this.events.get(id) || null;
+    }
+    
+    // Get all events
+    getAll() {
+        return Array.from(this.events.values());
+    }
+    
+    // Get events for a specific date (including occurrences of recurring events)
+    getByDate(date) {
+        return this.getEventsByDateMap(date, date).get(date) || [];
+    }
+    
+    // Get events for a date range (multi-day events are listed once)
+    getByDateRange(startDate, endDate) {
+        const events = [];
+        const seen = new Set();
+        
+        this.getEventsByDateMap(startDate, endDate).forEach(dayEvents => {
+            dayEvents.forEach(event => {
+                const key = EventManager.getInstanceKey(event);
+                if (!seen.has(key)) {
+                    seen.add(key);
+                    events.push(event);
+                }
+            });
+        });
         
-        const backup = {
-            data: data,
-            backupDate: new Date().toISOString(),
-            version: this.version
+        return events;
+    }
+    
+    // Unique key for an event instance (occurrences of a series share the event ID)
+    static getInstanceKey(event) {
+        return event.recurrenceId ? `${event.id}:${event.recurrenceId}` : event.id;
+    }
+    
+    // Get events grouped by date for a range, with recurring events expanded into occurrences.
+    // Dates are in the viewer's time zone (viewTimeZone): events of other zones are converted
+    // instance by instance, so each occurrence uses the UTC offsets in effect on its own date.
+    getEventsByDateMap(startDate, endDate) {
+        const eventsByDate = new Map();
+        const converted = new Set(); // Stored events already placed on their converted dates
+        
+        const addToDate = (dateKey, event) => {
+            if (dateKey < startDate || dateKey > endDate) return;
+            if (!eventsByDate.has(dateKey)) {
+                eventsByDate.set(dateKey, []);
+            }
+            eventsByDate.get(dateKey).push(event);
         };
         
-        return JSON.stringify(backup, null, 2);
+        // Converting to the viewer's zone moves events by at most a day
+        const searchStart = DateUtils.addDays(startDate, -1);
+        const searchEnd = DateUtils.addDays(endDate, 1);
+        
+        for (let dateKey = searchStart; dateKey <= searchEnd; dateKey = DateUtils.addDays(dateKey, 1)) {
+            (this.eventsByDate.get(dateKey) || []).forEach(event => {
+                const viewed = this.toViewTimeZone(event);
+                if (viewed === event) {
+                    addToDate(dateKey, event);
+                } else if (!converted.has(event)) {
+                    converted.add(event);
+                    viewed.getDates().forEach(viewedDate => addToDate(viewedDate, viewed));
+                }
+            });
+        }
+        
+        this.recurringEvents.forEach(event => {
+            this.getOccurrencesInRange(event, searchStart, searchEnd).forEach(occurrence => {
+                const viewed = this.toViewTimeZone(occurrence);
+                viewed.getDates().forEach(dateKey => addToDate(dateKey, viewed));
+            });
+        });
+        
+        // Keep dates in chronological order and events sorted by start time
+        return new Map([...eventsByDate.entries()]
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([dateKey, dayEvents]) => [dateKey, dayEvents.sort(EventManager.compareByStartTime)]));
     }
     
-    // Restore from backup
-    restoreFromBackup(backupString) {
-        try {
-            const backup = JSON.parse(backupString);
+    // Last date any event covers ('' without events), or null if a series repeats without end
+    getLastEventDate() {
+        let lastDate = '';
+        
+        for (const event of this.events.values()) {
+            const rule = event.recurrence;
+            if (rule && !rule.count && !rule.until) return null;
             
-            if (!backup.data || !backup.backupDate || !backup.version) {
-                throw new Error('Invalid backup format');
+            const endDates = [event.getEndDate()];
+            if (rule) {
+                // The last occurrence and any occurrence moved past it
+                const recurrenceIds = RecurrenceRule.expand(event, event.date, rule.until || '9999-12-31');
+                [recurrenceIds[recurrenceIds.length - 1], ...Object.keys(event.exceptions)]
+                    .filter(Boolean)
+                    .forEach(recurrenceId => endDates.push(event.createOccurrence(recurrenceId).getEndDate()));
             }
-            
-            return this.save(backup.data);
-        } catch (error) {
-            console.error('Failed to restore from backup:', error);
-            return false;
+            endDates.forEach(date => {
+                if (date > lastDate) lastDate = date;
+            });
         }
+        
+        return lastDate;
     }
     
-    // Handle storage quota exceeded
-    handleStorageQuotaExceeded() {
-        console.warn('localStorage quota exceeded');
-        
-        // Could implement cleanup strategies:
-        // 1. Remove oldest data
-        // 2. Compress data
-        // 3. Prompt user to clear some data
-        
-        // For now, just log the issue
-        const info = this.getStorageInfo();
-        if (info) {
-            console.log(`Current storage usage: ${info.totalSize} bytes`);
-        }
+    // Express an event (or occurrence) in the viewer's time zone
+    toViewTimeZone(event) {
+        return event.toTimeZone(this.viewTimeZone);
     }
     
-    // Handle corrupted data
-    handleCorruptedData() {
-        console.warn('Corrupted data detected in localStorage');
-        
-        // Could implement recovery strategies:
-        // 1. Try to parse partial data
-        // 2. Reset to default state
-        // 3. Prompt user for action
+    // Convert date/time changes made in the viewer's time zone (e.g. by dragging an event)
+    // into the event's own zone
+    fromViewTimeZone(event, changes) {
+        const viewed = this.toViewTimeZone(event);
+        if (viewed === event) return changes;
         
-        // For now, clear the corrupted data
-        const shouldClear = confirm('Corrupted data detected. Clear stored data and start fresh?');
-        if (shouldClear) {
-            this.clear();
-        }
+        const changed = new Event({ ...viewed.toJSON(), ...changes }).toTimeZone(event.timeZone);
+        return {
+            ...changes,
+            date: changed.date,
+            endDate: changed.endDate,
+            startTime: changed.startTime,
+            endTime: changed.endTime
+        };
     }
     
-    // Export data for download
-    exportData() {
-        const data = this.createBackup();
-        if (!data) return null;
+    // Expand a recurring event into occurrences that overlap the range (after applying moved dates)
+    getOccurrencesInRange(event, startDate, endDate) {
+        const occurrences = [];
+        const extraDays = event.getDurationInDays();
         
-        const blob = new Blob([data], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
+        // Multi-day occurrences starting shortly before the range still overlap it
+        const recurrenceIds = new Set(RecurrenceRule.expand(event, DateUtils.addDays(startDate, -extraDays), endDate));
         
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `calendar_backup_${new Date().toISOString().split('T')[0]}.json`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
+        // Occurrences moved into the range from outside of it
+        Object.entries(event.exceptions).forEach(([recurrenceId, exception]) => {
+            const movedEnd = exception.endDate || (exception.date ? DateUtils.addDays(exception.date, extraDays) : null);
+            if (exception.date && exception.date <= endDate && movedEnd >= startDate &&
+                !recurrenceIds.has(recurrenceId) && RecurrenceRule.occursOn(event, recurrenceId)) {
+                recurrenceIds.add(recurrenceId);
+            }
+        });
         
-        URL.revokeObjectURL(url);
-        return true;
-    }
-    
-    // Import data from file
-    importData(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
+        recurrenceIds.forEach(recurrenceId => {
+            const exception = event.exceptions[recurrenceId];
+            if (exception && exception.cancelled) return;
             
-            reader.onload = (e) => {
-                try {
-                    const success = this.restoreFromBackup(e.target.result);
-                    resolve(success);
-                } catch (error) {
-                    reject(error);
-                }
-            };
-            
-            reader.onerror = () => reject(new Error('Failed to read file'));
-            reader.readAsText(file);
+            const occurrence = event.createOccurrence(recurrenceId);
+            if (occurrence.date <= endDate && occurrence.getEndDate() >= startDate) {
+                occurrences.push(occurrence);
+            }
         });
+        
+        return occurrences;
     }
-}
-
-// Austrian Holiday Calculator
-class AustrianHolidays {
-    // Fixed holidays (same date every year)
-    static fixedHolidays = [
-        { month: 1, day: 1, name: 'Neujahr' },
-        { month: 1, day: 6, name: 'Heilige Drei Könige' },
-        { month: 5, day: 1, name: 'Staatsfeiertag' },
-        { month: 8, day: 15, name: 'Mariä Himmelfahrt' },
-        { month: 10, day: 26, name: 'Nationalfeiertag' },
-        { month: 11, day: 1, name: 'Allerheiligen' },
-        { month: 12, day: 8, name: 'Mariä Empfängnis' },
-        { month: 12, day: 25, name: 'Christtag' },
-        { month: 12, day: 26, name: 'Stefanitag' }
-    ];
     
-    // Calculate Easter date using Gauss formula
-    static calculateEaster(year) {
-        // Gaußsche Osterformel für gregorianischen Kalender
-        const k = Math.floor(year / 100);
-        const m = 15 + Math.floor((3 * k + 3) / 4) - Math.floor((8 * k + 13) / 25);
-        const s = 2 - Math.floor((3 * k + 3) / 4);
-        const a = year % 19;
-        const d = (19 * a + m) % 30;
-        const r = Math.floor((d + Math.floor(a / 11)) / 29);
-        const og = 21 + d - r;
-        const sz = 7 - (year + Math.floor(year / 4) + s) % 7;
-        const oe = 7 - (og - sz) % 7;
-        let day = og + oe;
-        let month = 3; // March
-        
-        if (day > 31) {
-            month = 4; // April
-            day -= 31;
+    // Get a single occurrence of a recurring event
+    getOccurrence(id, recurrenceId) {
+        const event = this.events.get(id);
+        if (!event || !event.isRecurring() || !RecurrenceRule.occursOn(event, recurrenceId)) {
+            return null;
         }
         
-        return new Date(year, month - 1, day); // JavaScript months are 0-indexed
+        const exception = event.exceptions[recurrenceId];
+        if (exception && exception.cancelled) return null;
+        
+        return event.createOccurrence(recurrenceId);
     }
     
-    // Get all variable holidays for a given year (based on Easter)
-    static getVariableHolidays(year) {
-        const easter = this.calculateEaster(year);
-        const holidays = [];
+    // Change a single occurrence of a recurring event (stored as an exception on the series)
+    updateOccurrence(id, recurrenceId, eventData) {
+        const event = this.getRecurringEventForOccurrence(id, recurrenceId);
+        const overridableFields = ['title', 'description', 'date', 'endDate', 'startTime', 'endTime', 'category'];
+        const exception = { ...(event.exceptions[recurrenceId] || {}) };
+        
+        overridableFields.forEach(field => {
+            if (eventData[field] !== undefined) {
+                exception[field] = field === 'title' || field === 'description'
+                    ? InputSanitizer.sanitizeText(eventData[field])
+                    : eventData[field];
+            }
+        });
         
-        // Variable holidays relative to Easter
-        const variableHolidays = [
-            { offset: -2, name: 'Karfreitag' },
-            { offset: 0, name: 'Ostersonntag' },
-            { offset: 1, name: 'Ostermontag' },
-            { offset: 39, name: 'Christi Himmelfahrt' },
-            { offset: 49, name: 'Pfingstsonntag' },
-            { offset: 50, name: 'Pfingstmontag' },
-            { offset: 60, name: 'Fronleichnam' }
-        ];
+        const validation = new Event({ ...event.toJSON(), ...exception, recurrence: null }).validate();
+        if (!validation.isValid) {
+            throw new ValidationError(I18n.t('event.validationFailed', { errors: validation.errors.join(', ') }));
+        }
         
-        variableHolidays.forEach(holiday => {
-            const date = new Date(easter);
-            date.setDate(easter.getDate() + holiday.offset);
-            holidays.push({
-                date: date,
-                name: holiday.name,
-                type: 'variable'
-            });
-        });
+        const before = this.snapshotEvents([id]);
+        event.update({ exceptions: { ...event.exceptions, [recurrenceId]: exception } });
+        this.recordHistory(I18n.t('history.updateOccurrence', { title: event.title, date: I18n.formatDate(recurrenceId) }), before);
+        this.saveToStorage();
+        this.emitEventChange(id, before.get(id), { recurrenceId });
         
-        return holidays;
+        return event.createOccurrence(recurrenceId);
     }
     
-    // Check if a given date is a holiday
-    static isHoliday(date) {
-        if (!(date instanceof Date)) return null;
+    // Skip a single occurrence of a recurring event
+    deleteOccurrence(id, recurrenceId) {
+        const event = this.getRecurringEventForOccurrence(id, recurrenceId);
+        const before = this.snapshotEvents([id]);
         
-        const year = date.getFullYear();
-        const month = date.getMonth() + 1; // Convert to 1-indexed
-        const day = date.getDate();
+        event.update({ exceptions: { ...event.exceptions, [recurrenceId]: { cancelled: true } } });
+        this.recordHistory(I18n.t('history.deleteOccurrence', { title: event.title, date: I18n.formatDate(recurrenceId) }), before);
+        this.saveToStorage();
+        this.emitEventChange(id, before.get(id), { recurrenceId });
         
-        // Check fixed holidays
-        const fixedHoliday = this.fixedHolidays.find(h => 
-            h.month === month && h.day === day
-        );
-        if (fixedHoliday) {
-            return { name: fixedHoliday.name, type: 'fixed' };
+        return true;
+    }
+    
+    // Private method to look up the series an occurrence belongs to
+    getRecurringEventForOccurrence(id, recurrenceId) {
+        const event = this.events.get(id);
+        if (!event) {
+            throw new Error(`Event with ID ${id} not found`);
         }
         
-        // Check variable holidays
-        const variableHolidays = this.getVariableHolidays(year);
-        const variableHoliday = variableHolidays.find(h => 
-            h.date.getFullYear() === date.getFullYear() &&
-            h.date.getMonth() === date.getMonth() &&
-            h.date.getDate() === date.getDate()
-        );
-        
-        if (variableHoliday) {
-            return { name: variableHoliday.name, type: 'variable' };
+        if (!event.isRecurring() || !RecurrenceRule.occursOn(event, recurrenceId)) {
+            throw new Error(`Event ${id} has no occurrence on ${recurrenceId}`);
         }
         
-        return null;
+        return event;
     }
     
-    // Get all holidays for a specific year
-    static getHolidaysForYear(year) {
-        const holidays = [];
+    // Update an existing event
+    update(id, eventData) {
+        const event = this.events.get(id);
+        if (!event) {
+            throw new Error(`Event with ID ${id} not found`);
+        }
         
-        // Add fixed holidays
-        this.fixedHolidays.forEach(holiday => {
-            holidays.push({
-                date: new Date(year, holiday.month - 1, holiday.day),
-                name: holiday.name,
-                type: 'fixed'
-            });
-        });
+        // Remove from old date index if dates or recurrence are changing
+        const oldDate = event.date;
+        const oldEndDate = event.getEndDate();
+        
+        // Apply the changes to a copy first, so that a rejected update leaves the event untouched
+        const updated = Event.fromJSON(event.toJSON());
+        updated.update(eventData);
         
-        // Add variable holidays
-        holidays.push(...this.getVariableHolidays(year));
+        // Changed and skipped occurrences move along with the series
+        if (updated.isRecurring() && updated.date !== oldDate && !eventData.exceptions) {
+            updated.exceptions = this.shiftExceptions(updated, DateUtils.daysBetween(oldDate, updated.date));
+        }
+        
+        const validation = updated.validate();
+        if (!validation.isValid) {
+            throw new ValidationError(I18n.t('event.validationFailed', { errors: validation.errors.join(', ') }));
+        }
         
-        // Sort by date
-        holidays.sort((a, b) => a.date - b.date);
+        const before = this.snapshotEvents([id]);
+        Object.assign(event, updated);
+        this.removeEventFromDateIndex(event.id, oldDate, oldEndDate);
+        this.indexEventByDate(event);
+        this.recordHistory(I18n.t('history.update', { title: event.title }), before);
         
-        return holidays;
+        this.saveToStorage();
+        this.emitEventChange(id, before.get(id));
+        return event;
     }
     
-    // Get holidays for a specific month
-    static getHolidaysForMonth(year, month) {
-        const allHolidays = this.getHolidaysForYear(year);
-        return allHolidays.filter(holiday => 
-            holiday.date.getMonth() === month
-        );
+    // Private method to move the exceptions of a series by a number of days, dropping those that
+    // are no longer occurrences of its (already updated) rule
+    shiftExceptions(event, days) {
+        const exceptions = {};
+        Object.entries(event.exceptions).forEach(([recurrenceId, exception]) => {
+            const shiftedId = DateUtils.addDays(recurrenceId, days);
+            if (!RecurrenceRule.occursOn(event, shiftedId)) return;
+            
+            const shifted = { ...exception };
+            ['date', 'endDate'].filter(field => exception[field]).forEach(field => {
+                shifted[field] = DateUtils.addDays(exception[field], days);
+            });
+            exceptions[shiftedId] = shifted;
+        });
+        return exceptions;
     }
-}
-
-// Date Utility Functions
-const DateUtils = {
-    // Get number of days in a specific month/year
-    getDaysInMonth(year, month) {
-        return new Date(year, month + 1, 0).getDate();
-    },
-    
-    // Get the first day of week for a month (0 = Sunday, 6 = Saturday)
-    getFirstDayOfMonth(year, month) {
-        // Get day of week (0=Sunday, 1=Monday, ..., 6=Saturday)
-        let day = new Date(year, month, 1).getDay();
-        // Convert to Monday=0, Tuesday=1, ..., Sunday=6
-        return (day + 6) % 7;
-    },
     
-    // Get previous month/year
-    getPreviousMonth(year, month) {
-        if (month === 0) {
-            return { year: year - 1, month: 11 };
+    // Delete an event
+    delete(id) {
+        const event = this.events.get(id);
+        if (!event) {
+            throw new Error(`Event with ID ${id} not found`);
         }
-        return { year: year, month: month - 1 };
-    },
+        
+        const before = this.snapshotEvents([id]);
+        this.events.delete(id);
+        this.removeEventFromDateIndex(id, event.date, event.getEndDate());
+        this.recordHistory(I18n.t('history.delete', { title: event.title }), before);
+        this.saveToStorage();
+        this.emitEventChange(id, before.get(id));
+        
+        return true;
+    }
     
-    // Get next month/year
-    getNextMonth(year, month) {
-        if (month === 11) {
-            return { year: year + 1, month: 0 };
-        }
-        return { year: year, month: month + 1 };
-    },
+    // Get events by category
+    getByCategory(category) {
+        return this.getAll().filter(event => event.category === category);
+    }
     
-    // Check if a year is a leap year
-    isLeapYear(year) {
-        return (year % 4 === 0 && year % 100 !== 0) || (year % 400 === 0);
-    },
+    // Search events by title or description
+    search(query) {
+        const searchTerm = query.toLowerCase();
+        return this.getAll().filter(event => 
+            event.title.toLowerCase().includes(searchTerm) ||
+            event.description.toLowerCase().includes(searchTerm)
+        );
+    }
     
-    // Format date as YYYY-MM-DD
-    formatDate(year, month, day) {
-        const mm = String(month + 1).padStart(2, '0');
-        const dd = String(day).padStart(2, '0');
-        return `${year}-${mm}-${dd}`;
-    },
+    // Get event count for a date
+    getEventCountForDate(date) {
+        const events = this.getByDate(date);
+        return events.length;
+    }
     
-    // Parse date string back to components
-    parseDate(dateString) {
-        const [year, month, day] = dateString.split('-').map(Number);
-        return { year, month: month - 1, day };
-    },
+    // Check if a date has events
+    hasEventsOnDate(date) {
+        return this.getEventCountForDate(date) > 0;
+    }
     
-    // Check if two dates are the same
-    isSameDate(date1, date2) {
-        return date1.getFullYear() === date2.getFullYear() &&
-               date1.getMonth() === date2.getMonth() &&
-               date1.getDate() === date2.getDate();
-    },
+    // Sort events by start time (all-day events first)
+    static compareByStartTime(a, b) {
+        if (!a.startTime && !b.startTime) return 0;
+        if (!a.startTime) return -1;
+        if (!b.startTime) return 1;
+        return a.startTime.localeCompare(b.startTime);
+    }
     
-    // Check if a date is today
-    isToday(year, month, day) {
-        const today = new Date();
-        return year === today.getFullYear() &&
-               month === today.getMonth() &&
-               day === today.getDate();
-    },
+    // Private method to index events by date (multi-day events on every day they cover)
+    indexEventByDate(event) {
+        if (event.isRecurring()) {
+            this.recurringEvents.set(event.id, event);
+            return;
+        }
+        
+        event.getDates().forEach(date => {
+            if (!this.eventsByDate.has(date)) {
+                this.eventsByDate.set(date, []);
+            }
+            
+            const dateEvents = this.eventsByDate.get(date);
+            // Remove existing event if updating
+            const existingIndex = dateEvents.findIndex(e => e.id === event.id);
+            if (existingIndex !== -1) {
+                dateEvents[existingIndex] = event;
+            } else {
+                dateEvents.push(event);
+            }
+            
+            // Sort events by start time
+            dateEvents.sort(EventManager.compareByStartTime);
+        });
+    }
     
-    // Get month name
-    getMonthName(month) {
-        const months = [
-            'Januar', 'Februar', 'März', 'April', 'Mai', 'Juni',
-            'Juli', 'August', 'September', 'Oktober', 'November', 'Dezember'
-        ];
-        return months[month];
-    },
+    // Private method to remove event from date index
+    removeEventFromDateIndex(eventId, date, endDate = date) {
+        this.recurringEvents.delete(eventId);
+        
+        for (let dateKey = date; dateKey <= endDate; dateKey = DateUtils.addDays(dateKey, 1)) {
+            if (!this.eventsByDate.has(dateKey)) continue;
+            
+            const dateEvents = this.eventsByDate.get(dateKey);
+            const index = dateEvents.findIndex(e => e.id === eventId);
+            if (index !== -1) {
+                dateEvents.splice(index, 1);
+            }
+            
+            // Clean up empty date entries
+            if (dateEvents.length === 0) {
+                this.eventsByDate.delete(dateKey);
+            }
+        }
+    }
     
-    // Get abbreviated day names
-    getDayNames() {
-        return ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-    },
+    // Export all events to JSON
+    exportToJSON() {
+        return {
+            events: this.getAll().map(event => event.toJSON()),
+            exportDate: new Date().toISOString()
+        };
+    }
     
-    // Generate calendar grid data for a given month
-    generateCalendarData(year, month) {
-        const daysInMonth = this.getDaysInMonth(year, month);
-        const firstDay = this.getFirstDayOfMonth(year, month);
-        const prevMonth = this.getPreviousMonth(year, month);
-        const nextMonth = this.getNextMonth(year, month);
-        const daysInPrevMonth = this.getDaysInMonth(prevMonth.year, prevMonth.month);
+    // Import events from JSON
+    importFromJSON(jsonData) {
+        if (!jsonData.events || !Array.isArray(jsonData.events)) {
+            throw new Error('Invalid JSON format for events import');
+        }
         
-        const calendarData = [];
-        let week = [];
+        const before = this.snapshotEvents(jsonData.events.map(eventData => eventData && eventData.id).filter(Boolean));
+        const { importedEvents, errors } = this.addEventsFromJSON(jsonData.events);
         
-        // Add previous month's trailing days
-        for (let i = firstDay - 1; i >= 0; i--) {
-            const dayOfWeek = (firstDay - 1 - i + 7) % 7; // 0=Monday, 6=Sunday
-            week.push({
-                day: daysInPrevMonth - i,
-                month: prevMonth.month,
-                year: prevMonth.year,
-                isCurrentMonth: false,
-                isPrevMonth: true,
-                isNextMonth: false,
-                dayOfWeek: dayOfWeek
-            });
+        if (importedEvents.length > 0) {
+            const ids = new Set([...before.keys(), ...importedEvents.map(event => event.id)]);
+            this.recordHistory(I18n.t('history.import', { count: importedEvents.length }), before, [...ids]);
+            this.emit('imported', { events: importedEvents, errors });
         }
         
-        // Add current month's days
-        for (let day = 1; day <= daysInMonth; day++) {
-            const dayOfWeek = (firstDay + day - 1) % 7; // 0=Monday, 6=Sunday
-            week.push({
-                day: day,
-                month: month,
-                year: year,
-                isCurrentMonth: true,
-                isPrevMonth: false,
-                isNextMonth: false,
-                isToday: this.isToday(year, month, day),
-                dayOfWeek: dayOfWeek
-            });
+        return {
+            imported: importedEvents.length,
+            errors: errors
+        };
+    }
+    
+    // Private method to add (or replace) events from JSON data; invalid ones are reported as errors
+    addEventsFromJSON(eventsData) {
+        const importedEvents = [];
+        const errors = [];
+        
+        eventsData.forEach((eventData, index) => {
+            try {
+                const event = Event.fromJSON(eventData);
+                const validation = event.validate();
+                
+                if (validation.isValid) {
+                    // Replace an existing event with the same ID, including its date index entries
+                    const existing = this.events.get(event.id);
+                    if (existing) {
+                        this.removeEventFromDateIndex(existing.id, existing.date, existing.getEndDate());
+                    }
+                    
+                    this.events.set(event.id, event);
+                    this.indexEventByDate(event);
+                    importedEvents.push(event);
+                } else {
+                    errors.push(`Event ${index + 1}: ${validation.errors.join(', ')}`);
+                }
+            } catch (error) {
+                errors.push(`Event ${index + 1}: ${error.message}`);
+            }
+        });
+        
+        return { importedEvents, errors };
+    }
+    
+    // Export events as an iCalendar document, optionally limited to a date range
+    exportToICS(startDate = null, endDate = null) {
+        let events = this.getAll();
+        
+        if (startDate && endDate) {
+            events = events.filter(event => event.isRecurring()
+                ? this.getOccurrencesInRange(event, startDate, endDate).length > 0
+                : event.date <= endDate && event.getEndDate() >= startDate);
+        }
+        
+        return ICalendar.serialize(events);
+    }
+    
+    // Import events from an iCalendar document
+    importFromICS(icsText) {
+        const { events, skipped } = ICalendar.parse(icsText);
+        const result = this.importFromJSON({ events });
+        
+        if (result.imported > 0) {
+            this.saveToStorage();
+        }
+        
+        return {
+            imported: result.imported,
+            skipped: skipped,
+            errors: result.errors
+        };
+    }
+    
+    // Clear all events
+    clear() {
+        const before = this.snapshotEvents([...this.events.keys()]);
+        this.events.clear();
+        this.eventsByDate.clear();
+        this.recurringEvents.clear();
+        
+        if (before.size > 0) {
+            this.recordHistory(I18n.t('history.clear'), before);
+        }
+        this.saveToStorage();
+        this.emit('cleared', { events: [...before.values()].map(eventData => Event.fromJSON(eventData)) });
+    }
+    
+    // Undo the most recent change; returns its label, or null if there is nothing to undo
+    undo() {
+        const entry = this.history.takeUndo();
+        if (!entry) return null;
+        
+        this.applySnapshot(entry.before, 'undo');
+        return entry.label;
+    }
+    
+    // Redo the most recently undone change; returns its label, or null if there is nothing to redo
+    redo() {
+        const entry = this.history.takeRedo();
+        if (!entry) return null;
+        
+        this.applySnapshot(entry.after, 'redo');
+        return entry.label;
+    }
+    
+    // Private method to capture the stored state of events by ID (null for events that don't exist)
+    snapshotEvents(ids) {
+        const snapshot = new Map();
+        ids.forEach(id => {
+            const event = this.events.get(id);
+            snapshot.set(id, event ? event.toJSON() : null);
+        });
+        return snapshot;
+    }
+    
+    // Private method to record a change; `before` is the snapshot taken before the change
+    recordHistory(label, before, ids = [...before.keys()]) {
+        const fullBefore = new Map(ids.map(id => [id, before.has(id) ? before.get(id) : null]));
+        const after = this.snapshotEvents(ids);
+        this.history.record({ label, before: fullBefore, after });
+        after.forEach((eventData, id) => this.trackChange(id, eventData, fullBefore.get(id)));
+    }
+    
+    // Private method to queue a change for other tabs and the remote; `previous` is the data it replaced
+    // and `base` that data's updatedAt (for changes combined before a save, the earliest one)
+    trackChange(id, eventData, previousData) {
+        const previous = this.pendingChanges.has(id) ? this.pendingChanges.get(id).previous : (previousData || null);
+        this.pendingChanges.set(id, { eventData, previous, base: previous ? previous.updatedAt : null });
+    }
+    
+    // Private method to restore events from a snapshot and re-index them
+    // Restored events count as changed now, so other tabs prefer them over older edits
+    applySnapshot(snapshot, source) {
+        const updatedAt = new Date().toISOString();
+        const previousData = this.snapshotEvents([...snapshot.keys()]);
+        snapshot.forEach((eventData, id) => {
+            this.replaceEventData(id, eventData ? { ...eventData, updatedAt } : null);
+            this.trackChange(id, eventData ? this.events.get(id).toJSON() : null, previousData.get(id));
+        });
+        
+        this.saveToStorage();
+        previousData.forEach((eventData, id) => this.emitEventChange(id, eventData, { source }));
+    }
+    
+    // Private method to replace (or remove, for null) a stored event and keep the indexes current
+    replaceEventData(id, eventData) {
+        const existing = this.events.get(id);
+        if (existing) {
+            this.events.delete(id);
+            this.removeEventFromDateIndex(id, existing.date, existing.getEndDate());
+        }
+        
+        if (eventData) {
+            const event = Event.fromJSON(eventData);
+            this.events.set(id, event);
+            this.indexEventByDate(event);
+        }
+    }
+    
+    // Apply changes announced by another tab ({ id, eventData, base }, eventData null for deletions)
+    // A change made on top of a version this tab has since edited or deleted is a conflict:
+    // the newer version by updatedAt wins (an edit wins over a deletion) and the conflict is reported
+    applyExternalChanges(changes, source = 'tab') {
+        const applied = new Map(); // Data each applied event had before
+        const conflicts = [];
+        
+        changes.forEach(({ id, eventData, base }) => {
+            const local = this.events.get(id);
+            const localData = local ? local.toJSON() : null;
             
-            // If week is complete, add to calendar data
-            if (week.length === 7) {
-                calendarData.push([...week]);
-                week = [];
+            if (JSON.stringify(localData) === JSON.stringify(eventData)) return;
+            
+            let useRemote = true;
+            if ((local ? local.updatedAt : null) !== base) {
+                // Identical timestamps are settled by content so that every tab picks the same version
+                useRemote = !local || (eventData !== null && (eventData.updatedAt > local.updatedAt ||
+                    (eventData.updatedAt === local.updatedAt && JSON.stringify(eventData) > JSON.stringify(localData))));
+                conflicts.push({
+                    id,
+                    keptLocal: !useRemote,
+                    kept: useRemote ? eventData : localData,
+                    discarded: useRemote ? localData : eventData
+                });
+            }
+            
+            if (useRemote) {
+                this.replaceEventData(id, eventData);
+                applied.set(id, localData);
             }
+        });
+        
+        if (applied.size > 0) {
+            this.saveToStorage();
+            applied.forEach((previousData, id) => this.emitEventChange(id, previousData, { source }));
         }
         
-        // Add next month's leading days to complete the grid
-        let nextDay = 1;
-        while (week.length < 7) {
-            const dayOfWeek = week.length; // Since we're completing the week, position = dayOfWeek
-            week.push({
-                day: nextDay,
-                month: nextMonth.month,
-                year: nextMonth.year,
-                isCurrentMonth: false,
-                isPrevMonth: false,
-                isNextMonth: true,
-                dayOfWeek: dayOfWeek
+        return { applied: applied.size, conflicts };
+    }
+    
+    // Apply events pulled from a remote calendar ({ id, eventData }, eventData null for deletions)
+    // They replace the local versions and are passed on to other tabs, but not back to the remote
+    applyRemoteChanges(changes) {
+        const forwarded = changes.map(({ id, eventData }) => {
+            const local = this.events.get(id);
+            return { id, eventData, base: local ? local.updatedAt : null };
+        });
+        const result = this.applyExternalChanges(forwarded, 'remote');
+        
+        if (result.applied > 0 && this.sync) {
+            this.sync.publish({ type: 'changes', changes: forwarded });
+        }
+        return result;
+    }
+    
+    // Replace the kept version of a conflicting event with the discarded one (an undoable change)
+    resolveSyncConflict(conflict) {
+        const before = this.snapshotEvents([conflict.id]);
+        const eventData = conflict.discarded
+            ? { ...conflict.discarded, updatedAt: new Date().toISOString() }
+            : null;
+        
+        this.replaceEventData(conflict.id, eventData);
+        const label = conflict.discarded
+            ? I18n.t('history.restoreOtherVersion', { title: conflict.kept.title })
+            : I18n.t('history.delete', { title: conflict.kept.title });
+        this.recordHistory(label, before);
+        this.saveToStorage();
+        this.emitEventChange(conflict.id, before.get(conflict.id));
+    }
+    
+    // Get statistics
+    getStatistics() {
+        const events = this.getAll();
+        const categories = {};
+        
+        events.forEach(event => {
+            categories[event.category] = (categories[event.category] || 0) + 1;
+        });
+        
+        return {
+            totalEvents: events.length,
+            categoryCounts: categories,
+            datesWithEvents: this.eventsByDate.size,
+            recurringEvents: this.recurringEvents.size
+        };
+    }
+    
+    // Working days of absence per person in a year, e.g. Map { 'Anna' => { vacation: 5, sick: 2, comp: 0 } }
+    getAbsenceSummary(year) {
+        const summary = new Map();
+        
+        this.getByDateRange(DateUtils.formatDate(year, 0, 1), DateUtils.formatDate(year, 11, 31))
+            .filter(event => event.isAbsence())
+            .forEach(event => {
+                if (!summary.has(event.person)) {
+                    summary.set(event.person, Object.fromEntries(Event.absenceTypes.map(type => [type, 0])));
+                }
+                summary.get(event.person)[event.absenceType] += event.getWorkingDays(year);
             });
-            nextDay++;
+        
+        return summary;
+    }
+    
+    // Storage integration methods
+    saveToStorage() {
+        if (!this.storageManager) return false;
+        
+        try {
+            const eventsData = this.exportToJSON();
+            const saved = this.storageManager.save(eventsData);
+            
+            if (saved && this.pendingChanges.size > 0) {
+                this.publishChanges();
+            }
+            return saved;
+        } catch (error) {
+            console.error('Failed to save events to storage:', error);
+            return false;
         }
+    }
+    
+    // Private method to announce saved changes to other tabs and the remote calendar
+    publishChanges() {
+        const changes = Array.from(this.pendingChanges, ([id, change]) => ({ id, ...change }));
+        this.pendingChanges.clear();
         
-        // Add final week if it exists
-        if (week.length > 0) {
-            calendarData.push([...week]);
+        if (this.sync) {
+            const announced = changes.map(({ id, eventData, base }) => ({ id, eventData, base }));
+            this.sync.publish({ type: 'changes', changes: announced });
+        }
+        if (this.remote) {
+            this.remote.enqueueChanges(changes);
         }
+    }
+    
+    loadFromStorage() {
+        if (!this.storageManager) return false;
         
-        return calendarData;
+        try {
+            const eventsData = this.storageManager.load();
+            if (!eventsData) return false; // No data to load
+            
+            // Clear current events
+            this.events.clear();
+            this.eventsByDate.clear();
+            this.recurringEvents.clear();
+            
+            // Add loaded events (loading is not an undoable change; earlier history no longer applies)
+            if (!Array.isArray(eventsData.events)) {
+                throw new Error('Invalid JSON format for events');
+            }
+            
+            const { importedEvents, errors } = this.addEventsFromJSON(eventsData.events);
+            this.history.clear();
+            this.pendingChanges.clear();
+            
+            if (errors.length > 0) {
+                console.warn('Some events failed to load:', errors);
+            }
+            
+            console.log(`Loaded ${importedEvents.length} events from storage`);
+            this.emit('loaded', { events: importedEvents });
+            return true;
+        } catch (error) {
+            console.error('Failed to load events from storage:', error);
+            return false;
+        }
     }
-};
-
-// Application state
-const CalendarApp = {
-    currentDate: new Date(),
-    storageManager: new StorageManager('calendar_events'),
-    eventManager: null, // Will be initialized in init()
     
-    // Initialize the application
-    init() {
-        console.log('Calendar application initializing...');
+    // Get storage status and info
+    getStorageStatus() {
+        if (!this.storageManager) {
+            return {
+                enabled: false,
+                supported: false,
+                info: null,
+                sync: this.remote ? this.remote.getStatus() : null
+            };
+        }
         
-        // Setup performance monitoring
-        this.setupPerformanceMonitoring();
+        return {
+            enabled: true,
+            supported: this.storageManager.isStorageSupported,
+            info: this.storageManager.getStorageInfo(),
+            sync: this.remote ? this.remote.getStatus() : null
+        };
+    }
+    
+    // Create backup download
+    downloadBackup() {
+        if (!this.storageManager) {
+            console.warn('Storage manager not available for backup');
+            return false;
+        }
         
-        // Setup global error handling
-        this.setupGlobalErrorHandling();
+        return this.storageManager.exportData();
+    }
+    
+    // Download events (all, or a date range) as an .ics file
+    downloadICS(startDate = null, endDate = null) {
+        if (!this.storageManager) {
+            console.warn('Storage manager not available for export');
+            return false;
+        }
         
-        // Initialize event manager with storage
-        this.eventManager = new EventManager(this.storageManager);
+        return this.storageManager.exportCalendar(this.exportToICS(startDate, endDate));
+    }
+    
+    // Import events from an uploaded .ics file
+    async importFromICSFile(file) {
+        if (!this.storageManager) {
+            throw new Error('Storage manager not available for import');
+        }
+        
+        const icsText = await this.storageManager.readFile(file);
+        return this.importFromICS(icsText);
+    }
+    
+    // Restore from uploaded backup file
+    async restoreFromFile(file) {
+        if (!this.storageManager) {
+            throw new Error('Storage manager not available for restore');
+        }
+        
+        try {
+            const success = await this.storageManager.importData(file);
+            if (success) {
+                // Reload events from storage after successful import, here and in other tabs
+                this.loadFromStorage();
+                if (this.sync) {
+                    this.sync.publish({ type: 'reload' });
+                }
+            }
+            return success;
+        } catch (error) {
+            console.error('Failed to restore from file:', error);
+            throw error;
+        }
+    }
+}
+
+// StorageManager Class for localStorage integration
+class StorageManager {
+    // Ordered schema migrations; each one upgrades stored data ({ events: [...] }) to its version
+    static migrations = [
+        {
+            version: '1.1',
+            description: 'Add end date, recurrence and exception fields to events',
+            migrate(data) {
+                return {
+                    ...data,
+                    events: (data.events || []).map(event => ({
+                        endDate: '',
+                        recurrence: null,
+                        exceptions: {},
+                        ...event
+                    }))
+                };
+            }
+        },
+        {
+            version: '1.2',
+            description: 'Add reminder offsets to events',
+            migrate(data) {
+                return {
+                    ...data,
+                    events: (data.events || []).map(event => ({ reminders: [], ...event }))
+                };
+            }
+        },
+        {
+            version: '1.3',
+            description: 'Add time zones to events (existing events stay floating)',
+            migrate(data) {
+                return {
+                    ...data,
+                    events: (data.events || []).map(event => ({ timeZone: '', ...event }))
+                };
+            }
+        },
+        {
+            version: '1.4',
+            description: 'Add the working-day countdown setting to events',
+            migrate(data) {
+                return {
+                    ...data,
+                    events: (data.events || []).map(event => ({ showWorkingDays: false, ...event }))
+                };
+            }
+        },
+        {
+            version: '1.5',
+            description: 'Add absence type and person to events',
+            migrate(data) {
+                return {
+                    ...data,
+                    events: (data.events || []).map(event => ({ absenceType: '', person: '', ...event }))
+                };
+            }
+        }
+    ];
+    
+    // Version written by this code: the newest registered migration
+    static get currentVersion() {
+        const { migrations } = StorageManager;
+        return migrations.length > 0 ? migrations[migrations.length - 1].version : '1.0';
+    }
+    
+    // Add a migration for a future schema change (kept ordered by version)
+    static registerMigration(migration) {
+        StorageManager.migrations.push(migration);
+        StorageManager.migrations.sort((a, b) => StorageManager.compareVersions(a.version, b.version));
+    }
+    
+    // Data without a valid version predates versioning and counts as '1.0'
+    static normalizeVersion(version) {
+        return /^\d+(\.\d+)*$/.test(String(version)) ? String(version) : '1.0';
+    }
+    
+    // Compare dotted version strings numerically ('1.10' is newer than '1.9')
+    static compareVersions(a, b) {
+        const partsA = StorageManager.normalizeVersion(a).split('.').map(Number);
+        const partsB = StorageManager.normalizeVersion(b).split('.').map(Number);
+        
+        for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+            const difference = (partsA[i] || 0) - (partsB[i] || 0);
+            if (difference !== 0) return Math.sign(difference);
+        }
+        return 0;
+    }
+    
+    constructor(storageKey = 'calendar_events') {
+        this.storageKey = storageKey;
+        this.version = StorageManager.currentVersion;
+        this.versionKey = `${storageKey}_version`;
+        this.lastMigration = null; // Report of the most recent migration run
+        
+        // Check for storage support
+        this.isStorageSupported = this.checkStorageSupport();
+        
+        // Initialize storage version tracking
+        this.initializeVersioning();
+    }
+    
+    // Check if localStorage is supported and available
+    checkStorageSupport() {
+        try {
+            const testKey = '__storage_test__';
+            localStorage.setItem(testKey, 'test');
+            localStorage.removeItem(testKey);
+            return true;
+        } catch (e) {
+            console.warn('localStorage is not supported or is disabled:', e);
+            return false;
+        }
+    }
+    
+    // Initialize version tracking for data migration
+    initializeVersioning() {
+        if (!this.isStorageSupported) return;
+        
+        const storedVersion = localStorage.getItem(this.versionKey);
+        if (!storedVersion) {
+            localStorage.setItem(this.versionKey, this.version);
+        } else if (storedVersion !== this.version) {
+            // Stored data is migrated when it is loaded
+            console.log(`Data version mismatch. Stored: ${storedVersion}, Current: ${this.version}`);
+        }
+    }
+    
+    // Run the migrations newer than fromVersion on data; keeps a backup and records a report.
+    // Returns the migrated data, or the original data if a migration fails.
+    migrateData(data, version) {
+        const fromVersion = StorageManager.normalizeVersion(version);
+        const pending = StorageManager.migrations.filter(migration =>
+            StorageManager.compareVersions(migration.version, fromVersion) > 0 &&
+            StorageManager.compareVersions(migration.version, this.version) <= 0
+        );
+        
+        const report = {
+            fromVersion,
+            toVersion: this.version,
+            applied: [],
+            backupKey: this.backupSnapshot(data, fromVersion),
+            error: null,
+            date: new Date().toISOString()
+        };
+        this.lastMigration = report;
+        
+        let migrated = data;
+        try {
+            pending.forEach(migration => {
+                migrated = migration.migrate(migrated);
+                report.applied.push({ version: migration.version, description: migration.description });
+            });
+        } catch (error) {
+            console.error(`Migration from version ${fromVersion} failed:`, error);
+            report.error = error.message;
+            return data;
+        }
+        
+        console.log(`Migrated data from version ${fromVersion} to ${this.version}:`, report.applied.map(m => m.version));
+        return migrated;
+    }
+    
+    // Keep the pre-migration data (in backup format, so it can be restored); returns the storage key
+    backupSnapshot(data, version) {
+        const backupKey = `${this.storageKey}_backup_v${version}`;
+        
+        try {
+            localStorage.setItem(backupKey, JSON.stringify({
+                data: data,
+                backupDate: new Date().toISOString(),
+                version: version
+            }));
+            return backupKey;
+        } catch (error) {
+            console.warn('Could not back up data before migration:', error);
+            return null;
+        }
+    }
+    
+    // Save data to localStorage
+    save(data) {
+        if (!this.isStorageSupported) {
+            console.warn('Cannot save data: localStorage not supported');
+            return false;
+        }
+        
+        try {
+            const serializedData = JSON.stringify({
+                data: data,
+                timestamp: new Date().toISOString(),
+                version: this.version
+            });
+            
+            localStorage.setItem(this.storageKey, serializedData);
+            return true;
+        } catch (error) {
+            console.error('Failed to save data to localStorage:', error);
+            
+            // Handle storage quota exceeded
+            if (error.name === 'QuotaExceededError') {
+                this.handleStorageQuotaExceeded();
+            }
+            
+            return false;
+        }
+    }
+    
+    // Load data from localStorage
+    load() {
+        if (!this.isStorageSupported) {
+            console.warn('Cannot load data: localStorage not supported');
+            return null;
+        }
+        
+        try {
+            const serializedData = localStorage.getItem(this.storageKey);
+            if (!serializedData) {
+                return null; // No data stored yet
+            }
+            
+            const parsedData = JSON.parse(serializedData);
+            
+            // Validate data structure
+            if (!parsedData.data || !parsedData.timestamp) {
+                console.warn('Invalid data structure in localStorage');
+                return null;
+            }
+            
+            // Upgrade data written by an older version
+            if (StorageManager.compareVersions(parsedData.version, this.version) < 0) {
+                const migrated = this.migrateData(parsedData.data, parsedData.version);
+                if (!this.lastMigration.error && this.save(migrated)) {
+                    localStorage.setItem(this.versionKey, this.version);
+                }
+                return migrated;
+            }
+            
+            // Check data freshness (optional - could implement expiration)
+            const dataAge = Date.now() - new Date(parsedData.timestamp).getTime();
+            const maxAge = 30 * 24 * 60 * 60 * 1000; // 30 days in milliseconds
+            
+            if (dataAge > maxAge) {
+                console.log('Stored data is older than 30 days');
+                // Could choose to clear old data or migrate it
+            }
+            
+            return parsedData.data;
+        } catch (error) {
+            console.error('Failed to load data from localStorage:', error);
+            
+            // Handle corrupted data
+            this.handleCorruptedData();
+            return null;
+        }
+    }
+    
+    // localStorage is read on every load, so there is no cache to refresh
+    refresh() {
+        return Promise.resolve(true);
+    }
+    
+    // Save a small auxiliary record (e.g. sync state) next to the events, under `${storageKey}_${name}`
+    // Kept in localStorage for every backend so it can be read synchronously on startup
+    saveState(name, value) {
+        try {
+            localStorage.setItem(`${this.storageKey}_${name}`, JSON.stringify(value));
+            return true;
+        } catch (error) {
+            console.error(`Failed to save ${name} state:`, error);
+            return false;
+        }
+    }
+    
+    // Load an auxiliary record saved with saveState; null if missing or unreadable
+    loadState(name) {
+        try {
+            const serializedState = localStorage.getItem(`${this.storageKey}_${name}`);
+            return serializedState ? JSON.parse(serializedState) : null;
+        } catch (error) {
+            console.warn(`Failed to load ${name} state:`, error);
+            return null;
+        }
+    }
+    
+    // Clear all stored data
+    clear() {
+        if (!this.isStorageSupported) {
+            console.warn('Cannot clear data: localStorage not supported');
+            return false;
+        }
+        
+        try {
+            localStorage.removeItem(this.storageKey);
+            localStorage.removeItem(this.versionKey);
+            return true;
+        } catch (error) {
+            console.error('Failed to clear localStorage:', error);
+            return false;
+        }
+    }
+    
+    // Get storage usage information
+    getStorageInfo() {
+        if (!this.isStorageSupported) {
+            return null;
+        }
+        
+        try {
+            const data = localStorage.getItem(this.storageKey);
+            const dataSize = data ? new Blob([data]).size : 0;
+            
+            // Estimate total localStorage usage
+            let totalSize = 0;
+            for (let key in localStorage) {
+                if (localStorage.hasOwnProperty(key)) {
+                    totalSize += localStorage[key].length;
+                }
+            }
+            
+            return {
+                dataSize: dataSize,
+                totalSize: totalSize,
+                keyCount: localStorage.length,
+                isSupported: true
+            };
+        } catch (error) {
+            console.error('Failed to get storage info:', error);
+            return null;
+        }
+    }
+    
+    // Create backup of current data
+    createBackup() {
+        const data = this.load();
+        if (!data) return null;
+        
+        const backup = {
+            data: data,
+            backupDate: new Date().toISOString(),
+            version: this.version
+        };
+        
+        return JSON.stringify(backup, null, 2);
+    }
+    
+    // Restore from backup
+    restoreFromBackup(backupString) {
+        try {
+            const backup = JSON.parse(backupString);
+            
+            if (!backup.data || !backup.backupDate) {
+                throw new Error('Invalid backup format');
+            }
+            
+            if (StorageManager.compareVersions(backup.version, this.version) > 0) {
+                throw new Error(`Backup version ${backup.version} is newer than supported version ${this.version}`);
+            }
+            
+            const data = StorageManager.compareVersions(backup.version, this.version) < 0
+                ? this.migrateData(backup.data, backup.version)
+                : backup.data;
+            
+            if (this.lastMigration && this.lastMigration.error) {
+                throw new Error(`Backup could not be upgraded: ${this.lastMigration.error}`);
+            }
+            
+            return this.save(data);
+        } catch (error) {
+            console.error('Failed to restore from backup:', error);
+            return false;
+        }
+    }
+    
+    // Handle storage quota exceeded
+    handleStorageQuotaExceeded() {
+        console.warn('localStorage quota exceeded');
+        
+        // Could implement cleanup strategies:
+        // 1. Remove oldest data
+        // 2. Compress data
+        // 3. Prompt user to clear some data
+        
+        // For now, just log the issue
+        const info = this.getStorageInfo();
+        if (info) {
+            console.log(`Current storage usage: ${info.totalSize} bytes`);
+        }
+    }
+    
+    // Handle corrupted data
+    handleCorruptedData() {
+        console.warn('Corrupted data detected in localStorage');
+        
+        // Could implement recovery strategies:
+        // 1. Try to parse partial data
+        // 2. Reset to default state
+        // 3. Prompt user for action
+        
+        // For now, clear the corrupted data
+        const shouldClear = confirm(I18n.t('storage.confirmClearCorrupted'));
+        if (shouldClear) {
+            this.clear();
+        }
+    }
+    
+    // Export data for download
+    exportData() {
+        const data = this.createBackup();
+        if (!data) return null;
+        
+        return this.downloadFile(data, `calendar_backup_${new Date().toISOString().split('T')[0]}.json`, 'application/json');
+    }
+    
+    // Export an iCalendar document for download
+    exportCalendar(icsText) {
+        return this.downloadFile(icsText, `calendar_${new Date().toISOString().split('T')[0]}.ics`, 'text/calendar');
+    }
+    
+    // Trigger a browser download for text content
+    downloadFile(content, filename, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        
+        URL.revokeObjectURL(url);
+        return true;
+    }
+    
+    // Import data from file
+    importData(file) {
+        return this.readFile(file).then(content => this.restoreFromBackup(content));
+    }
+    
+    // Read an uploaded file as text
+    readFile(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(new Error('Failed to read file'));
+            reader.readAsText(file);
+        });
+    }
+}
+
+// IndexedDB storage with one record per event, indexed by date and category.
+// Keeps the synchronous save/load/clear/getStorageInfo contract of StorageManager by serving
+// reads from an in-memory cache and writing changed records in the background; wait for
+// `ready` before the first load.
+class IndexedDBStorageManager extends StorageManager {
+    static databaseVersion = 1;
+    
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+    
+    constructor(storageKey = 'calendar_events') {
+        super(storageKey);
+        this.databaseName = storageKey;
+        this.records = new Map(); // Event records by ID, mirrors the events store
+        this.timestamp = null;
+        this.db = null;
+        this.fallback = null; // localStorage StorageManager used if the database can't be opened
+        this.databaseRead = Promise.resolve(null);
+        this.pendingWrite = Promise.resolve();
+        this.ready = this.isStorageSupported ? this.open() : Promise.resolve(false);
+    }
+    
+    checkStorageSupport() {
+        return IndexedDBStorageManager.isSupported();
+    }
+    
+    // Versions are kept in the meta store instead of a separate localStorage key
+    initializeVersioning() {}
+    
+    // Open the database, migrate localStorage data on first run and fill the cache.
+    // If the database can't be opened (e.g. in private browsing), localStorage is used instead.
+    async open() {
+        // Queued writes wait for the initial read, so that data saved meanwhile can't make the
+        // database look migrated already
+        const reading = this.openDatabase().then(db => Promise.all([
+            this.request(db.transaction('events').objectStore('events').getAll()),
+            this.request(db.transaction('meta').objectStore('meta').get('state'))
+        ]).then(stored => {
+            this.db = db;
+            return stored;
+        }));
+        this.databaseRead = reading.catch(() => null);
+        
+        try {
+            const [records, meta] = await reading;
+            
+            // Records saved before the database was open are newer than the stored ones
+            records.forEach(record => {
+                if (!this.records.has(record.id)) {
+                    this.records.set(record.id, record);
+                }
+            });
+            this.timestamp = meta ? meta.timestamp : null;
+            
+            if (records.length === 0 && !meta) {
+                await this.migrateFromLocalStorage();
+            } else if (meta && StorageManager.compareVersions(meta.version, this.version) < 0) {
+                const migrated = this.migrateData({ events: records }, meta.version);
+                if (!this.lastMigration.error) {
+                    this.save(migrated);
+                }
+            }
+            
+            return true;
+        } catch (error) {
+            console.error('Failed to open IndexedDB, using localStorage instead:', error);
+            this.useFallback();
+            return false;
+        }
+    }
+    
+    // Private method to switch to localStorage, keeping the events saved while the database was opening
+    useFallback() {
+        this.db = null;
+        this.fallback = new StorageManager(this.storageKey);
+        this.isStorageSupported = this.fallback.isStorageSupported;
+        
+        if (this.records.size > 0) {
+            this.fallback.save(this.mergeRecords(this.fallback.load() || { events: [] }));
+        }
+    }
+    
+    // Private method to add the records saved before the database was read to stored data (they are newer)
+    mergeRecords(data) {
+        const events = (data.events || []).filter(record => !this.records.has(record.id));
+        return { ...data, events: [...events, ...this.records.values()] };
+    }
+    
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.databaseName, IndexedDBStorageManager.databaseVersion);
+            
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('events')) {
+                    const events = db.createObjectStore('events', { keyPath: 'id' });
+                    events.createIndex('date', 'date');
+                    events.createIndex('category', 'category');
+                }
+                if (!db.objectStoreNames.contains('meta')) {
+                    db.createObjectStore('meta', { keyPath: 'key' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+        });
+    }
+    
+    // Move events from the former localStorage key into IndexedDB
+    async migrateFromLocalStorage() {
+        let legacyData = null;
+        let legacyVersion = null;
+        try {
+            const serializedData = localStorage.getItem(this.storageKey);
+            const parsedData = serializedData ? JSON.parse(serializedData) : null;
+            legacyData = parsedData ? parsedData.data : null;
+            legacyVersion = parsedData ? parsedData.version : null;
+        } catch (error) {
+            console.warn('Could not read localStorage data for migration:', error);
+            return false;
+        }
+        
+        if (!legacyData || !Array.isArray(legacyData.events)) return false;
+        
+        if (StorageManager.compareVersions(legacyVersion, this.version) < 0) {
+            legacyData = this.migrateData(legacyData, legacyVersion);
+        }
+        
+        this.save(this.mergeRecords(legacyData));
+        await this.flush();
+        
+        localStorage.removeItem(this.storageKey);
+        localStorage.removeItem(this.versionKey);
+        console.log(`Migrated ${legacyData.events.length} events from localStorage to IndexedDB`);
+        return true;
+    }
+    
+    // Save data (`{ events: [...] }`); only changed and removed records are written
+    save(data) {
+        if (this.fallback) {
+            return this.fallback.save(data);
+        }
+        
+        if (!this.isStorageSupported) {
+            console.warn('Cannot save data: IndexedDB not supported');
+            return false;
+        }
+        
+        const events = Array.isArray(data && data.events) ? data.events : [];
+        const changed = [];
+        const removed = new Set(this.records.keys());
+        
+        events.forEach(record => {
+            removed.delete(record.id);
+            const previous = this.records.get(record.id);
+            if (!previous || JSON.stringify(previous) !== JSON.stringify(record)) {
+                changed.push(record);
+                this.records.set(record.id, record);
+            }
+        });
+        removed.forEach(id => this.records.delete(id));
+        this.timestamp = new Date().toISOString();
+        
+        const meta = { key: 'state', timestamp: this.timestamp, version: this.version };
+        this.enqueueWrite(['events', 'meta'], (transaction) => {
+            const store = transaction.objectStore('events');
+            changed.forEach(record => store.put(record));
+            removed.forEach(id => store.delete(id));
+            transaction.objectStore('meta').put(meta);
+        });
+        
+        return true;
+    }
+    
+    load() {
+        if (this.fallback) {
+            const data = this.fallback.load();
+            this.lastMigration = this.fallback.lastMigration || this.lastMigration;
+            return data;
+        }
+        
+        if (!this.isStorageSupported) {
+            console.warn('Cannot load data: IndexedDB not supported');
+            return null;
+        }
+        
+        if (this.records.size === 0 && !this.timestamp) {
+            return null; // No data stored yet
+        }
+        
+        return {
+            events: Array.from(this.records.values()),
+            exportDate: this.timestamp
+        };
+    }
+    
+    // Re-read the cache from the database, e.g. after another tab replaced its contents
+    async refresh() {
+        await this.flush();
+        if (!await this.ready) return this.fallback.refresh();
+        
+        const [records, meta] = await Promise.all([
+            this.request(this.transaction('events').objectStore('events').getAll()),
+            this.request(this.transaction('meta').objectStore('meta').get('state'))
+        ]);
+        this.records = new Map(records.map(record => [record.id, record]));
+        this.timestamp = meta ? meta.timestamp : null;
+        return true;
+    }
+    
+    clear() {
+        if (this.fallback) {
+            return this.fallback.clear();
+        }
+        
+        if (!this.isStorageSupported) {
+            console.warn('Cannot clear data: IndexedDB not supported');
+            return false;
+        }
+        
+        this.records.clear();
+        this.timestamp = null;
+        this.enqueueWrite(['events', 'meta'], (transaction) => {
+            transaction.objectStore('events').clear();
+            transaction.objectStore('meta').delete('state'); // Migration backups are kept
+        });
+        return true;
+    }
+    
+    getStorageInfo() {
+        if (this.fallback) {
+            const info = this.fallback.getStorageInfo();
+            return info && { ...info, backend: 'localStorage' };
+        }
+        
+        if (!this.isStorageSupported) {
+            return null;
+        }
+        
+        const dataSize = new Blob([JSON.stringify(Array.from(this.records.values()))]).size;
+        
+        return {
+            dataSize: dataSize,
+            totalSize: dataSize,
+            keyCount: this.records.size,
+            isSupported: true,
+            backend: 'indexedDB'
+        };
+    }
+    
+    // Query stored event records through an index, e.g. queryIndex('date', IDBKeyRange.bound(start, end))
+    async queryIndex(indexName, query) {
+        if (!await this.ready) {
+            throw new Error('IndexedDB could not be opened');
+        }
+        await this.flush();
+        
+        const index = this.transaction('events').objectStore('events').index(indexName);
+        return this.request(index.getAll(query));
+    }
+    
+    getRecordsByDateRange(startDate, endDate) {
+        return this.queryIndex('date', IDBKeyRange.bound(startDate, endDate));
+    }
+    
+    getRecordsByCategory(category) {
+        return this.queryIndex('category', category);
+    }
+    
+    // Resolves once all queued writes have been committed
+    flush() {
+        return this.pendingWrite;
+    }
+    
+    // Private method to run writes in order, after the database has been opened
+    enqueueWrite(storeNames, write) {
+        this.pendingWrite = this.pendingWrite
+            .then(() => this.databaseRead)
+            .then(() => {
+                if (!this.db) return;
+                
+                return new Promise((resolve, reject) => {
+                    const transaction = this.transaction(storeNames, 'readwrite');
+                    transaction.oncomplete = () => resolve();
+                    transaction.onerror = () => reject(transaction.error);
+                    transaction.onabort = () => reject(transaction.error);
+                    write(transaction);
+                });
+            })
+            .catch(error => {
+                console.error('Failed to write to IndexedDB:', error);
+                if (error && error.name === 'QuotaExceededError') {
+                    this.handleStorageQuotaExceeded();
+                }
+            });
+        
+        return this.pendingWrite;
+    }
+    
+    transaction(storeNames, mode = 'readonly') {
+        return this.db.transaction(storeNames, mode);
+    }
+    
+    request(idbRequest) {
+        return new Promise((resolve, reject) => {
+            idbRequest.onsuccess = () => resolve(idbRequest.result);
+            idbRequest.onerror = () => reject(idbRequest.error);
+        });
+    }
+    
+    // Pre-migration snapshots go into the meta store
+    backupSnapshot(data, version) {
+        if (this.fallback) {
+            return this.fallback.backupSnapshot(data, version);
+        }
+        
+        const backupKey = `backup_v${version}`;
+        
+        this.enqueueWrite(['meta'], (transaction) => {
+            transaction.objectStore('meta').put({
+                key: backupKey,
+                data: data,
+                backupDate: new Date().toISOString(),
+                version: version
+            });
+        });
+        return backupKey;
+    }
+    
+    handleStorageQuotaExceeded() {
+        console.warn('IndexedDB quota exceeded');
+        
+        if (navigator.storage && navigator.storage.estimate) {
+            navigator.storage.estimate().then(({ usage, quota }) => {
+                console.log(`Current storage usage: ${usage} of ${quota} bytes`);
+            });
+        }
+    }
+}
+
+// Change notifications between tabs showing the same calendar
+// Uses a BroadcastChannel where available and falls back to `storage` events on a message key
+class CrossTabSync {
+    constructor(channelName, onMessage) {
+        this.channelName = channelName;
+        this.messageKey = `${channelName}_message`;
+        this.onMessage = onMessage;
+        this.tabId = 'tab_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+        this.channel = null;
+        
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(channelName);
+            this.channel.onmessage = (messageEvent) => this.receive(messageEvent.data);
+        } else {
+            this.handleStorageEvent = (storageEvent) => {
+                if (storageEvent.key !== this.messageKey || !storageEvent.newValue) return;
+                
+                try {
+                    this.receive(JSON.parse(storageEvent.newValue));
+                } catch (error) {
+                    console.warn('Ignoring malformed sync message:', error);
+                }
+            };
+            window.addEventListener('storage', this.handleStorageEvent);
+        }
+    }
+    
+    // Send a message ({ type, ... }) to all other tabs
+    publish(message) {
+        const payload = { ...message, source: this.tabId, sentAt: new Date().toISOString() };
+        
+        try {
+            if (this.channel) {
+                this.channel.postMessage(payload);
+            } else {
+                // Storage events only fire when the value changes, which sentAt and source ensure
+                localStorage.setItem(this.messageKey, JSON.stringify(payload));
+            }
+            return true;
+        } catch (error) {
+            console.warn('Failed to notify other tabs:', error);
+            return false;
+        }
+    }
+    
+    receive(message) {
+        if (!message || message.source === this.tabId) return;
+        this.onMessage(message);
+    }
+    
+    close() {
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        } else if (this.handleStorageEvent) {
+            window.removeEventListener('storage', this.handleStorageEvent);
+        }
+    }
+}
+
+// iCalendar (RFC 5545) conversion for sharing events with other calendar clients
+class ICalendar {
+    static productId = '-//JavaScript Kalender//DE';
+    static uidDomain = 'javascript-calendar';
+    
+    // Serialize events into a VCALENDAR document
+    static serialize(events) {
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${this.productId}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH'
+        ];
+        
+        // Every TZID used needs a VTIMEZONE; its rules start the year before the zone's first event
+        // so that no event precedes them
+        const firstYears = new Map();
+        events.filter(event => event.timeZone).forEach(event => {
+            const year = DateUtils.parseDate(event.date).year;
+            firstYears.set(event.timeZone, Math.min(year, firstYears.get(event.timeZone) || year));
+        });
+        firstYears.forEach((year, timeZone) => lines.push(...this.serializeTimeZone(timeZone, year - 1)));
+        
+        events.forEach(event => {
+            lines.push(...this.serializeEvent(event));
+            
+            // Changed occurrences are exported as separate VEVENTs with a RECURRENCE-ID
+            Object.entries(event.exceptions).forEach(([recurrenceId, exception]) => {
+                if (!exception.cancelled && event.isRecurring()) {
+                    lines.push(...this.serializeEvent(event.createOccurrence(recurrenceId), event));
+                }
+            });
+        });
+        
+        lines.push('END:VCALENDAR');
+        return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+    }
+    
+    // Occurrences need their series: RECURRENCE-ID names the original start, not the moved one
+    static serializeEvent(event, series = event) {
+        const lines = [
+            'BEGIN:VEVENT',
+            `UID:${event.id}@${this.uidDomain}`,
+            `DTSTAMP:${this.formatUTCDateTime(event.updatedAt)}`,
+            `CREATED:${this.formatUTCDateTime(event.createdAt)}`,
+            `LAST-MODIFIED:${this.formatUTCDateTime(event.updatedAt)}`
+        ];
+        
+        if (event.isOccurrence()) {
+            lines.push(this.formatDateProperty('RECURRENCE-ID', event.recurrenceId, series.startTime, series.timeZone));
+        }
+        
+        if (event.startTime) {
+            lines.push(this.formatDateProperty('DTSTART', event.date, event.startTime, event.timeZone));
+            if (event.endTime) {
+                lines.push(this.formatDateProperty('DTEND', event.getEndDate(), event.endTime, event.timeZone));
+            } else if (event.isMultiDay()) {
+                lines.push(this.formatDateProperty('DTEND', DateUtils.addDays(event.getEndDate(), 1), '00:00', event.timeZone));
+            }
+        } else {
+            // All-day events end (exclusive) on the day after their last day
+            lines.push(this.formatDateProperty('DTSTART', event.date));
+            lines.push(this.formatDateProperty('DTEND', DateUtils.addDays(event.getEndDate(), 1)));
+        }
+        
+        lines.push(`SUMMARY:${this.escapeText(event.title)}`);
+        if (event.description) {
+            lines.push(`DESCRIPTION:${this.escapeText(event.description)}`);
+        }
+        lines.push(`CATEGORIES:${this.escapeText(event.category.toUpperCase())}`);
+        
+        if (event.isRecurring() && !event.isOccurrence()) {
+            lines.push(`RRULE:${RecurrenceRule.toRRULE(event.recurrence)}`);
+            
+            Object.entries(event.exceptions)
+                .filter(([, exception]) => exception.cancelled)
+                .forEach(([recurrenceId]) => {
+                    lines.push(this.formatDateProperty('EXDATE', recurrenceId, event.startTime, event.timeZone));
+                });
+        }
+        
+        event.reminders.forEach(minutes => {
+            lines.push(
+                'BEGIN:VALARM',
+                'ACTION:DISPLAY',
+                `DESCRIPTION:${this.escapeText(event.title)}`,
+                `TRIGGER:${this.formatDuration(-minutes)}`,
+                'END:VALARM'
+            );
+        });
+        
+        lines.push('END:VEVENT');
+        return lines;
+    }
+    
+    // VTIMEZONE with the offsets of a zone from a year on: its DST changes in that year repeat
+    // yearly on the same weekday of the month (e.g. the last Sunday of March)
+    static serializeTimeZone(timeZone, year) {
+        const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+        const transitions = TimeZoneUtils.getTransitions(year, timeZone);
+        
+        if (transitions.length === 0) {
+            const offset = this.formatUTCOffset(TimeZoneUtils.getOffset(Date.UTC(year, 0, 1), timeZone));
+            lines.push('BEGIN:STANDARD', 'DTSTART:19700101T000000', `TZOFFSETFROM:${offset}`, `TZOFFSETTO:${offset}`, 'END:STANDARD');
+        }
+        
+        transitions.forEach(({ timestamp, offsetFrom, offsetTo }) => {
+            // Observances start at the wall-clock time before the change
+            const onset = new Date(timestamp + offsetFrom * 60000);
+            const date = DateUtils.formatDate(onset.getUTCFullYear(), onset.getUTCMonth(), onset.getUTCDate());
+            const time = DateUtils.minutesToTime(onset.getUTCHours() * 60 + onset.getUTCMinutes());
+            const daysInMonth = new Date(Date.UTC(onset.getUTCFullYear(), onset.getUTCMonth() + 1, 0)).getUTCDate();
+            const week = onset.getUTCDate() + 7 > daysInMonth ? -1 : Math.ceil(onset.getUTCDate() / 7);
+            const component = offsetTo > offsetFrom ? 'DAYLIGHT' : 'STANDARD';
+            
+            lines.push(`BEGIN:${component}`, this.formatDateProperty('DTSTART', date, time));
+            // A single change in the year (e.g. a zone dropping DST) doesn't repeat
+            if (transitions.length === 2) {
+                lines.push(`RRULE:FREQ=YEARLY;BYMONTH=${onset.getUTCMonth() + 1};BYDAY=${week}${RecurrenceRule.weekdays[DateUtils.getWeekday(date)]}`);
+            }
+            lines.push(`TZOFFSETFROM:${this.formatUTCOffset(offsetFrom)}`, `TZOFFSETTO:${this.formatUTCOffset(offsetTo)}`, `END:${component}`);
+        });
+        
+        lines.push('END:VTIMEZONE');
+        return lines;
+    }
+    
+    // Parse a VCALENDAR document into event data plus a list of skipped components
+    static parse(text) {
+        const events = [];
+        const overrides = [];
+        const skipped = [];
+        const stack = [];
+        let current = null;
+        let eventNumber = 0; // Position of the current VEVENT, for skip messages
+        let hasCalendar = false;
+        
+        this.unfoldLines(text).forEach(line => {
+            const property = this.parseProperty(line);
+            if (!property) return;
+            
+            if (property.name === 'BEGIN') {
+                stack.push(property.value.toUpperCase());
+                if (stack.length === 1) {
+                    hasCalendar = stack[0] === 'VCALENDAR';
+                } else if (stack.length === 2 && stack[1] === 'VEVENT') {
+                    current = {};
+                    eventNumber++;
+                } else if (stack.length === 2 && stack[1] !== 'VTIMEZONE') {
+                    // Time zones are looked up by their TZID instead of their VTIMEZONE definition
+                    skipped.push(`${stack[1]}: Unsupported component`);
+                } else if (stack.length === 3 && stack[2] === 'VALARM' && current) {
+                    current.VALARM = [...(current.VALARM || []), {}];
+                } else if (stack.length > 2 && stack[1] === 'VEVENT') {
+                    skipped.push(`${property.value.toUpperCase()} in VEVENT ${eventNumber}: Unsupported component`);
+                }
+                return;
+            }
+            
+            if (property.name === 'END') {
+                if (stack.length === 2 && current) {
+                    // A malformed VEVENT (e.g. an invalid DTSTART) is skipped, not the whole file
+                    try {
+                        const eventData = this.mapEvent(current, skipped);
+                        (current['RECURRENCE-ID'] ? overrides : events).push(eventData);
+                    } catch (error) {
+                        skipped.push(`VEVENT ${eventNumber}: ${error.message}`);
+                    }
+                    current = null;
+                }
+                stack.pop();
+                return;
+            }
+            
+            // Alarms only contribute their trigger
+            if (current && stack.length === 3 && stack[2] === 'VALARM') {
+                current.VALARM[current.VALARM.length - 1][property.name] = property;
+                return;
+            }
+            
+            // Only properties directly on the VEVENT are used
+            if (current && stack.length === 2) {
+                if (property.name === 'EXDATE') {
+                    current.EXDATE = [...(current.EXDATE || []), property];
+                } else {
+                    current[property.name] = property;
+                }
+            }
+        });
+        
+        if (!hasCalendar) {
+            throw new Error('Invalid iCalendar format: missing VCALENDAR');
+        }
+        
+        // Attach changed occurrences to their series
+        overrides.forEach(override => {
+            const series = events.find(event => event.id === override.id && event.recurrence);
+            if (!series) {
+                skipped.push(`VEVENT ${override.id}: Occurrence of unknown series ${override.recurrenceId}`);
+                return;
+            }
+            
+            const { title, description, date, endDate, startTime, endTime, category } = override;
+            series.exceptions[override.recurrenceId] = { title, description, date, endDate, startTime, endTime, category };
+        });
+        
+        return { events, skipped };
+    }
+    
+    // Map VEVENT properties onto Event fields (alarms that can't become reminders are added to skipped)
+    static mapEvent(properties, skipped = []) {
+        const start = properties.DTSTART ? this.parseDateValue(properties.DTSTART) : null;
+        let end = properties.DTEND ? this.parseDateValue(properties.DTEND) : null;
+        if (start && start.time && end && end.time && end.timeZone !== start.timeZone) {
+            // Express the end in the start's time zone
+            end = { ...TimeZoneUtils.convert(end.date, end.time, end.timeZone, start.timeZone), timeZone: start.timeZone };
+        }
+        const uid = properties.UID ? properties.UID.value : '';
+        const category = properties.CATEGORIES
+            ? this.unescapeText(properties.CATEGORIES.value).split(',')[0].trim().toLowerCase()
+            : '';
+        const eventData = {
+            title: properties.SUMMARY ? this.unescapeText(properties.SUMMARY.value) : '',
+            description: properties.DESCRIPTION ? this.unescapeText(properties.DESCRIPTION.value) : '',
+            date: start ? start.date : '',
+            endDate: start && end ? this.getInclusiveEndDate(start, end) : '',
+            startTime: start ? start.time : '',
+            endTime: end && start && start.time ? end.time : '',
+            timeZone: start && start.time ? start.timeZone : '',
+            category: Event.categories.includes(category) ? category : 'general',
+            recurrence: properties.RRULE ? RecurrenceRule.fromRRULE(properties.RRULE.value) : null,
+            exceptions: {},
+            reminders: []
+        };
+        
+        if (uid) {
+            eventData.id = uid.replace(new RegExp(`@${this.uidDomain}$`), '');
+        }
+        
+        if (properties.CREATED) {
+            eventData.createdAt = this.parseUTCDateTime(properties.CREATED.value);
+        }
+        
+        if (properties['LAST-MODIFIED']) {
+            eventData.updatedAt = this.parseUTCDateTime(properties['LAST-MODIFIED'].value);
+        }
+        
+        if (properties['RECURRENCE-ID']) {
+            eventData.recurrenceId = this.parseDateValue(properties['RECURRENCE-ID']).date;
+        }
+        
+        (properties.VALARM || []).forEach(alarm => {
+            const minutes = this.getReminderMinutes(alarm.TRIGGER);
+            if (minutes === null) {
+                skipped.push(`VALARM in "${eventData.title}": Only alarms before the start are supported`);
+            } else {
+                eventData.reminders.push(minutes);
+            }
+        });
+        
+        (properties.EXDATE || []).forEach(exdate => {
+            exdate.value.split(',').forEach(value => {
+                const parsed = this.parseDateValue({ ...exdate, value });
+                eventData.exceptions[parsed.date] = { cancelled: true };
+            });
+        });
+        
+        return eventData;
+    }
+    
+    // Minutes before the start for a relative alarm TRIGGER, or null for other triggers
+    static getReminderMinutes(trigger) {
+        if (!trigger || (trigger.params.RELATED || '').toUpperCase() === 'END') {
+            return null;
+        }
+        
+        const minutes = this.parseDuration(trigger.value);
+        return minutes !== null && minutes <= 0 ? -minutes : null;
+    }
+    
+    // Parse a DURATION value (e.g. -PT15M, -P1D, P1W) into minutes; null if invalid
+    static parseDuration(value) {
+        const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+        if (!match || !/\d/.test(value)) return null;
+        
+        const [, sign, weeks, days, hours, minutes, seconds] = match.map(part => part || 0);
+        const total = ((+weeks * 7 + +days) * 24 + +hours) * 60 + +minutes + Math.floor(+seconds / 60);
+        return sign === '-' ? -total : total;
+    }
+    
+    // Format minutes as a DURATION value (e.g. -PT15M, -P1D)
+    static formatDuration(totalMinutes) {
+        const sign = totalMinutes < 0 ? '-' : '';
+        const minutes = Math.abs(totalMinutes);
+        if (minutes === 0) return 'PT0M';
+        if (minutes % (7 * 24 * 60) === 0) return `${sign}P${minutes / (7 * 24 * 60)}W`;
+        
+        const days = Math.floor(minutes / (24 * 60));
+        const hours = Math.floor(minutes % (24 * 60) / 60);
+        const time = (hours ? `${hours}H` : '') + (minutes % 60 ? `${minutes % 60}M` : '');
+        return `${sign}P${days ? `${days}D` : ''}${time ? `T${time}` : ''}`;
+    }
+    
+    // DTEND is exclusive for all-day events, so the last covered day is the day before
+    static getInclusiveEndDate(start, end) {
+        const endDate = start.time ? end.date : DateUtils.addDays(end.date, -1);
+        return endDate > start.date ? endDate : '';
+    }
+    
+    // Split a content line into name, parameters and value
+    static parseProperty(line) {
+        const match = /^([A-Za-z0-9-]+)((?:;[^:;]+=(?:"[^"]*"|[^:;]*))*):(.*)$/.exec(line);
+        if (!match) return null;
+        
+        const params = {};
+        (match[2].match(/;[^:;]+=(?:"[^"]*"|[^:;]*)/g) || []).forEach(param => {
+            const [key, ...value] = param.slice(1).split('=');
+            params[key.toUpperCase()] = value.join('=').replace(/^"|"$/g, '');
+        });
+        
+        return { name: match[1].toUpperCase(), params, value: match[3] };
+    }
+    
+    // Parse a DATE or DATE-TIME property into local YYYY-MM-DD and HH:MM
+    static parseDateValue(property) {
+        const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(property.value.trim());
+        if (!match) {
+            throw new Error(`Invalid date value: ${property.value}`);
+        }
+        
+        const [, year, month, day, hours, minutes, , utc] = match;
+        if (hours === undefined || property.params.VALUE === 'DATE') {
+            return { date: `${year}-${month}-${day}`, time: '', timeZone: '' };
+        }
+        
+        if (utc) {
+            // Convert UTC times to the viewer's time zone
+            const timeZone = TimeZoneUtils.getSystemTimeZone();
+            const timestamp = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes));
+            return { ...TimeZoneUtils.getZonedDateTime(timestamp, timeZone), timeZone };
+        }
+        
+        // TZIDs that aren't IANA zone names (e.g. Windows names) are read as floating times
+        const { TZID } = property.params;
+        return {
+            date: `${year}-${month}-${day}`,
+            time: `${hours}:${minutes}`,
+            timeZone: TZID && TimeZoneUtils.isValidTimeZone(TZID) ? TZID : ''
+        };
+    }
+    
+    static parseUTCDateTime(value) {
+        const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(value.trim());
+        if (!match) return undefined;
+        
+        const [, year, month, day, hours, minutes, seconds] = match;
+        return `${year}-${month}-${day}T${hours}:${minutes}:${seconds}.000Z`;
+    }
+    
+    // Zoned times reference the IANA zone name as TZID (serialize adds the matching VTIMEZONE)
+    static formatDateProperty(name, date, time = '', timeZone = '') {
+        const dateValue = date.replace(/-/g, '');
+        if (!time) {
+            return `${name};VALUE=DATE:${dateValue}`;
+        }
+        
+        const value = `${dateValue}T${time.replace(':', '')}00`;
+        return timeZone ? `${name};TZID=${timeZone}:${value}` : `${name}:${value}`;
+    }
+    
+    // Format minutes ahead of UTC as a UTC-OFFSET value (e.g. +0100, -0500)
+    static formatUTCOffset(minutes) {
+        const sign = minutes < 0 ? '-' : '+';
+        const absolute = Math.abs(minutes);
+        return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}${String(absolute % 60).padStart(2, '0')}`;
+    }
+    
+    static formatUTCDateTime(isoString) {
+        return new Date(isoString).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+    
+    static escapeText(text) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+    
+    static unescapeText(text) {
+        return String(text).replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N') ? '\n' : char);
+    }
+    
+    // Join folded continuation lines (CRLF followed by a space or tab)
+    static unfoldLines(text) {
+        return String(text)
+            .replace(/\r\n/g, '\n')
+            .replace(/\n[ \t]/g, '')
+            .split('\n')
+            .filter(line => line.trim().length > 0);
+    }
+    
+    // Fold content lines longer than 75 octets
+    static foldLine(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+        let limit = 75;
+        
+        for (const char of line) {
+            if (encoder.encode(current + char).length > limit) {
+                parts.push(current);
+                current = '';
+                limit = 74; // Continuation lines start with a space
+            }
+            current += char;
+        }
+        parts.push(current);
+        
+        return parts.join('\r\n ');
+    }
+}
+
+// Base class for remote calendar adapters (CalDAVSync, RestSync) plugged into EventManager.remote
+// Subclasses implement enqueueChanges(changes), pushChanges() and pullChanges(); the base runs them
+// periodically, retries failed runs with exponential backoff and reports status changes.
+// Subclass state (at least a `queue` of pending work) is persisted through the StorageManager.
+class RemoteSync {
+    constructor(eventManager, options = {}, stateName = 'remote') {
+        this.eventManager = eventManager;
+        this.stateName = stateName;
+        this.fetch = options.fetch || ((url, init) => window.fetch(url, init));
+        this.interval = options.interval || 5 * 60 * 1000; // Pull period in milliseconds
+        this.retryDelay = options.retryDelay || 2000; // First retry delay, doubled after every failure
+        this.maxRetryDelay = options.maxRetryDelay || 5 * 60 * 1000;
+        this.onStatusChange = options.onStatusChange || (() => {});
+        this.onConflict = options.onConflict || null;
+        
+        this.state = { queue: [] };
+        this.status = { state: 'idle', lastSync: null, error: null, retryAt: null };
+        this.running = null;
+        this.syncRequested = false;
+        this.failures = 0;
+        this.timer = null;
+        this.retryTimer = null;
+        this.handleOnline = () => this.sync();
+    }
+    
+    // Start periodic syncing; also syncs whenever the browser comes back online
+    start() {
+        this.stop();
+        window.addEventListener('online', this.handleOnline);
+        this.timer = setInterval(() => this.sync(), this.interval);
+        return this.sync();
+    }
+    
+    stop() {
+        window.removeEventListener('online', this.handleOnline);
+        clearInterval(this.timer);
+        clearTimeout(this.retryTimer);
+        this.timer = null;
+        this.retryTimer = null;
+    }
+    
+    getStatus() {
+        return {
+            ...this.status,
+            pending: this.state.queue.length
+        };
+    }
+    
+    // Sync after a local change, unless a retry is already scheduled
+    requestSync() {
+        if (!this.retryTimer) {
+            this.sync();
+        }
+    }
+    
+    // Push queued changes, then pull remote changes; concurrent calls share one run
+    sync() {
+        if (this.running) {
+            this.syncRequested = true;
+            return this.running;
+        }
+        
+        this.running = this.runSync().finally(() => {
+            this.running = null;
+            if (this.syncRequested) {
+                this.syncRequested = false;
+                this.sync();
+            }
+        });
+        return this.running;
+    }
+    
+    async runSync() {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        
+        if (navigator.onLine === false) {
+            this.setStatus('offline');
+            return false;
+        }
+        
+        this.setStatus('syncing');
+        try {
+            await this.pushChanges();
+            await this.pullChanges();
+            this.failures = 0;
+            this.setStatus('idle', { lastSync: new Date().toISOString() });
+            return true;
+        } catch (error) {
+            // fetch rejects with a TypeError when the server cannot be reached
+            const offline = error.name === 'TypeError';
+            if (!offline) {
+                console.error(`${this.constructor.name} failed:`, error);
+            }
+            
+            const retryAt = this.scheduleRetry();
+            this.setStatus(offline ? 'offline' : 'error', { error: offline ? null : error.message, retryAt });
+            return false;
+        }
+    }
+    
+    // Retry after 1, 2, 4, ... times the retry delay (capped); returns the time of the retry
+    scheduleRetry() {
+        const delay = Math.min(this.retryDelay * 2 ** this.failures, this.maxRetryDelay);
+        this.failures++;
+        this.retryTimer = setTimeout(() => this.sync(), delay);
+        return new Date(Date.now() + delay).toISOString();
+    }
+    
+    setStatus(state, details = {}) {
+        const previous = this.status;
+        this.status = { ...previous, error: null, retryAt: null, ...details, state };
+        if (previous.state !== state || previous.error !== this.status.error) {
+            this.onStatusChange(this.getStatus(), previous);
+        }
+    }
+    
+    loadState() {
+        const storageManager = this.eventManager.storageManager;
+        return storageManager ? storageManager.loadState(this.stateName) : null;
+    }
+    
+    saveState() {
+        const storageManager = this.eventManager.storageManager;
+        if (storageManager) {
+            storageManager.saveState(this.stateName, this.state);
+        }
+    }
+}
+
+// Two-way sync of EventManager events with a CalDAV calendar collection (RFC 4791)
+// Pulls with PROPFIND (collection tag) and REPORT (ETags, then calendar data of changed resources),
+// pushes with PUT/DELETE guarded by ETags. IDs of locally changed events are queued (and persisted)
+// until the server accepts them, so changes made offline are replayed once it is reachable again.
+class CalDAVSync extends RemoteSync {
+    static namespaces = {
+        dav: 'DAV:',
+        caldav: 'urn:ietf:params:xml:ns:caldav',
+        calendarServer: 'http://calendarserver.org/ns/'
+    };
+    
+    constructor(eventManager, options = {}) {
+        if (!options.url) {
+            throw new Error('CalDAV calendar URL is required');
+        }
+        
+        super(eventManager, options, 'caldav');
+        this.url = new URL(options.url.endsWith('/') ? options.url : `${options.url}/`, window.location.href).href;
+        this.username = options.username || '';
+        this.password = options.password || '';
+        this.pushing = false;
+        
+        // Persisted: collection tag, resource (href/ETag) per event ID, queue of event IDs to push
+        this.state = { ctag: null, resources: {}, queue: [], ...this.loadState() };
+    }
+    
+    getStatus() {
+        return { ...super.getStatus(), url: this.url };
+    }
+    
+    // Queue events saved locally ({ id, eventData } as published by EventManager) and push them
+    enqueueChanges(changes) {
+        // The first entry may be in flight; a change made meanwhile must be pushed again
+        const waiting = this.state.queue.slice(this.pushing ? 1 : 0);
+        changes.forEach(({ id }) => {
+            if (!waiting.includes(id)) {
+                this.state.queue.push(id);
+                waiting.push(id);
+            }
+        });
+        this.saveState();
+        this.requestSync();
+    }
+    
+    async pushChanges() {
+        while (this.state.queue.length > 0) {
+            this.pushing = true;
+            try {
+                await this.pushEvent(this.state.queue[0]);
+            } finally {
+                this.pushing = false;
+            }
+            this.state.queue.shift();
+            this.saveState();
+        }
+    }
+    
+    // Write one event's current state to the server; a 412 means the server copy changed meanwhile
+    async pushEvent(id, retried = false) {
+        const event = this.eventManager.getById(id);
+        const resource = this.state.resources[id];
+        
+        if (!event && !resource) return;
+        
+        let response;
+        if (event) {
+            const href = resource ? resource.href : new URL(`${encodeURIComponent(id)}.ics`, this.url).href;
+            const headers = { 'Content-Type': 'text/calendar; charset=utf-8' };
+            if (resource && resource.etag) {
+                headers['If-Match'] = resource.etag;
+            } else if (!resource) {
+                headers['If-None-Match'] = '*';
+            }
+            
+            response = await this.request('PUT', href, ICalendar.serialize([event]), headers);
+            if (response.ok) {
+                this.state.resources[id] = { href, etag: response.headers.get('ETag') };
+                return;
+            }
+        } else {
+            response = await this.request('DELETE', resource.href, null, resource.etag ? { 'If-Match': resource.etag } : {});
+            if (response.ok || response.status === 404) {
+                delete this.state.resources[id];
+                return;
+            }
+        }
+        
+        if (response.status !== 412 || retried) {
+            throw new Error(`${event ? 'PUT' : 'DELETE'} ${id} failed: ${response.status} ${response.statusText}`);
+        }
+        
+        if (await this.resolveConflict(id)) {
+            await this.pushEvent(id, true);
+        }
+    }
+    
+    // Compare the local event with the server copy; the newer one (by updatedAt) is kept and
+    // the conflict is reported. Returns true if the local version still has to be pushed.
+    async resolveConflict(id) {
+        const local = this.eventManager.getById(id);
+        const resource = this.state.resources[id];
+        const href = resource ? resource.href : new URL(`${encodeURIComponent(id)}.ics`, this.url).href;
+        const response = await this.request('GET', href);
+        
+        if (response.status === 404) {
+            // Deleted on the server: a local edit recreates it, a local deletion is done
+            delete this.state.resources[id];
+            if (local) {
+                this.reportConflict({ id, keptLocal: true, kept: local.toJSON(), discarded: null });
+            }
+            return Boolean(local);
+        }
+        
+        if (!response.ok) {
+            throw new Error(`GET ${id} failed: ${response.status} ${response.statusText}`);
+        }
+        
+        const etag = response.headers.get('ETag');
+        const remote = this.parseResource(await response.text());
+        this.state.resources[id] = { href, etag };
+        
+        if (!remote) return true;
+        
+        const localData = local ? local.toJSON() : null;
+        const keptLocal = local !== null && local.updatedAt > remote.updatedAt;
+        this.reportConflict({
+            id,
+            keptLocal,
+            kept: keptLocal ? localData : remote,
+            discarded: keptLocal ? remote : localData
+        });
+        
+        if (!keptLocal) {
+            this.eventManager.applyRemoteChanges([{ id, eventData: remote }]);
+        }
+        return keptLocal;
+    }
+    
+    reportConflict(conflict) {
+        if (this.onConflict) {
+            this.onConflict(conflict);
+        }
+    }
+    
+    // Fetch resources whose ETag changed since the last pull and apply them (and remote deletions)
+    async pullChanges() {
+        const ctag = await this.fetchCollectionTag();
+        if (ctag && ctag === this.state.ctag) return 0;
+        
+        const etags = await this.fetchETags();
+        const idsByHref = new Map(Object.entries(this.state.resources).map(([id, resource]) => [resource.href, id]));
+        const changedHrefs = [...etags.keys()].filter(href => {
+            const id = idsByHref.get(href);
+            return !id || this.state.resources[id].etag !== etags.get(href);
+        });
+        
+        const changes = [];
+        const resources = changedHrefs.length > 0 ? await this.fetchCalendarData(changedHrefs) : [];
+        resources.forEach(({ href, etag, calendarData }) => {
+            const eventData = this.parseResource(calendarData);
+            // Events with queued local changes are settled by the push (ETag mismatch)
+            if (!eventData || this.state.queue.includes(eventData.id)) return;
+            
+            this.state.resources[eventData.id] = { href, etag };
+            changes.push({ id: eventData.id, eventData });
+        });
+        
+        idsByHref.forEach((id, href) => {
+            if (etags.has(href) || this.state.queue.includes(id)) return;
+            delete this.state.resources[id];
+            changes.push({ id, eventData: null });
+        });
+        
+        // On the first sync, upload the local events the server doesn't have yet
+        if (!this.state.ctag && idsByHref.size === 0) {
+            const localOnly = this.eventManager.getAll()
+                .filter(event => !this.state.resources[event.id] && !changes.some(change => change.id === event.id));
+            this.state.queue.push(...localOnly.map(event => event.id).filter(id => !this.state.queue.includes(id)));
+        }
+        
+        if (changes.length > 0) {
+            this.eventManager.applyRemoteChanges(changes);
+        }
+        
+        this.state.ctag = ctag || this.state.ctag || 'pulled';
+        this.saveState();
+        
+        if (this.state.queue.length > 0) {
+            await this.pushChanges();
+        }
+        return changes.length;
+    }
+    
+    // Collection tag (or sync token) that changes whenever any resource changes; null if unsupported
+    async fetchCollectionTag() {
+        const response = await this.request('PROPFIND', this.url, this.buildXML('d:propfind', '<d:prop><cs:getctag/><d:sync-token/></d:prop>'), {
+            'Content-Type': 'application/xml; charset=utf-8',
+            'Depth': '0'
+        });
+        const responses = await this.readMultistatus(response, 'PROPFIND');
+        const props = responses.length > 0 ? responses[0].props : {};
+        return props.getctag || props['sync-token'] || null;
+    }
+    
+    // ETags of all events in the collection, by absolute href
+    async fetchETags() {
+        const body = this.buildXML('c:calendar-query',
+            '<d:prop><d:getetag/></d:prop>' +
+            '<c:filter><c:comp-filter name="VCALENDAR"><c:comp-filter name="VEVENT"/></c:comp-filter></c:filter>');
+        const response = await this.request('REPORT', this.url, body, {
+            'Content-Type': 'application/xml; charset=utf-8',
+            'Depth': '1'
+        });
+        const responses = await this.readMultistatus(response, 'REPORT');
+        
+        return new Map(responses
+            .filter(({ href, props }) => href !== this.url && props.getetag)
+            .map(({ href, props }) => [href, props.getetag]));
+    }
+    
+    // Calendar data of the given resources
+    async fetchCalendarData(hrefs) {
+        const hrefElements = hrefs.map(href => `<d:href>${this.escapeXML(new URL(href).pathname)}</d:href>`).join('');
+        const body = this.buildXML('c:calendar-multiget', `<d:prop><d:getetag/><c:calendar-data/></d:prop>${hrefElements}`);
+        const response = await this.request('REPORT', this.url, body, {
+            'Content-Type': 'application/xml; charset=utf-8',
+            'Depth': '1'
+        });
+        const responses = await this.readMultistatus(response, 'REPORT');
+        
+        return responses
+            .filter(({ props }) => props['calendar-data'])
+            .map(({ href, props }) => ({ href, etag: props.getetag || null, calendarData: props['calendar-data'] }));
+    }
+    
+    // Event data of a calendar resource (a series keeps its changed occurrences); null if unusable
+    parseResource(calendarData) {
+        try {
+            const { events } = ICalendar.parse(calendarData);
+            if (events.length === 0 || !events[0].id) return null;
+            return Event.fromJSON(events[0]).toJSON();
+        } catch (error) {
+            console.warn('Skipping unreadable CalDAV resource:', error);
+            return null;
+        }
+    }
+    
+    buildXML(rootName, content) {
+        const { dav, caldav, calendarServer } = CalDAVSync.namespaces;
+        return '<?xml version="1.0" encoding="utf-8"?>' +
+            `<${rootName} xmlns:d="${dav}" xmlns:c="${caldav}" xmlns:cs="${calendarServer}">${content}</${rootName}>`;
+    }
+    
+    escapeXML(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+    
+    // Parse a 207 Multi-Status body into [{ href, props }] with the text of each property found (200)
+    async readMultistatus(response, method) {
+        if (response.status !== 207) {
+            throw new Error(`${method} ${this.url} failed: ${response.status} ${response.statusText}`);
+        }
+        
+        const dav = CalDAVSync.namespaces.dav;
+        const xml = new DOMParser().parseFromString(await response.text(), 'application/xml');
+        if (xml.getElementsByTagName('parsererror').length > 0) {
+            throw new Error(`${method} ${this.url} returned invalid XML`);
+        }
+        
+        return Array.from(xml.getElementsByTagNameNS(dav, 'response')).map(responseElement => {
+            const hrefElement = responseElement.getElementsByTagNameNS(dav, 'href')[0];
+            const props = {};
+            
+            Array.from(responseElement.getElementsByTagNameNS(dav, 'propstat')).forEach(propstat => {
+                const statusElement = propstat.getElementsByTagNameNS(dav, 'status')[0];
+                if (statusElement && !/\s2\d\d\s/.test(statusElement.textContent)) return;
+                
+                const propElement = propstat.getElementsByTagNameNS(dav, 'prop')[0];
+                Array.from(propElement ? propElement.children : []).forEach(prop => {
+                    props[prop.localName] = prop.textContent.trim();
+                });
+            });
+            
+            return {
+                href: hrefElement ? new URL(hrefElement.textContent.trim(), this.url).href : null,
+                props
+            };
+        });
+    }
+    
+    request(method, url, body = null, headers = {}) {
+        const init = { method, headers: { ...headers } };
+        if (body !== null) {
+            init.body = body;
+        }
+        if (this.username) {
+            // btoa only takes Latin-1, so credentials are sent as UTF-8 (RFC 7617)
+            const credentials = new TextEncoder().encode(`${this.username}:${this.password}`);
+            init.headers.Authorization = `Basic ${btoa(String.fromCharCode(...credentials))}`;
+        }
+        return this.fetch(url, init);
+    }
+}
+
+// Mirrors EventManager changes to a JSON REST endpoint (`url`, e.g. https://example.com/api/events):
+//   GET url?from=YYYY-MM-DD&to=YYYY-MM-DD returns the events in that range,
+//   POST url creates an event, PATCH url/{id} updates its changed fields, DELETE url/{id} deletes it.
+// Mutations are queued (and persisted) until the server accepts them and sent in order. An ETag
+// returned for an event is sent back as If-Match; a 409 or 412 response means the server copy changed
+// meanwhile and onConflict({ id, local, remote }) decides: 'local', 'remote', or null to decide later.
+class RestSync extends RemoteSync {
+    constructor(eventManager, options = {}) {
+        if (!options.url) {
+            throw new Error('REST endpoint URL is required');
+        }
+        
+        super(eventManager, options, 'rest_sync');
+        this.url = new URL(options.url.replace(/\/+$/, ''), window.location.href).href;
+        this.headers = options.headers || {}; // Extra request headers, e.g. { Authorization: 'Bearer …' }
+        this.pastDays = options.pastDays || 90; // Pulled range around today
+        this.futureDays = options.futureDays || 365;
+        this.onRejected = options.onRejected || (() => {});
+        this.sending = false;
+        
+        // Persisted: queued mutations ({ id, method, body }), ETag per event ID, IDs the server has
+        this.state = { queue: [], etags: {}, known: [], pulled: false, ...this.loadState() };
+    }
+    
+    getStatus() {
+        return { ...super.getStatus(), url: this.url };
+    }
+    
+    // Queue saved changes ({ id, eventData, previous } as published by EventManager) and send them
+    enqueueChanges(changes) {
+        changes.forEach(({ id, eventData, previous }) => this.enqueueMutation(id, eventData, previous));
+        this.saveState();
+        this.requestSync();
+    }
+    
+    // Private method to add a mutation, combined with one still waiting for the same event
+    enqueueMutation(id, eventData, previous) {
+        // The first entry may be in flight and can't be changed anymore
+        const index = this.state.queue.findIndex((entry, position) => entry.id === id && !(this.sending && position === 0));
+        const waiting = index >= 0 ? this.state.queue[index] : null;
+        let mutation;
+        
+        if (!eventData) {
+            // Deleting an event the server hasn't received yet just cancels its creation
+            mutation = waiting && waiting.method === 'POST' ? null : { id, method: 'DELETE' };
+        } else if (waiting && waiting.method === 'POST') {
+            mutation = { id, method: 'POST', body: eventData };
+        } else if (waiting && waiting.method === 'PATCH') {
+            mutation = { id, method: 'PATCH', body: { ...waiting.body, ...RestSync.getChangedFields(previous, eventData) } };
+        } else if (waiting || previous) {
+            // After a waiting deletion (e.g. undone), the server still has its old version
+            mutation = { id, method: 'PATCH', body: RestSync.getChangedFields(waiting ? null : previous, eventData) };
+        } else {
+            mutation = { id, method: 'POST', body: eventData };
+        }
+        
+        if (index >= 0) {
+            this.state.queue.splice(index, 1, ...(mutation ? [mutation] : []));
+        } else if (mutation) {
+            this.state.queue.push(mutation);
+        }
+    }
+    
+    // Fields of eventData that differ from previous (all fields without previous), always with updatedAt
+    static getChangedFields(previous, eventData) {
+        const fields = { updatedAt: eventData.updatedAt };
+        Object.keys(eventData).forEach(key => {
+            if (key !== 'id' && (!previous || JSON.stringify(previous[key]) !== JSON.stringify(eventData[key]))) {
+                fields[key] = eventData[key];
+            }
+        });
+        return fields;
+    }
+    
+    async pushChanges() {
+        while (this.state.queue.length > 0) {
+            this.sending = true;
+            try {
+                await this.sendMutation(this.state.queue[0]);
+            } finally {
+                this.sending = false;
+            }
+            this.state.queue.shift();
+            this.saveState();
+        }
+    }
+    
+    async sendMutation(mutation, retried = false) {
+        const { id, method, body } = mutation;
+        const headers = { ...this.headers };
+        if (method !== 'POST' && this.state.etags[id]) {
+            headers['If-Match'] = this.state.etags[id];
+        }
+        
+        const response = await this.request(method, method === 'POST' ? this.url : this.getEventUrl(id), body || null, headers);
+        
+        if (response.status === 409 || response.status === 412 || (method === 'PATCH' && response.status === 404)) {
+            if (retried) {
+                throw new Error(`${method} ${id} failed: ${response.status} ${response.statusText}`);
+            }
+            return this.resolveConflict(mutation);
+        }
+        
+        if (method === 'DELETE' && (response.ok || response.status === 404)) {
+            this.forget(id);
+            return;
+        }
+        
+        if (!response.ok) {
+            // Other client errors won't go away by retrying: drop the mutation instead of blocking the queue
+            if (response.status >= 400 && response.status < 500 && response.status !== 408 && response.status !== 429) {
+                console.warn(`Server rejected ${method} ${id}: ${response.status} ${response.statusText}`);
+                this.onRejected(mutation, response.status);
+                return;
+            }
+            throw new Error(`${method} ${id} failed: ${response.status} ${response.statusText}`);
+        }
+        
+        this.remember(id, response.headers.get('ETag'));
+    }
+    
+    // Let onConflict (or, without it, the newer updatedAt) choose between the local and server version
+    async resolveConflict(mutation) {
+        const { id } = mutation;
+        const response = await this.request('GET', this.getEventUrl(id), null, this.headers);
+        if (!response.ok && response.status !== 404) {
+            throw new Error(`GET ${id} failed: ${response.status} ${response.statusText}`);
+        }
+        
+        const remote = response.ok ? Event.fromJSON(await response.json()).toJSON() : null;
+        const local = this.eventManager.getById(id);
+        const conflict = { id, local: local ? local.toJSON() : null, remote };
+        const choice = this.onConflict
+            ? await this.onConflict(conflict)
+            : (conflict.local && (!remote || conflict.local.updatedAt > remote.updatedAt) ? 'local' : 'remote');
+        
+        if (!choice) {
+            throw new Error(`Unresolved sync conflict for "${(conflict.local || remote).title}"`);
+        }
+        
+        if (remote) {
+            this.remember(id, response.headers.get('ETag'));
+        } else {
+            this.forget(id);
+        }
+        
+        if (choice === 'remote') {
+            // Later local changes to the event were made on top of the discarded version
+            this.state.queue = this.state.queue.filter((entry, position) => position === 0 || entry.id !== id);
+            this.eventManager.applyRemoteChanges([{ id, eventData: remote }]);
+            return;
+        }
+        
+        if (!conflict.local && !remote) return;
+        
+        const overwrite = !conflict.local
+            ? { id, method: 'DELETE' }
+            : { id, method: remote ? 'PATCH' : 'POST', body: remote ? RestSync.getChangedFields(null, conflict.local) : conflict.local };
+        await this.sendMutation(overwrite, true);
+    }
+    
+    // Apply the events the server returns for the range around today
+    async pullChanges() {
+        const today = DateUtils.formatDateObject(new Date());
+        const from = DateUtils.addDays(today, -this.pastDays);
+        const to = DateUtils.addDays(today, this.futureDays);
+        const response = await this.request('GET', `${this.url}?from=${from}&to=${to}`, null, this.headers);
+        if (!response.ok) {
+            throw new Error(`GET ${this.url} failed: ${response.status} ${response.statusText}`);
+        }
+        
+        const remoteEvents = await response.json();
+        if (!Array.isArray(remoteEvents)) {
+            throw new Error(`GET ${this.url} did not return a list of events`);
+        }
+        
+        // Events with queued mutations are settled when those are sent
+        const queued = new Set(this.state.queue.map(mutation => mutation.id));
+        const known = new Set(this.state.known);
+        const received = new Set();
+        const changes = [];
+        
+        remoteEvents.forEach(remoteData => {
+            if (!remoteData || !remoteData.id) return;
+            
+            received.add(remoteData.id);
+            known.add(remoteData.id);
+            if (queued.has(remoteData.id)) return;
+            
+            const eventData = Event.fromJSON(remoteData).toJSON();
+            const local = this.eventManager.getById(remoteData.id);
+            if (!local || JSON.stringify(local.toJSON()) !== JSON.stringify(eventData)) {
+                changes.push({ id: eventData.id, eventData });
+            }
+        });
+        
+        // Known single events inside the range that weren't returned have been deleted on the server
+        // (recurring series are left alone, since servers differ in whether they return them)
+        known.forEach(id => {
+            const local = this.eventManager.getById(id);
+            if (received.has(id) || queued.has(id)) return;
+            
+            if (!local) {
+                this.forget(id);
+                known.delete(id);
+            } else if (!local.isRecurring() && local.date <= to && local.getEndDate() >= from) {
+                changes.push({ id, eventData: null });
+                this.forget(id);
+                known.delete(id);
+            }
+        });
+        this.state.known = [...known];
+        
+        // On the first sync, upload the local events the server doesn't have yet
+        if (!this.state.pulled) {
+            this.eventManager.getAll()
+                .filter(event => !known.has(event.id) && !queued.has(event.id))
+                .forEach(event => this.state.queue.push({ id: event.id, method: 'POST', body: event.toJSON() }));
+            this.state.pulled = true;
+        }
+        
+        if (changes.length > 0) {
+            this.eventManager.applyRemoteChanges(changes);
+        }
+        this.saveState();
+        
+        if (this.state.queue.length > 0) {
+            await this.pushChanges();
+        }
+        return changes.length;
+    }
+    
+    getEventUrl(id) {
+        return `${this.url}/${encodeURIComponent(id)}`;
+    }
+    
+    // Private method to track an event the server has (with its ETag, if it sent one)
+    remember(id, etag) {
+        if (!this.state.known.includes(id)) {
+            this.state.known.push(id);
+        }
+        if (etag) {
+            this.state.etags[id] = etag;
+        } else {
+            delete this.state.etags[id];
+        }
+    }
+    
+    forget(id) {
+        this.state.known = this.state.known.filter(knownId => knownId !== id);
+        delete this.state.etags[id];
+    }
+    
+    request(method, url, body = null, headers = {}) {
+        const init = { method, headers: { Accept: 'application/json', ...headers } };
+        if (body !== null) {
+            init.headers['Content-Type'] = 'application/json';
+            init.body = JSON.stringify(body);
+        }
+        return this.fetch(url, init);
+    }
+}
+
+// Fires the reminders of events (Event.reminders) while the calendar is open
+// Wakes up when the next reminder is due (at least once per check interval). The last check, fired and
+// snoozed reminders are persisted through the StorageManager, so reminders that came due while the page
+// was closed are caught up on the next start and nothing fires twice across reloads or tabs.
+class ReminderScheduler {
+    constructor(eventManager, options = {}) {
+        this.eventManager = eventManager;
+        this.onReminder = options.onReminder || (() => {}); // Called with { key, event, minutes, startsAt, triggerAt, missed, snoozed }
+        this.checkInterval = options.checkInterval || 60 * 1000;
+        this.catchUpHours = options.catchUpHours || 24; // How far back missed reminders are still shown
+        this.snoozeMinutes = options.snoozeMinutes || 5;
+        this.allDayTime = options.allDayTime || '09:00'; // All-day events have no start time; reminders count back from this
+        
+        this.state = { lastCheck: null, fired: {}, snoozed: {} };
+        this.timer = null;
+        this.unsubscribe = null;
+    }
+    
+    // Catch up on missed reminders and keep checking; event changes reschedule the next check
+    start() {
+        this.stop();
+        this.unsubscribe = this.eventManager.on('change', () => this.scheduleNextCheck());
+        this.check();
+    }
+    
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+    }
+    
+    // Fire reminders that came due since the last check (in any tab) and snoozed reminders whose time is up
+    check() {
+        const now = Date.now();
+        const earliest = now - this.catchUpHours * 60 * 60 * 1000;
+        this.loadState();
+        
+        // Reminders missed while no tab was checking are skipped once their event is over
+        const lastCheck = this.state.lastCheck ? Date.parse(this.state.lastCheck) : now;
+        const due = this.getReminders(Math.max(lastCheck, earliest), now)
+            .map(reminder => ({ ...reminder, missed: now - reminder.triggerAt.getTime() > this.checkInterval }))
+            .filter(reminder => !this.state.fired[reminder.key] && !(reminder.missed && this.getEndTime(reminder.event) <= now));
+        
+        Object.entries(this.state.snoozed).forEach(([key, snoozed]) => {
+            if (Date.parse(snoozed.until) > now) return;
+            
+            delete this.state.snoozed[key];
+            const event = snoozed.recurrenceId
+                ? this.eventManager.getOccurrence(snoozed.eventId, snoozed.recurrenceId)
+                : this.eventManager.getById(snoozed.eventId);
+            if (event) {
+                due.push({ ...this.createReminder(event, snoozed.minutes), snoozed: true });
+            }
+        });
+        
+        due.forEach(reminder => {
+            this.state.fired[reminder.key] = reminder.triggerAt.toISOString();
+        });
+        
+        // Fired reminders before the catch-up window can't come due again
+        Object.entries(this.state.fired).forEach(([key, triggerAt]) => {
+            if (Date.parse(triggerAt) < earliest) {
+                delete this.state.fired[key];
+            }
+        });
+        
+        this.state.lastCheck = new Date(now).toISOString();
+        this.saveState();
+        this.scheduleNextCheck();
+        
+        due.forEach(reminder => this.onReminder(reminder));
+        return due;
+    }
+    
+    // Check again when the next reminder or snooze is due, but at least once per check interval
+    scheduleNextCheck() {
+        clearTimeout(this.timer);
+        
+        const now = Date.now();
+        const [next] = this.getReminders(now, now + this.checkInterval);
+        const dueTimes = Object.values(this.state.snoozed).map(snoozed => Date.parse(snoozed.until));
+        if (next) {
+            dueTimes.push(next.triggerAt.getTime());
+        }
+        
+        const delay = Math.min(this.checkInterval, ...dueTimes.map(time => time - now));
+        this.timer = setTimeout(() => this.check(), Math.max(delay, 0));
+    }
+    
+    // Show a fired reminder again after some minutes
+    snooze(reminder, minutes = this.snoozeMinutes) {
+        this.loadState();
+        this.state.snoozed[reminder.key] = {
+            eventId: reminder.event.id,
+            recurrenceId: reminder.event.recurrenceId,
+            minutes: reminder.minutes,
+            until: new Date(Date.now() + minutes * 60 * 1000).toISOString()
+        };
+        this.saveState();
+        this.scheduleNextCheck();
+    }
+    
+    // Drop a fired reminder for good (it is already marked as fired; this cancels a pending snooze)
+    dismiss(reminder) {
+        this.loadState();
+        delete this.state.snoozed[reminder.key];
+        this.saveState();
+    }
+    
+    // Reminders of all event instances that come due after `from` and up to `to` (timestamps), in order
+    getReminders(from, to) {
+        // An instance can only remind before `to` if it starts within the longest reminder offset after it
+        const startDate = DateUtils.formatDateObject(new Date(from));
+        const endDate = DateUtils.formatDateObject(new Date(to + Event.maxReminderMinutes * 60 * 1000));
+        
+        return this.eventManager.getByDateRange(startDate, endDate)
+            .flatMap(event => event.reminders.map(minutes => this.createReminder(event, minutes)))
+            .filter(reminder => reminder.triggerAt.getTime() > from && reminder.triggerAt.getTime() <= to)
+            .sort((a, b) => a.triggerAt - b.triggerAt);
+    }
+    
+    // Keys include the trigger time, so moving an event re-arms its reminders
+    createReminder(event, minutes) {
+        const startsAt = this.getStartTime(event);
+        const triggerAt = new Date(startsAt.getTime() - minutes * 60 * 1000);
+        return {
+            key: `${EventManager.getInstanceKey(event)}@${triggerAt.toISOString()}`,
+            event,
+            minutes,
+            startsAt,
+            triggerAt,
+            missed: false,
+            snoozed: false
+        };
+    }
+    
+    getStartTime(event) {
+        if (!event.startTime) {
+            return new Date(TimeZoneUtils.toTimestamp(event.date, this.allDayTime));
+        }
+        return new Date(TimeZoneUtils.toTimestamp(event.date, event.startTime, event.timeZone));
+    }
+    
+    getEndTime(event) {
+        if (!event.startTime) {
+            return new Date(TimeZoneUtils.toTimestamp(DateUtils.addDays(event.getEndDate(), 1), ''));
+        }
+        return new Date(TimeZoneUtils.toTimestamp(event.getEndDate(), event.endTime || event.startTime, event.timeZone));
+    }
+    
+    loadState() {
+        const storageManager = this.eventManager.storageManager;
+        const saved = storageManager ? storageManager.loadState('reminders') : null;
+        this.state = { lastCheck: null, fired: {}, snoozed: {}, ...(saved || {}) };
+    }
+    
+    saveState() {
+        const storageManager = this.eventManager.storageManager;
+        if (storageManager) {
+            storageManager.saveState('reminders', this.state);
+        }
+    }
+}
+
+// Base class for holiday providers (AustrianHolidays, GermanHolidays, SwissHolidays, and providers built by
+// fromJSON or combine). A provider is a class with static data: its country code, label, regions
+// (ISO 3166-2 codes) and holiday rules; isHoliday, getHolidaysForYear and getHolidaysForMonth evaluate the rules.
+// A rule has an id (translated name: holiday.<id> messages), the official name, statutory (false for observances),
+// optional regions (nationwide without) and one date: month and day; month, day and weekday ('MO'..'SU', the
+// first such weekday on or after that day); or easter (days from Easter Sunday).
+class HolidayProvider {
+    static country = '';
+    static label = '';
+    static language = 'de'; // Language of the official names
+    static regions = {};
+    static holidays = [];
+    
+    // Registered providers by country code (see register)
+    static registry = new Map();
+    
+    // ISO 3166-2 subdivision codes, e.g. AT-9 or DE-BY
+    static regionPattern = /^[A-Z]{2}-[A-Z0-9]{1,3}$/;
+    
+    static register(provider) {
+        HolidayProvider.registry.set(provider.country, provider);
+        return provider;
+    }
+    
+    static get(country) {
+        return HolidayProvider.registry.get(country) || null;
+    }
+    
+    static getAll() {
+        return [...HolidayProvider.registry.values()];
+    }
+    
+    // Region codes of this provider except the given ones (for holidays observed almost everywhere)
+    static regionsExcept(...excluded) {
+        return Object.keys(this.regions).filter(region => !excluded.includes(region));
+    }
+    
+    // Calculate Easter date using Gauss formula
+    static calculateEaster(year) {
+        // Gaußsche Osterformel für gregorianischen Kalender
+        const k = Math.floor(year / 100);
+        const m = 15 + Math.floor((3 * k + 3) / 4) - Math.floor((8 * k + 13) / 25);
+        const s = 2 - Math.floor((3 * k + 3) / 4);
+        const a = year % 19;
+        const d = (19 * a + m) % 30;
+        const r = Math.floor((d + Math.floor(a / 11)) / 29);
+        const og = 21 + d - r;
+        const sz = 7 - (year + Math.floor(year / 4) + s) % 7;
+        const oe = 7 - (og - sz) % 7;
+        let day = og + oe;
+        let month = 3; // March
+        
+        if (day > 31) {
+            month = 4; // April
+            day -= 31;
+        }
+        
+        return new Date(year, month - 1, day); // JavaScript months are 0-indexed
+    }
+    
+    // Date of a rule in a given year
+    static getRuleDate(rule, year) {
+        if (rule.easter !== undefined) {
+            const date = this.calculateEaster(year);
+            date.setDate(date.getDate() + rule.easter);
+            return date;
+        }
+        
+        const date = new Date(year, rule.month - 1, rule.day);
+        if (rule.weekday) {
+            // Move forward to the requested weekday (both counted from Monday = 0)
+            const weekday = RecurrenceRule.weekdays.indexOf(rule.weekday);
+            date.setDate(date.getDate() + (weekday - (date.getDay() + 6) % 7 + 7) % 7);
+        }
+        return date;
+    }
+    
+    // Check if a given date is a holiday, nationwide or in one of the given regions (ISO 3166-2 codes)
+    // Statutory days off win when several holidays fall on the same day
+    static isHoliday(date, regions = []) {
+        if (!(date instanceof Date)) return null;
+        
+        const holiday = this.getHolidaysForYear(date.getFullYear(), regions).find(h =>
+            h.date.getMonth() === date.getMonth() &&
+            h.date.getDate() === date.getDate()
+        );
+        
+        return holiday || null;
+    }
+    
+    // Get all holidays for a specific year, including those of the given regions
+    // Regional holidays list the given regions that observe them in regions (null for nationwide holidays)
+    static getHolidaysForYear(year, regions = []) {
+        const holidays = [];
+        
+        this.holidays.forEach(rule => {
+            const observedIn = rule.regions ? rule.regions.filter(region => regions.includes(region)) : null;
+            if (observedIn && observedIn.length === 0) return;
+            
+            holidays.push({
+                date: this.getRuleDate(rule, year),
+                id: rule.id,
+                name: rule.name,
+                type: rule.easter === undefined && !rule.weekday ? 'fixed' : 'variable',
+                statutory: rule.statutory !== false,
+                country: this.country,
+                regions: observedIn
+            });
+        });
+        
+        return this.sortHolidays(holidays);
+    }
+    
+    // Get holidays for a specific month
+    static getHolidaysForMonth(year, month, regions = []) {
+        const allHolidays = this.getHolidaysForYear(year, regions);
+        return allHolidays.filter(holiday =>
+            holiday.date.getMonth() === month
+        );
+    }
+    
+    // Sort by date, statutory days first
+    static sortHolidays(holidays) {
+        return holidays.sort((a, b) => (a.date - b.date) || (b.statutory - a.statutory));
+    }
+    
+    // Provider showing the holidays of several providers at once (each picks its own regions)
+    static combine(providers) {
+        if (providers.length === 1) return providers[0];
+        
+        return class extends HolidayProvider {
+            static country = providers.map(provider => provider.country).join('+');
+            static label = providers.map(provider => provider.label).join(', ');
+            static regions = Object.assign({}, ...providers.map(provider => provider.regions));
+            static providers = providers;
+            
+            static getHolidaysForYear(year, regions = []) {
+                return this.sortHolidays(providers.flatMap(provider => provider.getHolidaysForYear(year, regions)));
+            }
+        };
+    }
+    
+    // Create a provider from a JSON rule definition (string or parsed object), e.g.
+    // { "country": "LI", "label": "Liechtenstein", "regions": {}, "holidays": [{ "id": "newYear", "name": "Neujahr", "month": 1, "day": 1 }] }
+    // Throws an Error describing the first invalid entry
+    static fromJSON(definition) {
+        const data = typeof definition === 'string' ? JSON.parse(definition) : definition;
+        
+        if (!data || typeof data.country !== 'string' || !/^[A-Za-z]{2,3}$/.test(data.country)) {
+            throw new Error('A two or three letter country code is required');
+        }
+        if (data.regions !== undefined && (typeof data.regions !== 'object' || data.regions === null || Array.isArray(data.regions))) {
+            throw new Error('Regions must map region codes to names');
+        }
+        const invalidRegion = Object.entries(data.regions || {})
+            .find(([code, name]) => !HolidayProvider.regionPattern.test(code) || typeof name !== 'string' || !name);
+        if (invalidRegion) {
+            throw new Error(`Region ${invalidRegion[0]}: a code like AT-9 or DE-BY and a name are required`);
+        }
+        if (data.label !== undefined && typeof data.label !== 'string') {
+            throw new Error('The label must be a text');
+        }
+        if (!Array.isArray(data.holidays) || data.holidays.length === 0) {
+            throw new Error('At least one holiday is required');
+        }
+        
+        const regions = { ...(data.regions || {}) };
+        const holidays = data.holidays.map((rule, index) => this.validateRule(rule, regions, index));
+        
+        return class extends HolidayProvider {
+            static country = data.country.toUpperCase();
+            static label = typeof data.label === 'string' && data.label ? data.label : data.country.toUpperCase();
+            static language = typeof data.language === 'string' ? data.language : null;
+            static regions = regions;
+            static holidays = holidays;
+            static definition = data; // Kept so the provider can be saved and loaded again
+        };
+    }
+    
+    // Check one rule of a JSON definition and copy its known fields
+    static validateRule(rule, regions, index) {
+        const fail = (message) => {
+            throw new Error(`Holiday ${index + 1}: ${message}`);
+        };
+        
+        if (!rule || typeof rule.id !== 'string' || !/^[A-Za-z][\w-]*$/.test(rule.id)) fail('An id of letters, digits, - or _ is required');
+        if (typeof rule.name !== 'string' || !rule.name) fail('A name is required');
+        
+        const validated = { id: rule.id, name: rule.name, statutory: rule.statutory !== false };
+        
+        if (rule.easter !== undefined) {
+            if (!Number.isInteger(rule.easter)) fail('easter must be a number of days');
+            validated.easter = rule.easter;
+        } else {
+            const daysInMonth = DateUtils.getDaysInMonth(2024, rule.month - 1); // Leap year allows February 29th
+            if (!Number.isInteger(rule.month) || rule.month < 1 || rule.month > 12) fail('month must be 1-12');
+            if (!Number.isInteger(rule.day) || rule.day < 1 || rule.day > daysInMonth) fail('day is out of range');
+            Object.assign(validated, { month: rule.month, day: rule.day });
+            
+            if (rule.weekday !== undefined) {
+                if (!RecurrenceRule.weekdays.includes(rule.weekday)) fail('weekday must be one of MO, TU, WE, TH, FR, SA, SU');
+                validated.weekday = rule.weekday;
+            }
+        }
+        
+        if (rule.regions !== undefined) {
+            if (!Array.isArray(rule.regions) || rule.regions.length === 0) fail('regions must be a non-empty list');
+            const unknown = rule.regions.find(region => !(region in regions));
+            if (unknown) fail(`Unknown region ${unknown}`);
+            validated.regions = [...rule.regions];
+        }
+        
+        return validated;
+    }
+}
+
+// Austrian Holiday Calculator
+class AustrianHolidays extends HolidayProvider {
+    static country = 'AT';
+    static label = 'Österreich';
+    
+    // Bundesländer by ISO 3166-2 code (translated names: region.<code> messages)
+    static regions = {
+        'AT-1': 'Burgenland',
+        'AT-2': 'Kärnten',
+        'AT-3': 'Niederösterreich',
+        'AT-4': 'Oberösterreich',
+        'AT-5': 'Salzburg',
+        'AT-6': 'Steiermark',
+        'AT-7': 'Tirol',
+        'AT-8': 'Vorarlberg',
+        'AT-9': 'Wien'
+    };
+    
+    // name is the official name; id selects the translated name (holiday.<id> messages, see I18n)
+    // Observances (statutory: false) are often half or whole days off by collective agreement; the regional
+    // Landespatrone close schools and the state administration. Karfreitag is no general day off since 2019.
+    static holidays = [
+        { month: 1, day: 1, id: 'newYear', name: 'Neujahr' },
+        { month: 1, day: 6, id: 'epiphany', name: 'Heilige Drei Könige' },
+        { month: 3, day: 19, id: 'stJoseph', name: 'Josefitag', statutory: false, regions: ['AT-2', 'AT-6', 'AT-7', 'AT-8'] },
+        { easter: -2, id: 'goodFriday', name: 'Karfreitag', statutory: false },
+        { easter: 0, id: 'easterSunday', name: 'Ostersonntag' },
+        { easter: 1, id: 'easterMonday', name: 'Ostermontag' },
+        { month: 5, day: 1, id: 'labourDay', name: 'Staatsfeiertag' },
+        { month: 5, day: 4, id: 'stFlorian', name: 'Florianitag', statutory: false, regions: ['AT-4'] },
+        { easter: 39, id: 'ascension', name: 'Christi Himmelfahrt' },
+        { easter: 49, id: 'whitSunday', name: 'Pfingstsonntag' },
+        { easter: 50, id: 'whitMonday', name: 'Pfingstmontag' },
+        { easter: 60, id: 'corpusChristi', name: 'Fronleichnam' },
+        { month: 8, day: 15, id: 'assumption', name: 'Mariä Himmelfahrt' },
+        { month: 9, day: 24, id: 'stRupert', name: 'Rupertitag', statutory: false, regions: ['AT-5'] },
+        { month: 10, day: 10, id: 'plebisciteDay', name: 'Tag der Volksabstimmung', statutory: false, regions: ['AT-2'] },
+        { month: 10, day: 26, id: 'nationalDay', name: 'Nationalfeiertag' },
+        { month: 11, day: 1, id: 'allSaints', name: 'Allerheiligen' },
+        { month: 11, day: 11, id: 'stMartin', name: 'Martinitag', statutory: false, regions: ['AT-1'] },
+        { month: 11, day: 15, id: 'stLeopold', name: 'Leopolditag', statutory: false, regions: ['AT-3', 'AT-9'] },
+        { month: 12, day: 8, id: 'immaculateConception', name: 'Mariä Empfängnis' },
+        { month: 12, day: 24, id: 'christmasEve', name: 'Heiliger Abend', statutory: false },
+        { month: 12, day: 25, id: 'christmas', name: 'Christtag' },
+        { month: 12, day: 26, id: 'stStephen', name: 'Stefanitag' },
+        { month: 12, day: 31, id: 'newYearsEve', name: 'Silvester', statutory: false }
+    ];
+}
+
+// German public holidays per Bundesland
+class GermanHolidays extends HolidayProvider {
+    static country = 'DE';
+    static label = 'Deutschland';
+    
+    static regions = {
+        'DE-BW': 'Baden-Württemberg',
+        'DE-BY': 'Bayern',
+        'DE-BE': 'Berlin',
+        'DE-BB': 'Brandenburg',
+        'DE-HB': 'Bremen',
+        'DE-HH': 'Hamburg',
+        'DE-HE': 'Hessen',
+        'DE-MV': 'Mecklenburg-Vorpommern',
+        'DE-NI': 'Niedersachsen',
+        'DE-NW': 'Nordrhein-Westfalen',
+        'DE-RP': 'Rheinland-Pfalz',
+        'DE-SL': 'Saarland',
+        'DE-SN': 'Sachsen',
+        'DE-ST': 'Sachsen-Anhalt',
+        'DE-SH': 'Schleswig-Holstein',
+        'DE-TH': 'Thüringen'
+    };
+    
+    // Holidays observed only in some municipalities (e.g. Mariä Himmelfahrt in Bavaria) are left out
+    static holidays = [
+        { month: 1, day: 1, id: 'newYear', name: 'Neujahr' },
+        { month: 1, day: 6, id: 'epiphany', name: 'Heilige Drei Könige', regions: ['DE-BW', 'DE-BY', 'DE-ST'] },
+        { month: 3, day: 8, id: 'womensDay', name: 'Internationaler Frauentag', regions: ['DE-BE', 'DE-MV'] },
+        { easter: -2, id: 'goodFriday', name: 'Karfreitag' },
+        { easter: 0, id: 'easterSunday', name: 'Ostersonntag', regions: ['DE-BB'] },
+        { easter: 1, id: 'easterMonday', name: 'Ostermontag' },
+        { month: 5, day: 1, id: 'labourDay', name: 'Tag der Arbeit' },
+        { easter: 39, id: 'ascension', name: 'Christi Himmelfahrt' },
+        { easter: 49, id: 'whitSunday', name: 'Pfingstsonntag', regions: ['DE-BB'] },
+        { easter: 50, id: 'whitMonday', name: 'Pfingstmontag' },
+        { easter: 60, id: 'corpusChristi', name: 'Fronleichnam', regions: ['DE-BW', 'DE-BY', 'DE-HE', 'DE-NW', 'DE-RP', 'DE-SL'] },
+        { month: 8, day: 15, id: 'assumption', name: 'Mariä Himmelfahrt', regions: ['DE-SL'] },
+        { month: 9, day: 20, id: 'childrensDay', name: 'Weltkindertag', regions: ['DE-TH'] },
+        { month: 10, day: 3, id: 'germanUnityDay', name: 'Tag der Deutschen Einheit' },
+        {
+            month: 10, day: 31, id: 'reformationDay', name: 'Reformationstag',
+            regions: ['DE-BB', 'DE-HB', 'DE-HH', 'DE-MV', 'DE-NI', 'DE-SN', 'DE-ST', 'DE-SH', 'DE-TH']
+        },
+        { month: 11, day: 1, id: 'allSaints', name: 'Allerheiligen', regions: ['DE-BW', 'DE-BY', 'DE-NW', 'DE-RP', 'DE-SL'] },
+        { month: 11, day: 16, weekday: 'WE', id: 'repentanceDay', name: 'Buß- und Bettag', regions: ['DE-SN'] },
+        { month: 12, day: 24, id: 'christmasEve', name: 'Heiligabend', statutory: false },
+        { month: 12, day: 25, id: 'christmas', name: '1. Weihnachtstag' },
+        { month: 12, day: 26, id: 'boxingDay', name: '2. Weihnachtstag' },
+        { month: 12, day: 31, id: 'newYearsEve', name: 'Silvester', statutory: false }
+    ];
+}
+
+// Swiss public holidays per canton
+class SwissHolidays extends HolidayProvider {
+    static country = 'CH';
+    static label = 'Schweiz';
+    
+    static regions = {
+        'CH-AG': 'Aargau',
+        'CH-AI': 'Appenzell Innerrhoden',
+        'CH-AR': 'Appenzell Ausserrhoden',
+        'CH-BE': 'Bern',
+        'CH-BL': 'Basel-Landschaft',
+        'CH-BS': 'Basel-Stadt',
+        'CH-FR': 'Freiburg',
+        'CH-GE': 'Genf',
+        'CH-GL': 'Glarus',
+        'CH-GR': 'Graubünden',
+        'CH-JU': 'Jura',
+        'CH-LU': 'Luzern',
+        'CH-NE': 'Neuenburg',
+        'CH-NW': 'Nidwalden',
+        'CH-OW': 'Obwalden',
+        'CH-SG': 'St. Gallen',
+        'CH-SH': 'Schaffhausen',
+        'CH-SO': 'Solothurn',
+        'CH-SZ': 'Schwyz',
+        'CH-TG': 'Thurgau',
+        'CH-TI': 'Tessin',
+        'CH-UR': 'Uri',
+        'CH-VD': 'Waadt',
+        'CH-VS': 'Wallis',
+        'CH-ZG': 'Zug',
+        'CH-ZH': 'Zürich'
+    };
+    
+    // Only Bundesfeier, Neujahr, Auffahrt and Weihnachten are observed everywhere; the cantons set the other days
+    // (cantonal lists as commonly published, single municipalities may differ)
+    static holidays = [
+        { month: 1, day: 1, id: 'newYear', name: 'Neujahrstag' },
+        {
+            month: 1, day: 2, id: 'berchtoldsDay', name: 'Berchtoldstag',
+            regions: ['CH-AG', 'CH-BE', 'CH-FR', 'CH-GL', 'CH-JU', 'CH-LU', 'CH-NE', 'CH-OW', 'CH-SH', 'CH-SO', 'CH-TG', 'CH-VD', 'CH-ZG', 'CH-ZH']
+        },
+        { month: 1, day: 6, id: 'epiphany', name: 'Heilige Drei Könige', regions: ['CH-SZ', 'CH-TI', 'CH-UR'] },
+        { month: 3, day: 1, id: 'neuchatelRepublicDay', name: 'Instauration de la République', regions: ['CH-NE'] },
+        { month: 3, day: 19, id: 'stJoseph', name: 'Josefstag', regions: ['CH-NW', 'CH-SZ', 'CH-TI', 'CH-UR', 'CH-VS'] },
+        { easter: -2, id: 'goodFriday', name: 'Karfreitag', regions: this.regionsExcept('CH-TI', 'CH-VS') },
+        { easter: 1, id: 'easterMonday', name: 'Ostermontag', regions: this.regionsExcept('CH-VS') },
+        { month: 5, day: 1, id: 'labourDay', name: 'Tag der Arbeit', regions: ['CH-BL', 'CH-BS', 'CH-JU', 'CH-NE', 'CH-SH', 'CH-TG', 'CH-TI', 'CH-ZH'] },
+        { easter: 39, id: 'ascension', name: 'Auffahrt' },
+        { easter: 50, id: 'whitMonday', name: 'Pfingstmontag', regions: this.regionsExcept('CH-VS') },
+        {
+            easter: 60, id: 'corpusChristi', name: 'Fronleichnam',
+            regions: ['CH-AG', 'CH-AI', 'CH-FR', 'CH-JU', 'CH-LU', 'CH-NW', 'CH-OW', 'CH-SO', 'CH-SZ', 'CH-TI', 'CH-UR', 'CH-VS', 'CH-ZG']
+        },
+        { month: 6, day: 23, id: 'juraIndependenceDay', name: 'Fête de l\'Indépendance jurassienne', regions: ['CH-JU'] },
+        { month: 8, day: 1, id: 'swissNationalDay', name: 'Bundesfeier' },
+        {
+            month: 8, day: 15, id: 'assumption', name: 'Mariä Himmelfahrt',
+            regions: ['CH-AG', 'CH-AI', 'CH-FR', 'CH-JU', 'CH-LU', 'CH-NW', 'CH-OW', 'CH-SO', 'CH-SZ', 'CH-TI', 'CH-UR', 'CH-VS', 'CH-ZG']
+        },
+        { month: 9, day: 5, weekday: 'TH', id: 'genevaFast', name: 'Jeûne genevois', regions: ['CH-GE'] },
+        { month: 9, day: 16, weekday: 'MO', id: 'federalFastMonday', name: 'Lundi du Jeûne fédéral', regions: ['CH-VD'] },
+        {
+            month: 11, day: 1, id: 'allSaints', name: 'Allerheiligen',
+            regions: ['CH-AG', 'CH-AI', 'CH-FR', 'CH-GL', 'CH-JU', 'CH-LU', 'CH-NW', 'CH-OW', 'CH-SG', 'CH-SO', 'CH-SZ', 'CH-TI', 'CH-UR', 'CH-VS', 'CH-ZG']
+        },
+        {
+            month: 12, day: 8, id: 'immaculateConception', name: 'Mariä Empfängnis',
+            regions: ['CH-AI', 'CH-FR', 'CH-LU', 'CH-NW', 'CH-OW', 'CH-SZ', 'CH-TI', 'CH-UR', 'CH-VS', 'CH-ZG']
+        },
+        { month: 12, day: 25, id: 'christmas', name: 'Weihnachtstag' },
+        { month: 12, day: 26, id: 'stStephen', name: 'Stephanstag', regions: this.regionsExcept('CH-GE', 'CH-JU', 'CH-NE', 'CH-VD', 'CH-VS') },
+        { month: 12, day: 31, id: 'genevaRestorationDay', name: 'Restauration de la République', regions: ['CH-GE'] }
+    ];
+}
+
+HolidayProvider.register(AustrianHolidays);
+HolidayProvider.register(GermanHolidays);
+HolidayProvider.register(SwissHolidays);
+
+// Localization: message catalogs with a switchable locale, and Intl based date formatting
+const I18n = {
+    locale: 'de', // Active locale, a key of catalogs (see init and setLocale)
+    fallbackLocale: 'en', // Used for messages missing from the active catalog
+    formatters: new Map(), // Intl formatters and plural rules per locale and options
+    
+    // Named Intl.DateTimeFormat options for formatDate and formatDateTime
+    dateFormats: {
+        short: { day: 'numeric', month: 'numeric', year: 'numeric' },
+        long: { day: 'numeric', month: 'long', year: 'numeric' },
+        full: { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' },
+        monthYear: { month: 'long', year: 'numeric' },
+        dateTime: { day: 'numeric', month: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit' }
+    },
+    
+    // Messages may contain {placeholders}; plural messages are objects keyed by Intl.PluralRules category
+    catalogs: {
+        en: {
+            'language.name': 'English',
+            'app.title': 'JavaScript Calendar',
+            'app.description': 'JavaScript Calendar - A modern, interactive calendar for managing events',
+            'app.heading': 'Calendar',
+            'app.recovered': 'Application recovered successfully',
+            'nav.today': 'Today',
+            'nav.todayLabel': 'Jump to today',
+            'nav.views': 'View',
+            'nav.language': 'Language',
+            'nav.weekStart': 'First day of the week',
+            'nav.weekNumbers': 'Show calendar weeks',
+            'nav.holidayRegions': 'Holidays',
+            'nav.holidayRegionsLabel': 'Choose the countries and regions whose holidays are shown',
+            'nav.bridgeDays': 'Bridge days',
+            'nav.bridgeDaysLabel': 'Show the bridge days of the year',
+            'nav.absences': 'Absences',
+            'nav.absencesLabel': 'Show absences and remaining vacation',
+            'nav.sync': 'Sync',
+            'nav.syncLabel': 'Connect a CalDAV calendar',
+            'nav.previousMonth': 'Previous month',
+            'nav.nextMonth': 'Next month',
+            'nav.previousWeek': 'Previous week',
+            'nav.nextWeek': 'Next week',
+            'nav.previousDay': 'Previous day',
+            'nav.nextDay': 'Next day',
+            'nav.previousYear': 'Previous year',
+            'nav.nextYear': 'Next year',
+            'view.month': 'Month',
+            'view.week': 'Week',
+            'view.day': 'Day',
+            'view.year': 'Year',
+            'view.agenda': 'List',
+            'view.calendar': 'Calendar',
+            'view.weekGrid': 'Week view',
+            'view.dayGrid': 'Day view',
+            'view.yearOverview': 'Year overview',
+            'view.agendaList': 'Event list',
+            'calendar.openDayView': 'Open day view',
+            'calendar.holiday': 'Holiday: {name}',
+            'calendar.bridgeDay': 'Bridge day',
+            'calendar.observance': '{name} – not a statutory holiday',
+            'calendar.weekNumberShort': 'Wk',
+            'calendar.weekNumberHeader': 'Calendar week',
+            'calendar.openWeek': 'Open week {week} in the week view',
+            'year.openMonth': 'Open {month}',
+            'year.dayLabel': { one: '{date}: {count} event', other: '{date}: {count} events' },
+            'year.less': 'Less',
+            'year.more': 'More',
+            'year.holiday': 'Holiday',
+            'agenda.from': 'From {date}',
+            'agenda.empty': 'No events from this date',
+            'agenda.end': 'No more events',
+            'agenda.loading': 'Loading more events …',
+            'category.work': 'Work',
+            'category.personal': 'Personal',
+            'category.health': 'Health',
+            'category.education': 'Education',
+            'category.social': 'Social',
+            'category.travel': 'Travel',
+            'category.general': 'General',
+            'event.allDay': 'All day',
+            'event.extraDays': { one: '+{count} day', other: '+{count} days' },
+            'event.count': { one: '{count} event', other: '{count} events' },
+            'event.andMore': '... and {count} more',
+            'event.created': 'Event created successfully!',
+            'event.updated': 'Event updated successfully!',
+            'event.deleted': 'Event deleted successfully!',
+            'event.occurrenceDeleted': 'Occurrence deleted successfully!',
+            'event.notFound': 'Event not found',
+            'event.confirmDelete': 'Are you sure you want to delete "{title}"?',
+            'event.confirmDeleteOccurrence': 'Delete "{title}" on {date}? Other occurrences are kept.',
+            'event.moved': '"{title}" moved to {date}',
+            'event.rescheduled': '"{title}" rescheduled to {time}',
+            'event.moveFailed': 'Could not move event: {error}',
+            'event.validationFailed': 'Event validation failed: {errors}',
+            'details.title': 'Event Details',
+            'details.created': 'Created: {date}',
+            'details.updated': 'Updated: {date}',
+            'details.workingDaysUntil': { one: '{count} working day until the event', other: '{count} working days until the event' },
+            'details.workingDaysAgo': { one: '{count} working day ago', other: '{count} working days ago' },
+            'details.workingDaysToday': 'Today',
+            'details.edit': 'Edit Event',
+            'details.deleteOccurrence': 'Delete Occurrence',
+            'details.deleteSeries': 'Delete Series',
+            'action.open': 'Open',
+            'action.close': 'Close',
+            'action.closeModal': 'Close modal',
+            'action.cancel': 'Cancel',
+            'action.delete': 'Delete',
+            'action.undo': 'Undo',
+            'form.createTitle': 'Create New Event',
+            'form.editTitle': 'Edit Event',
+            'form.date': 'Date',
+            'form.endDate': 'End Date',
+            'form.title': 'Event Title *',
+            'form.titlePlaceholder': 'Enter event title',
+            'form.description': 'Description',
+            'form.descriptionPlaceholder': 'Enter event description (optional)',
+            'form.startTime': 'Start Time',
+            'form.endTime': 'End Time',
+            'form.category': 'Category',
+            'form.showWorkingDays': 'Show the working days until this event',
+            'form.absenceType': 'Absence',
+            'form.person': 'Person',
+            'form.personPlaceholder': 'Who is absent?',
+            'form.scope': 'Apply changes to',
+            'form.scopeOccurrence': 'This occurrence',
+            'form.scopeSeries': 'All occurrences',
+            'form.create': 'Create Event',
+            'form.save': 'Save Changes',
+            'field.title': 'Title',
+            'field.description': 'Description',
+            'field.date': 'Date',
+            'field.endDate': 'End date',
+            'field.startTime': 'Start time',
+            'field.endTime': 'End time',
+            'field.category': 'Category',
+            'validation.required': '{field} is required',
+            'validation.minLength': '{field} must be at least {min} characters',
+            'validation.maxLength': '{field} must be no more than {max} characters',
+            'validation.email': 'Please enter a valid email address',
+            'validation.url': 'Please enter a valid URL',
+            'validation.date': 'Please enter a valid date',
+            'validation.time': 'Please enter a valid time',
+            'validation.numeric': '{field} must be a number',
+            'validation.pattern': '{field} format is invalid',
+            'validation.invalid': '{field} is invalid',
+            'validation.unknownRule': 'Unknown validation rule: {rule}',
+            'validation.titleRequired': 'Event title is required',
+            'validation.titleLength': 'Title must be 100 characters or less',
+            'validation.dateRequired': 'Valid event date is required',
+            'validation.pastDate': 'Event date cannot be in the past',
+            'validation.startTime': 'Invalid start time format',
+            'validation.endTime': 'Invalid end time format',
+            'validation.endDate': 'Invalid end date format',
+            'validation.timeZone': 'Unknown time zone: {timeZone}',
+            'validation.endDateBeforeStart': 'End date must not be before the start date',
+            'validation.endTimeBeforeStart': 'End time must be after start time (set an end date for overnight events)',
+            'validation.reminders': 'Reminders must be between 0 minutes and 4 weeks before the start',
+            'validation.category': 'Unknown category: {category}',
+            'validation.absenceType': 'Unknown absence type: {type}',
+            'validation.absencePerson': 'Please enter who is absent',
+            'recurrence.label': 'Repeat',
+            'recurrence.none': 'Does not repeat',
+            'recurrence.daily': 'Daily',
+            'recurrence.weekly': 'Weekly',
+            'recurrence.monthly': 'Monthly',
+            'recurrence.yearly': 'Yearly',
+            'recurrence.interval': 'Every',
+            'recurrence.ends': 'Ends',
+            'recurrence.never': 'Never',
+            'recurrence.after': 'After',
+            'recurrence.onDate': 'On date',
+            'recurrence.count': 'Occurrences',
+            'recurrence.until': 'End date',
+            'recurrence.everyDaily': { one: 'Every day', other: 'Every {count} days' },
+            'recurrence.everyWeekly': { one: 'Every week', other: 'Every {count} weeks' },
+            'recurrence.everyMonthly': { one: 'Every month', other: 'Every {count} months' },
+            'recurrence.everyYearly': { one: 'Every year', other: 'Every {count} years' },
+            'recurrence.onDays': '{rule} on {days}',
+            'recurrence.lastWeekday': 'last {day}',
+            'recurrence.nthWeekday': '{ordinal} {day}',
+            'recurrence.times': { one: '{rule}, once', other: '{rule}, {count} times' },
+            'recurrence.untilDate': '{rule}, until {date}',
+            'recurrence.invalidFrequency': 'Invalid recurrence frequency: {freq}',
+            'recurrence.invalidWeekday': 'Invalid recurrence weekday: {days}',
+            'recurrence.countAndUntil': 'Recurrence cannot have both a count and an end date',
+            'recurrence.invalidUntil': 'Invalid recurrence end date',
+            'recurrence.untilBeforeStart': 'Recurrence end date must be after the start date',
+            'ordinal': { one: '{count}st', two: '{count}nd', few: '{count}rd', other: '{count}th' },
+            'timeZone.label': 'Time Zone',
+            'timeZone.floating': 'Floating',
+            'timeZone.floatingOption': 'Floating (same clock time everywhere)',
+            'reminders.label': 'Reminders',
+            'reminder.atStart': 'At start time',
+            'reminder.minutes': { one: '{count} minute before', other: '{count} minutes before' },
+            'reminder.hours': { one: '{count} hour before', other: '{count} hours before' },
+            'reminder.days': { one: '{count} day before', other: '{count} days before' },
+            'reminder.weeks': { one: '{count} week before', other: '{count} weeks before' },
+            'reminder.message': 'Reminder: "{title}" – {start}',
+            'reminder.missedMessage': 'Missed reminder: "{title}" – {start}',
+            'reminder.snooze': 'Snooze {minutes} min',
+            'reminder.dismiss': 'Dismiss',
+            'history.create': 'Create "{title}"',
+            'history.update': 'Update "{title}"',
+            'history.delete': 'Delete "{title}"',
+            'history.updateOccurrence': 'Update "{title}" on {date}',
+            'history.deleteOccurrence': 'Delete "{title}" on {date}',
+            'history.import': { one: 'Import {count} event', other: 'Import {count} events' },
+            'history.clear': 'Clear all events',
+            'history.restoreOtherVersion': 'Restore other version of "{title}"',
+            'history.undone': 'Undone: {label}',
+            'history.redone': 'Redone: {label}',
+            'history.nothingToUndo': 'Nothing to undo',
+            'history.nothingToRedo': 'Nothing to redo',
+            'history.undoUnavailable': 'This change can no longer be undone from here',
+            'sync.replacedInOtherTab': 'Events were replaced in another tab',
+            'sync.rejected': 'The server rejected changes to "{title}" ({status})',
+            'sync.offline': {
+                one: 'Calendar server unreachable; {count} change will be sent once it is back',
+                other: 'Calendar server unreachable; {count} changes will be sent once it is back'
+            },
+            'sync.failed': 'Calendar sync failed: {error}',
+            'sync.resumed': 'Calendar sync resumed',
+            'sync.inAnotherTab': 'in another tab',
+            'sync.onServer': 'on the server',
+            'sync.conflictKeptNewer': '"{title}" was also changed {where}; the newer version was kept',
+            'sync.conflictKeptLocal': '"{title}" was deleted {where} while you edited it; your version was kept',
+            'sync.conflictRestored': '"{title}" was edited {where} after you deleted it and has been restored',
+            'sync.useOtherVersion': 'Use other version',
+            'sync.deleteIt': 'Delete it',
+            'sync.conflictTitle': 'Sync Conflict',
+            'sync.conflictQuestion': '"{title}" was changed on the server while your changes were waiting to be sent. Which version do you want to keep?',
+            'sync.yourVersion': 'Your version',
+            'sync.serverVersion': 'Server version',
+            'sync.decideLater': 'Decide Later',
+            'sync.useServerVersion': 'Use Server Version',
+            'sync.keepMyVersion': 'Keep My Version',
+            'sync.deleted': 'Deleted',
+            'caldav.title': 'CalDAV Sync',
+            'caldav.hint': 'Sync the events with a CalDAV calendar. The credentials are stored in this browser; use an app password if your server offers one.',
+            'caldav.url': 'Calendar URL',
+            'caldav.username': 'Username',
+            'caldav.password': 'Password',
+            'caldav.connect': 'Connect',
+            'caldav.disconnect': 'Disconnect',
+            'caldav.connectedTo': 'Connected to {url}',
+            'caldav.notConnected': 'Not connected',
+            'caldav.invalidUrl': 'Please enter a valid calendar URL',
+            'caldav.connected': 'Calendar sync started',
+            'caldav.disconnected': 'Calendar sync stopped',
+            'storage.migrationFailed': 'Could not upgrade data from version {version}: {error}',
+            'storage.migrated': {
+                one: 'Data upgraded from version {from} to {to} ({count} migration); the previous data was backed up',
+                other: 'Data upgraded from version {from} to {to} ({count} migrations); the previous data was backed up'
+            },
+            'storage.confirmClearCorrupted': 'Corrupted data detected. Clear stored data and start fresh?',
+            'data.imported': { one: 'Imported {count} event', other: 'Imported {count} events' },
+            'data.skipped': '{message} ({count} skipped)',
+            'data.confirmClear': 'Are you sure you want to clear all event data?',
+            'data.cleared': 'All events cleared',
+            'error.unexpected': 'An unexpected error occurred. Please try again.',
+            'error.quotaExceeded': 'Storage quota exceeded. Please clear some data or export your events.',
+            'error.network': 'Network error. Please check your connection and try again.',
+            'holiday.newYear': 'New Year\'s Day',
+            'holiday.epiphany': 'Epiphany',
+            'holiday.labourDay': 'Labour Day',
+            'holiday.assumption': 'Assumption Day',
+            'holiday.nationalDay': 'National Day',
+            'holiday.allSaints': 'All Saints\' Day',
+            'holiday.immaculateConception': 'Immaculate Conception',
+            'holiday.christmas': 'Christmas Day',
+            'holiday.stStephen': 'St. Stephen\'s Day',
+            'holiday.goodFriday': 'Good Friday',
+            'holiday.easterSunday': 'Easter Sunday',
+            'holiday.easterMonday': 'Easter Monday',
+            'holiday.ascension': 'Ascension Day',
+            'holiday.whitSunday': 'Whit Sunday',
+            'holiday.whitMonday': 'Whit Monday',
+            'holiday.corpusChristi': 'Corpus Christi',
+            'holiday.christmasEve': 'Christmas Eve',
+            'holiday.newYearsEve': 'New Year\'s Eve',
+            'holiday.stJoseph': 'St. Joseph\'s Day',
+            'holiday.stFlorian': 'St. Florian\'s Day',
+            'holiday.stRupert': 'St. Rupert\'s Day',
+            'holiday.plebisciteDay': 'Plebiscite Day',
+            'holiday.stMartin': 'St. Martin\'s Day',
+            'holiday.stLeopold': 'St. Leopold\'s Day',
+            'holiday.womensDay': 'International Women\'s Day',
+            'holiday.childrensDay': 'World Children\'s Day',
+            'holiday.germanUnityDay': 'German Unity Day',
+            'holiday.reformationDay': 'Reformation Day',
+            'holiday.repentanceDay': 'Day of Repentance and Prayer',
+            'holiday.boxingDay': 'Second Day of Christmas',
+            'holiday.berchtoldsDay': 'Berchtold\'s Day',
+            'holiday.neuchatelRepublicDay': 'Republic Day',
+            'holiday.juraIndependenceDay': 'Jura Independence Day',
+            'holiday.swissNationalDay': 'Swiss National Day',
+            'holiday.genevaFast': 'Geneva Fast',
+            'holiday.federalFastMonday': 'Federal Fast Monday',
+            'holiday.genevaRestorationDay': 'Restoration of the Republic',
+            'holidayShort.immaculateConception': 'Immac. Conception',
+            'holidayShort.womensDay': 'Women\'s Day',
+            'holidayShort.repentanceDay': 'Repentance Day',
+            'holidays.title': 'Holidays',
+            'holidays.regionsHint': 'Pick the countries whose holidays are shown. Nationwide holidays are always included; tick federal states or cantons to add their regional holidays.',
+            'holidays.loadRules': 'Load holiday rules (JSON)',
+            'holidays.loaded': { one: 'Loaded {count} holiday for {name}', other: 'Loaded {count} holidays for {name}' },
+            'holidays.loadFailed': 'Could not load the holiday rules: {error}',
+            'bridgeDays.title': 'Bridge days {year}',
+            'bridgeDays.hint': 'Single working days between a holiday and a weekend: one day of leave gives several days off in a row.',
+            'bridgeDays.empty': 'There are no bridge days in {year}.',
+            'bridgeDays.daysOff': { one: '1 day of leave, {count} day off', other: '1 day of leave, {count} days off in a row' },
+            'absence.none': 'No absence',
+            'absence.vacation': 'Vacation',
+            'absence.sick': 'Sick leave',
+            'absence.comp': 'Comp time',
+            'absence.description': { one: '{person}: {type}, {count} working day', other: '{person}: {type}, {count} working days' },
+            'absences.title': 'Absences {year}',
+            'absences.hint': 'Working days absent per person. Only vacation counts against the yearly allowance.',
+            'absences.empty': 'No absences in {year} yet.',
+            'absences.person': 'Person',
+            'absences.allowance': 'Allowance',
+            'absences.remaining': 'Remaining',
+            'absences.addPerson': 'Add a person',
+            'absences.saved': 'Allowances saved',
+            'absences.remove': 'Remove the allowance of {person}',
+            'absences.removed': 'Removed the allowance of {person}',
+            'country.AT': 'Austria',
+            'country.DE': 'Germany',
+            'country.CH': 'Switzerland',
+            'region.AT-1': 'Burgenland',
+            'region.AT-2': 'Carinthia',
+            'region.AT-3': 'Lower Austria',
+            'region.AT-4': 'Upper Austria',
+            'region.AT-5': 'Salzburg',
+            'region.AT-6': 'Styria',
+            'region.AT-7': 'Tyrol',
+            'region.AT-8': 'Vorarlberg',
+            'region.AT-9': 'Vienna',
+            'region.DE-BY': 'Bavaria',
+            'region.DE-HE': 'Hesse',
+            'region.DE-MV': 'Mecklenburg-Western Pomerania',
+            'region.DE-NI': 'Lower Saxony',
+            'region.DE-NW': 'North Rhine-Westphalia',
+            'region.DE-RP': 'Rhineland-Palatinate',
+            'region.DE-SN': 'Saxony',
+            'region.DE-ST': 'Saxony-Anhalt',
+            'region.DE-TH': 'Thuringia',
+            'region.CH-FR': 'Fribourg',
+            'region.CH-GE': 'Geneva',
+            'region.CH-LU': 'Lucerne',
+            'region.CH-NE': 'Neuchâtel',
+            'region.CH-TI': 'Ticino',
+            'region.CH-VD': 'Vaud',
+            'region.CH-VS': 'Valais',
+            'region.CH-ZH': 'Zurich'
+        },
+        de: {
+            'language.name': 'Deutsch',
+            'app.title': 'JavaScript Kalender',
+            'app.description': 'JavaScript Kalender - Ein moderner, interaktiver Kalender zur Verwaltung von Terminen',
+            'app.heading': 'Kalender',
+            'app.recovered': 'Anwendung erfolgreich wiederhergestellt',
+            'nav.today': 'Heute',
+            'nav.todayLabel': 'Springe zu heute',
+            'nav.views': 'Ansicht',
+            'nav.language': 'Sprache',
+            'nav.weekStart': 'Erster Tag der Woche',
+            'nav.weekNumbers': 'Kalenderwochen anzeigen',
+            'nav.holidayRegions': 'Feiertage',
+            'nav.holidayRegionsLabel': 'Länder und Regionen für Feiertage auswählen',
+            'nav.bridgeDays': 'Fenstertage',
+            'nav.bridgeDaysLabel': 'Fenstertage des Jahres anzeigen',
+            'nav.absences': 'Abwesenheiten',
+            'nav.absencesLabel': 'Abwesenheiten und Resturlaub anzeigen',
+            'nav.sync': 'Synchronisierung',
+            'nav.syncLabel': 'CalDAV-Kalender verbinden',
+            'nav.previousMonth': 'Vorheriger Monat',
+            'nav.nextMonth': 'Nächster Monat',
+            'nav.previousWeek': 'Vorherige Woche',
+            'nav.nextWeek': 'Nächste Woche',
+            'nav.previousDay': 'Vorheriger Tag',
+            'nav.nextDay': 'Nächster Tag',
+            'nav.previousYear': 'Vorheriges Jahr',
+            'nav.nextYear': 'Nächstes Jahr',
+            'view.month': 'Monat',
+            'view.week': 'Woche',
+            'view.day': 'Tag',
+            'view.year': 'Jahr',
+            'view.agenda': 'Liste',
+            'view.calendar': 'Kalender',
+            'view.weekGrid': 'Wochenansicht',
+            'view.dayGrid': 'Tagesansicht',
+            'view.yearOverview': 'Jahresübersicht',
+            'view.agendaList': 'Terminliste',
+            'calendar.openDayView': 'Tagesansicht öffnen',
+            'calendar.holiday': 'Feiertag: {name}',
+            'calendar.bridgeDay': 'Fenstertag',
+            'calendar.observance': '{name} – kein gesetzlicher Feiertag',
+            'calendar.weekNumberShort': 'KW',
+            'calendar.weekNumberHeader': 'Kalenderwoche',
+            'calendar.openWeek': 'KW {week} in der Wochenansicht öffnen',
+            'year.openMonth': '{month} öffnen',
+            'year.dayLabel': { one: '{date}: {count} Termin', other: '{date}: {count} Termine' },
+            'year.less': 'Weniger',
+            'year.more': 'Mehr',
+            'year.holiday': 'Feiertag',
+            'agenda.from': 'Ab {date}',
+            'agenda.empty': 'Keine Termine ab diesem Datum',
+            'agenda.end': 'Keine weiteren Termine',
+            'agenda.loading': 'Weitere Termine werden geladen …',
+            'category.work': 'Arbeit',
+            'category.personal': 'Privat',
+            'category.health': 'Gesundheit',
+            'category.education': 'Bildung',
+            'category.social': 'Soziales',
+            'category.travel': 'Reisen',
+            'category.general': 'Allgemein',
+            'event.allDay': 'Ganztägig',
+            'event.extraDays': { one: '+{count} Tag', other: '+{count} Tage' },
+            'event.count': { one: '{count} Termin', other: '{count} Termine' },
+            'event.andMore': '… und {count} weitere',
+            'event.created': 'Termin erstellt!',
+            'event.updated': 'Termin gespeichert!',
+            'event.deleted': 'Termin gelöscht!',
+            'event.occurrenceDeleted': 'Einzeltermin gelöscht!',
+            'event.notFound': 'Termin nicht gefunden',
+            'event.confirmDelete': '„{title}“ wirklich löschen?',
+            'event.confirmDeleteOccurrence': '„{title}“ am {date} löschen? Die anderen Termine der Serie bleiben erhalten.',
+            'event.moved': '„{title}“ auf {date} verschoben',
+            'event.rescheduled': '„{title}“ auf {time} verschoben',
+            'event.moveFailed': 'Termin konnte nicht verschoben werden: {error}',
+            'event.validationFailed': 'Ungültiger Termin: {errors}',
+            'details.title': 'Termindetails',
+            'details.created': 'Erstellt: {date}',
+            'details.updated': 'Geändert: {date}',
+            'details.workingDaysUntil': { one: 'Noch {count} Arbeitstag bis zum Termin', other: 'Noch {count} Arbeitstage bis zum Termin' },
+            'details.workingDaysAgo': { one: 'Vor {count} Arbeitstag', other: 'Vor {count} Arbeitstagen' },
+            'details.workingDaysToday': 'Heute',
+            'details.edit': 'Bearbeiten',
+            'details.deleteOccurrence': 'Einzeltermin löschen',
+            'details.deleteSeries': 'Serie löschen',
+            'action.open': 'Öffnen',
+            'action.close': 'Schließen',
+            'action.closeModal': 'Dialog schließen',
+            'action.cancel': 'Abbrechen',
+            'action.delete': 'Löschen',
+            'action.undo': 'Rückgängig',
+            'form.createTitle': 'Neuer Termin',
+            'form.editTitle': 'Termin bearbeiten',
+            'form.date': 'Datum',
+            'form.endDate': 'Enddatum',
+            'form.title': 'Titel *',
+            'form.titlePlaceholder': 'Titel eingeben',
+            'form.description': 'Beschreibung',
+            'form.descriptionPlaceholder': 'Beschreibung eingeben (optional)',
+            'form.startTime': 'Beginn',
+            'form.endTime': 'Ende',
+            'form.category': 'Kategorie',
+            'form.showWorkingDays': 'Arbeitstage bis zum Termin anzeigen',
+            'form.absenceType': 'Abwesenheit',
+            'form.person': 'Person',
+            'form.personPlaceholder': 'Wer ist abwesend?',
+            'form.scope': 'Änderungen übernehmen für',
+            'form.scopeOccurrence': 'Nur diesen Termin',
+            'form.scopeSeries': 'Alle Termine der Serie',
+            'form.create': 'Termin erstellen',
+            'form.save': 'Speichern',
+            'field.title': 'Titel',
+            'field.description': 'Beschreibung',
+            'field.date': 'Datum',
+            'field.endDate': 'Enddatum',
+            'field.startTime': 'Beginn',
+            'field.endTime': 'Ende',
+            'field.category': 'Kategorie',
+            'validation.required': '{field} ist erforderlich',
+            'validation.minLength': '{field} muss mindestens {min} Zeichen lang sein',
+            'validation.maxLength': '{field} darf höchstens {max} Zeichen lang sein',
+            'validation.email': 'Bitte eine gültige E-Mail-Adresse eingeben',
+            'validation.url': 'Bitte eine gültige URL eingeben',
+            'validation.date': 'Bitte ein gültiges Datum eingeben',
+            'validation.time': 'Bitte eine gültige Uhrzeit eingeben',
+            'validation.numeric': '{field} muss eine Zahl sein',
+            'validation.pattern': '{field} hat ein ungültiges Format',
+            'validation.invalid': '{field} ist ungültig',
+            'validation.unknownRule': 'Unbekannte Prüfregel: {rule}',
+            'validation.titleRequired': 'Ein Titel ist erforderlich',
+            'validation.titleLength': 'Der Titel darf höchstens 100 Zeichen lang sein',
+            'validation.dateRequired': 'Ein gültiges Datum ist erforderlich',
+            'validation.pastDate': 'Das Datum darf nicht in der Vergangenheit liegen',
+            'validation.startTime': 'Ungültige Beginnzeit',
+            'validation.endTime': 'Ungültige Endzeit',
+            'validation.endDate': 'Ungültiges Enddatum',
+            'validation.timeZone': 'Unbekannte Zeitzone: {timeZone}',
+            'validation.endDateBeforeStart': 'Das Enddatum darf nicht vor dem Beginn liegen',
+            'validation.endTimeBeforeStart': 'Das Ende muss nach dem Beginn liegen (für Termine über Mitternacht ein Enddatum setzen)',
+            'validation.reminders': 'Erinnerungen müssen zwischen 0 Minuten und 4 Wochen vor Beginn liegen',
+            'validation.category': 'Unbekannte Kategorie: {category}',
+            'validation.absenceType': 'Unbekannte Abwesenheitsart: {type}',
+            'validation.absencePerson': 'Bitte angeben, wer abwesend ist',
+            'recurrence.label': 'Wiederholen',
+            'recurrence.none': 'Keine Wiederholung',
+            'recurrence.daily': 'Täglich',
+            'recurrence.weekly': 'Wöchentlich',
+            'recurrence.monthly': 'Monatlich',
+            'recurrence.yearly': 'Jährlich',
+            'recurrence.interval': 'Alle',
+            'recurrence.ends': 'Endet',
+            'recurrence.never': 'Nie',
+            'recurrence.after': 'Nach Anzahl',
+            'recurrence.onDate': 'Am Datum',
+            'recurrence.count': 'Anzahl Termine',
+            'recurrence.until': 'Enddatum',
+            'recurrence.everyDaily': { one: 'Täglich', other: 'Alle {count} Tage' },
+            'recurrence.everyWeekly': { one: 'Jede Woche', other: 'Alle {count} Wochen' },
+            'recurrence.everyMonthly': { one: 'Jeden Monat', other: 'Alle {count} Monate' },
+            'recurrence.everyYearly': { one: 'Jedes Jahr', other: 'Alle {count} Jahre' },
+            'recurrence.onDays': '{rule} am {days}',
+            'recurrence.lastWeekday': 'letzten {day}',
+            'recurrence.nthWeekday': '{ordinal} {day}',
+            'recurrence.times': { one: '{rule}, einmal', other: '{rule}, {count}-mal' },
+            'recurrence.untilDate': '{rule}, bis {date}',
+            'recurrence.invalidFrequency': 'Ungültige Wiederholung: {freq}',
+            'recurrence.invalidWeekday': 'Ungültiger Wochentag: {days}',
+            'recurrence.countAndUntil': 'Eine Wiederholung kann nicht zugleich eine Anzahl und ein Enddatum haben',
+            'recurrence.invalidUntil': 'Ungültiges Enddatum der Wiederholung',
+            'recurrence.untilBeforeStart': 'Das Enddatum der Wiederholung muss nach dem Beginn liegen',
+            'ordinal': '{count}.',
+            'timeZone.label': 'Zeitzone',
+            'timeZone.floating': 'Ohne Zeitzone',
+            'timeZone.floatingOption': 'Ohne Zeitzone (überall dieselbe Uhrzeit)',
+            'reminders.label': 'Erinnerungen',
+            'reminder.atStart': 'Zu Beginn',
+            'reminder.minutes': { one: '{count} Minute vorher', other: '{count} Minuten vorher' },
+            'reminder.hours': { one: '{count} Stunde vorher', other: '{count} Stunden vorher' },
+            'reminder.days': { one: '{count} Tag vorher', other: '{count} Tage vorher' },
+            'reminder.weeks': { one: '{count} Woche vorher', other: '{count} Wochen vorher' },
+            'reminder.message': 'Erinnerung: „{title}“ – {start}',
+            'reminder.missedMessage': 'Verpasste Erinnerung: „{title}“ – {start}',
+            'reminder.snooze': 'In {minutes} Min. erinnern',
+            'reminder.dismiss': 'Verwerfen',
+            'history.create': '„{title}“ erstellen',
+            'history.update': '„{title}“ ändern',
+            'history.delete': '„{title}“ löschen',
+            'history.updateOccurrence': '„{title}“ am {date} ändern',
+            'history.deleteOccurrence': '„{title}“ am {date} löschen',
+            'history.import': { one: '{count} Termin importieren', other: '{count} Termine importieren' },
+            'history.clear': 'Alle Termine löschen',
+            'history.restoreOtherVersion': 'Andere Version von „{title}“ wiederherstellen',
+            'history.undone': 'Rückgängig gemacht: {label}',
+            'history.redone': 'Wiederholt: {label}',
+            'history.nothingToUndo': 'Nichts rückgängig zu machen',
+            'history.nothingToRedo': 'Nichts zu wiederholen',
+            'history.undoUnavailable': 'Diese Änderung kann hier nicht mehr rückgängig gemacht werden',
+            'sync.replacedInOtherTab': 'Die Termine wurden in einem anderen Tab ersetzt',
+            'sync.rejected': 'Der Server hat die Änderungen an „{title}“ abgelehnt ({status})',
+            'sync.offline': {
+                one: 'Kalenderserver nicht erreichbar; {count} Änderung wird gesendet, sobald er wieder erreichbar ist',
+                other: 'Kalenderserver nicht erreichbar; {count} Änderungen werden gesendet, sobald er wieder erreichbar ist'
+            },
+            'sync.failed': 'Synchronisierung fehlgeschlagen: {error}',
+            'sync.resumed': 'Synchronisierung wieder aufgenommen',
+            'sync.inAnotherTab': 'in einem anderen Tab',
+            'sync.onServer': 'auf dem Server',
+            'sync.conflictKeptNewer': '„{title}“ wurde auch {where} geändert; die neuere Version wurde behalten',
+            'sync.conflictKeptLocal': '„{title}“ wurde {where} gelöscht, während Sie den Termin bearbeitet haben; Ihre Version wurde behalten',
+            'sync.conflictRestored': '„{title}“ wurde {where} bearbeitet, nachdem Sie den Termin gelöscht hatten, und wurde wiederhergestellt',
+            'sync.useOtherVersion': 'Andere Version verwenden',
+            'sync.deleteIt': 'Löschen',
+            'sync.conflictTitle': 'Synchronisierungskonflikt',
+            'sync.conflictQuestion': '„{title}“ wurde auf dem Server geändert, während Ihre Änderungen auf das Senden warteten. Welche Version möchten Sie behalten?',
+            'sync.yourVersion': 'Ihre Version',
+            'sync.serverVersion': 'Server-Version',
+            'sync.decideLater': 'Später entscheiden',
+            'sync.useServerVersion': 'Server-Version verwenden',
+            'sync.keepMyVersion': 'Meine Version behalten',
+            'sync.deleted': 'Gelöscht',
+            'caldav.title': 'CalDAV-Synchronisierung',
+            'caldav.hint': 'Termine mit einem CalDAV-Kalender abgleichen. Die Zugangsdaten werden in diesem Browser gespeichert; verwenden Sie ein App-Passwort, wenn Ihr Server eines anbietet.',
+            'caldav.url': 'Kalender-URL',
+            'caldav.username': 'Benutzername',
+            'caldav.password': 'Passwort',
+            'caldav.connect': 'Verbinden',
+            'caldav.disconnect': 'Trennen',
+            'caldav.connectedTo': 'Verbunden mit {url}',
+            'caldav.notConnected': 'Nicht verbunden',
+            'caldav.invalidUrl': 'Bitte geben Sie eine gültige Kalender-URL ein',
+            'caldav.connected': 'Synchronisierung gestartet',
+            'caldav.disconnected': 'Synchronisierung beendet',
+            'storage.migrationFailed': 'Die Daten der Version {version} konnten nicht aktualisiert werden: {error}',
+            'storage.migrated': {
+                one: 'Daten von Version {from} auf {to} aktualisiert ({count} Migration); die bisherigen Daten wurden gesichert',
+                other: 'Daten von Version {from} auf {to} aktualisiert ({count} Migrationen); die bisherigen Daten wurden gesichert'
+            },
+            'storage.confirmClearCorrupted': 'Beschädigte Daten gefunden. Gespeicherte Daten löschen und neu beginnen?',
+            'data.imported': { one: '{count} Termin importiert', other: '{count} Termine importiert' },
+            'data.skipped': '{message} ({count} übersprungen)',
+            'data.confirmClear': 'Wirklich alle Termine löschen?',
+            'data.cleared': 'Alle Termine gelöscht',
+            'error.unexpected': 'Ein unerwarteter Fehler ist aufgetreten. Bitte versuchen Sie es erneut.',
+            'error.quotaExceeded': 'Der Speicher ist voll. Bitte löschen Sie Daten oder exportieren Sie Ihre Termine.',
+            'error.network': 'Netzwerkfehler. Bitte prüfen Sie Ihre Verbindung und versuchen Sie es erneut.',
+            'holiday.newYear': 'Neujahr',
+            'holiday.epiphany': 'Heilige Drei Könige',
+            'holiday.labourDay': 'Staatsfeiertag',
+            'holiday.assumption': 'Mariä Himmelfahrt',
+            'holiday.nationalDay': 'Nationalfeiertag',
+            'holiday.allSaints': 'Allerheiligen',
+            'holiday.immaculateConception': 'Mariä Empfängnis',
+            'holiday.christmas': 'Christtag',
+            'holiday.stStephen': 'Stefanitag',
+            'holiday.goodFriday': 'Karfreitag',
+            'holiday.easterSunday': 'Ostersonntag',
+            'holiday.easterMonday': 'Ostermontag',
+            'holiday.ascension': 'Christi Himmelfahrt',
+            'holiday.whitSunday': 'Pfingstsonntag',
+            'holiday.whitMonday': 'Pfingstmontag',
+            'holiday.corpusChristi': 'Fronleichnam',
+            'holidayShort.epiphany': 'Hl. 3 Könige',
+            'holidayShort.assumption': 'M. Himmelfahrt',
+            'holidayShort.immaculateConception': 'M. Empfängnis',
+            'holiday.christmasEve': 'Heiliger Abend',
+            'holiday.newYearsEve': 'Silvester',
+            'holiday.stJoseph': 'Josefitag',
+            'holiday.stFlorian': 'Florianitag',
+            'holiday.stRupert': 'Rupertitag',
+            'holiday.plebisciteDay': 'Tag der Volksabstimmung',
+            'holiday.stMartin': 'Martinitag',
+            'holiday.stLeopold': 'Leopolditag',
+            'holidayShort.ascension': 'Chr. Himmelfahrt',
+            'holidayShort.plebisciteDay': 'Volksabstimmung',
+            'holidayShort.womensDay': 'Frauentag',
+            'holidayShort.germanUnityDay': 'Dt. Einheit',
+            'holidays.title': 'Feiertage',
+            'holidays.regionsHint': 'Wählen Sie die Länder, deren Feiertage angezeigt werden. Landesweite Feiertage sind immer dabei; Bundesländer oder Kantone fügen ihre regionalen Feiertage hinzu.',
+            'holidays.loadRules': 'Feiertagsregeln laden (JSON)',
+            'holidays.loaded': { one: '{count} Feiertag für {name} geladen', other: '{count} Feiertage für {name} geladen' },
+            'holidays.loadFailed': 'Die Feiertagsregeln konnten nicht geladen werden: {error}',
+            'bridgeDays.title': 'Fenstertage {year}',
+            'bridgeDays.hint': 'Einzelne Arbeitstage zwischen Feiertag und Wochenende: Ein Urlaubstag bringt mehrere freie Tage am Stück.',
+            'bridgeDays.empty': '{year} gibt es keine Fenstertage.',
+            'bridgeDays.daysOff': { one: '1 Urlaubstag, {count} freier Tag', other: '1 Urlaubstag, {count} freie Tage am Stück' },
+            'absence.none': 'Keine Abwesenheit',
+            'absence.vacation': 'Urlaub',
+            'absence.sick': 'Krankenstand',
+            'absence.comp': 'Zeitausgleich',
+            'absence.description': { one: '{person}: {type}, {count} Arbeitstag', other: '{person}: {type}, {count} Arbeitstage' },
+            'absences.title': 'Abwesenheiten {year}',
+            'absences.hint': 'Abwesende Arbeitstage pro Person. Nur Urlaub wird vom jährlichen Anspruch abgezogen.',
+            'absences.empty': '{year} gibt es noch keine Abwesenheiten.',
+            'absences.person': 'Person',
+            'absences.allowance': 'Anspruch',
+            'absences.remaining': 'Rest',
+            'absences.addPerson': 'Person hinzufügen',
+            'absences.saved': 'Urlaubsansprüche gespeichert',
+            'absences.remove': 'Urlaubsanspruch von {person} entfernen',
+            'absences.removed': 'Urlaubsanspruch von {person} entfernt'
+        }
+    },
+    
+    // Pick the saved locale if there is one, otherwise the browser's preferred language if supported
+    init(preferredLocale = null) {
+        const browserLocales = typeof navigator !== 'undefined'
+            ? (navigator.languages && navigator.languages.length > 0 ? navigator.languages : [navigator.language])
+            : [];
+        
+        this.locale = this.resolveLocale([preferredLocale, ...browserLocales]) || this.locale;
+        this.updateDocumentLanguage();
+        return this.locale;
+    },
+    
+    // First supported locale of a list of language tags, matching 'de-AT' to 'de'; null if none is supported
+    resolveLocale(candidates) {
+        for (const candidate of candidates) {
+            if (!candidate) continue;
+            if (this.catalogs[candidate]) return candidate;
+            
+            const language = String(candidate).split('-')[0].toLowerCase();
+            if (this.catalogs[language]) return language;
+        }
+        return null;
+    },
+    
+    // Switch the active locale; returns false for locales without a catalog
+    setLocale(locale) {
+        if (!this.catalogs[locale]) return false;
+        
+        this.locale = locale;
+        this.updateDocumentLanguage();
+        return true;
+    },
+    
+    getLocales() {
+        return Object.keys(this.catalogs);
+    },
+    
+    // Native name of a locale for the language picker, e.g. 'Deutsch'
+    getLanguageName(locale) {
+        return (this.catalogs[locale] && this.catalogs[locale]['language.name']) || locale;
+    },
+    
+    // Add a catalog or extend an existing one
+    registerCatalog(locale, messages) {
+        this.catalogs[locale] = { ...this.catalogs[locale], ...messages };
+    },
+    
+    has(key) {
+        return this.getMessage(key) !== undefined;
+    },
+    
+    getMessage(key) {
+        const catalog = this.catalogs[this.locale] || {};
+        return key in catalog ? catalog[key] : (this.catalogs[this.fallbackLocale] || {})[key];
+    },
+    
+    // Translate a message key, filling in {placeholders} from params; plural messages use params.count.
+    // Unknown keys are returned unchanged so missing translations stay visible.
+    t(key, params = {}) {
+        const message = this.getMessage(key);
+        if (message === undefined) return key;
+        
+        return this.interpolate(this.selectPlural(message, params.count), params);
+    },
+    
+    // Ordinal number, e.g. 2 -> '2nd' or '2.'
+    formatOrdinal(number) {
+        const message = this.getMessage('ordinal');
+        if (message === undefined) return String(number);
+        
+        return this.interpolate(this.selectPlural(message, number, 'ordinal'), { count: number });
+    },
+    
+    selectPlural(message, count, type = 'cardinal') {
+        if (typeof message === 'string') return message;
+        
+        const category = this.getPluralRules(type).select(Number(count) || 0);
+        return message[category] !== undefined ? message[category] : message.other;
+    },
+    
+    interpolate(message, params) {
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+            return params[name] !== undefined && params[name] !== null ? String(params[name]) : placeholder;
+        });
+    },
+    
+    getPluralRules(type = 'cardinal') {
+        const cacheKey = `${this.locale}|plural|${type}`;
+        if (!this.formatters.has(cacheKey)) {
+            this.formatters.set(cacheKey, new Intl.PluralRules(this.locale, { type }));
+        }
+        return this.formatters.get(cacheKey);
+    },
+    
+    // Intl.DateTimeFormat for the active locale (creating them is slow, so they are cached)
+    getDateTimeFormat(options) {
+        const cacheKey = `${this.locale}|date|${JSON.stringify(options)}`;
+        if (!this.formatters.has(cacheKey)) {
+            this.formatters.set(cacheKey, new Intl.DateTimeFormat(this.locale, options));
+        }
+        return this.formatters.get(cacheKey);
+    },
+    
+    // Format a calendar date (YYYY-MM-DD) with a named format or Intl options.
+    // Formatted in UTC so the viewer's DST changes can't shift the day.
+    formatDate(dateString, format = 'long') {
+        const options = typeof format === 'string' ? this.dateFormats[format] : format;
+        return this.getDateTimeFormat({ ...options, timeZone: 'UTC' }).format(this.toUTCDate(dateString));
+    },
+    
+    // Format a date range as compactly as the locale allows, e.g. '13.–19. Januar 2025'
+    formatDateRange(startDate, endDate, format = 'long') {
+        const options = typeof format === 'string' ? this.dateFormats[format] : format;
+        const formatter = this.getDateTimeFormat({ ...options, timeZone: 'UTC' });
+        const start = this.toUTCDate(startDate);
+        const end = this.toUTCDate(endDate);
+        
+        return typeof formatter.formatRange === 'function'
+            ? formatter.formatRange(start, end)
+            : `${formatter.format(start)} – ${formatter.format(end)}`;
+    },
+    
+    // Format a point in time (Date, timestamp or ISO string) in the viewer's time zone
+    formatDateTime(value, format = 'dateTime') {
+        const options = typeof format === 'string' ? this.dateFormats[format] : format;
+        return this.getDateTimeFormat(options).format(new Date(value));
+    },
+    
+    toUTCDate(dateString) {
+        const { year, month, day } = DateUtils.parseDate(dateString);
+        return new Date(Date.UTC(year, month, day));
+    },
+    
+    updateDocumentLanguage() {
+        if (typeof document !== 'undefined' && document.documentElement) {
+            document.documentElement.lang = this.locale;
+        }
+    },
+    
+    // Translate static markup: data-i18n sets the text, data-i18n-<attribute> sets that attribute
+    translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        
+        ['aria-label', 'title', 'placeholder', 'content'].forEach(attribute => {
+            root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+                element.setAttribute(attribute, this.t(element.getAttribute(`data-i18n-${attribute}`)));
+            });
+        });
+    }
+};
+
+// Date Utility Functions
+const DateUtils = {
+    // First column of week rows, numbered like getWeekday (0 = Monday, 5 = Saturday, 6 = Sunday)
+    weekStartsOn: 0,
+    weekStartOptions: [0, 6, 5], // Monday, Sunday, Saturday
+    
+    // Change the first day of the week; returns false for unsupported values
+    setWeekStart(weekday) {
+        if (!this.weekStartOptions.includes(weekday)) return false;
+        
+        this.weekStartsOn = weekday;
+        return true;
+    },
+    
+    // Weekdays (0 = Monday) in the column order of the grids
+    getWeekdayOrder() {
+        return Array.from({ length: 7 }, (_, column) => (this.weekStartsOn + column) % 7);
+    },
+    
+    // Get number of days in a specific month/year
+    getDaysInMonth(year, month) {
+        return new Date(year, month + 1, 0).getDate();
+    },
+    
+    // Get the weekday of the first day of a month (0 = Monday, 6 = Sunday)
+    getFirstDayOfMonth(year, month) {
+        // Get day of week (0=Sunday, 1=Monday, ..., 6=Saturday)
+        let day = new Date(year, month, 1).getDay();
+        // Convert to Monday=0, Tuesday=1, ..., Sunday=6
+        return (day + 6) % 7;
+    },
+    
+    // Get previous month/year
+    getPreviousMonth(year, month) {
+        if (month === 0) {
+            return { year: year - 1, month: 11 };
+        }
+        return { year: year, month: month - 1 };
+    },
+    
+    // Get next month/year
+    getNextMonth(year, month) {
+        if (month === 11) {
+            return { year: year + 1, month: 0 };
+        }
+        return { year: year, month: month + 1 };
+    },
+    
+    // Check if a year is a leap year
+    isLeapYear(year) {
+        return (year % 4 === 0 && year % 100 !== 0) || (year % 400 === 0);
+    },
+    
+    // Format date as YYYY-MM-DD
+    formatDate(year, month, day) {
+        const mm = String(month + 1).padStart(2, '0');
+        const dd = String(day).padStart(2, '0');
+        return `${year}-${mm}-${dd}`;
+    },
+    
+    // Parse date string back to components
+    parseDate(dateString) {
+        const [year, month, day] = dateString.split('-').map(Number);
+        return { year, month: month - 1, day };
+    },
+    
+    // Add (or subtract) days to a YYYY-MM-DD string (calculated in UTC to avoid DST shifts)
+    addDays(dateString, days) {
+        const { year, month, day } = this.parseDate(dateString);
+        const date = new Date(Date.UTC(year, month, day + days));
+        return this.formatDate(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+    },
+    
+    // Number of days from one YYYY-MM-DD string to another
+    daysBetween(startDateString, endDateString) {
+        const start = this.parseDate(startDateString);
+        const end = this.parseDate(endDateString);
+        const startUTC = Date.UTC(start.year, start.month, start.day);
+        const endUTC = Date.UTC(end.year, end.month, end.day);
+        return Math.round((endUTC - startUTC) / (24 * 60 * 60 * 1000));
+    },
+    
+    // Format a Date object as YYYY-MM-DD (local time)
+    formatDateObject(date) {
+        return this.formatDate(date.getFullYear(), date.getMonth(), date.getDate());
+    },
+    
+    // Get the first day (see weekStartsOn) of the week containing a YYYY-MM-DD string; recurrence
+    // rules pass 0 because RRULE weeks always start on Monday (WKST=MO)
+    getWeekStart(dateString, weekStartsOn = this.weekStartsOn) {
+        return this.addDays(dateString, -((this.getWeekday(dateString) - weekStartsOn + 7) % 7));
+    },
+    
+    // ISO 8601 week of a YYYY-MM-DD string: weeks start on Monday and week 1 contains January 4th
+    getISOWeek(dateString) {
+        // The Thursday of the same week decides which year the week belongs to
+        const thursday = this.addDays(dateString, 3 - this.getWeekday(dateString));
+        const { year } = this.parseDate(thursday);
+        return { year, week: Math.floor(this.daysBetween(this.formatDate(year, 0, 1), thursday) / 7) + 1 };
+    },
+    
+    // Convert HH:MM to minutes since midnight
+    timeToMinutes(timeString) {
+        const [hours, minutes] = timeString.split(':').map(Number);
+        return hours * 60 + minutes;
+    },
+    
+    // Convert minutes since midnight to HH:MM
+    minutesToTime(totalMinutes) {
+        const hours = String(Math.floor(totalMinutes / 60)).padStart(2, '0');
+        const minutes = String(totalMinutes % 60).padStart(2, '0');
+        return `${hours}:${minutes}`;
+    },
+    
+    // Get day of week for a YYYY-MM-DD string (0 = Monday, 6 = Sunday)
+    getWeekday(dateString) {
+        const { year, month, day } = this.parseDate(dateString);
+        return (new Date(Date.UTC(year, month, day)).getUTCDay() + 6) % 7;
+    },
+    
+    // Check if two dates are the same
+    isSameDate(date1, date2) {
+        return date1.getFullYear() === date2.getFullYear() &&
+               date1.getMonth() === date2.getMonth() &&
+               date1.getDate() === date2.getDate();
+    },
+    
+    // Check if a date is today
+    isToday(year, month, day) {
+        const today = new Date();
+        return year === today.getFullYear() &&
+               month === today.getMonth() &&
+               day === today.getDate();
+    },
+    
+    // Get month name in the active locale
+    getMonthName(month) {
+        return I18n.getDateTimeFormat({ month: 'long', timeZone: 'UTC' }).format(Date.UTC(2000, month, 1));
+    },
+    
+    // Get weekday abbreviation in the active locale (Monday = 0), matching the grid header
+    getWeekdayShortName(weekday) {
+        // 2024-01-01 was a Monday; German abbreviations drop the trailing period ("Mo." -> "Mo")
+        return I18n.getDateTimeFormat({ weekday: 'short', timeZone: 'UTC' })
+            .format(Date.UTC(2024, 0, 1 + weekday))
+            .replace(/\.$/, '');
+    },
+    
+    // Get weekday name in the active locale (Monday = 0)
+    getWeekdayName(weekday) {
+        return I18n.getDateTimeFormat({ weekday: 'long', timeZone: 'UTC' }).format(Date.UTC(2024, 0, 1 + weekday));
+    },
+    
+    // Get abbreviated day names, starting with Sunday
+    getDayNames() {
+        return [6, 0, 1, 2, 3, 4, 5].map(weekday => this.getWeekdayShortName(weekday));
+    },
+    
+    // Generate calendar grid data for a given month, with weeks starting on weekStartsOn
+    generateCalendarData(year, month) {
+        const daysInMonth = this.getDaysInMonth(year, month);
+        const firstDay = this.getFirstDayOfMonth(year, month);
+        const leadingDays = (firstDay - this.weekStartsOn + 7) % 7;
+        const prevMonth = this.getPreviousMonth(year, month);
+        const nextMonth = this.getNextMonth(year, month);
+        const daysInPrevMonth = this.getDaysInMonth(prevMonth.year, prevMonth.month);
+        
+        const calendarData = [];
+        let week = [];
+        
+        // Add previous month's trailing days
+        for (let i = leadingDays - 1; i >= 0; i--) {
+            const dayOfWeek = (firstDay - 1 - i + 7) % 7; // 0=Monday, 6=Sunday
+            week.push({
+                day: daysInPrevMonth - i,
+                month: prevMonth.month,
+                year: prevMonth.year,
+                isCurrentMonth: false,
+                isPrevMonth: true,
+                isNextMonth: false,
+                dayOfWeek: dayOfWeek
+            });
+        }
+        
+        // Add current month's days
+        for (let day = 1; day <= daysInMonth; day++) {
+            const dayOfWeek = (firstDay + day - 1) % 7; // 0=Monday, 6=Sunday
+            week.push({
+                day: day,
+                month: month,
+                year: year,
+                isCurrentMonth: true,
+                isPrevMonth: false,
+                isNextMonth: false,
+                isToday: this.isToday(year, month, day),
+                dayOfWeek: dayOfWeek
+            });
+            
+            // If week is complete, add to calendar data
+            if (week.length === 7) {
+                calendarData.push([...week]);
+                week = [];
+            }
+        }
+        
+        // Add next month's leading days to complete the grid
+        let nextDay = 1;
+        while (week.length < 7) {
+            const dayOfWeek = (this.weekStartsOn + week.length) % 7; // 0=Monday, 6=Sunday
+            week.push({
+                day: nextDay,
+                month: nextMonth.month,
+                year: nextMonth.year,
+                isCurrentMonth: false,
+                isPrevMonth: false,
+                isNextMonth: true,
+                dayOfWeek: dayOfWeek
+            });
+            nextDay++;
+        }
+        
+        // Add final week if it exists
+        if (week.length > 0) {
+            calendarData.push([...week]);
+        }
+        
+        return calendarData;
+    }
+};
+
+// Time zone helpers based on Intl (IANA zone names such as 'Europe/Vienna'; '' means the viewer's local time)
+const TimeZoneUtils = {
+    formatters: new Map(), // Intl.DateTimeFormat per zone (creating them is slow)
+    
+    // Offered by the zone pickers where Intl.supportedValuesOf is unavailable
+    commonTimeZones: [
+        'UTC', 'Europe/Vienna', 'Europe/Berlin', 'Europe/Zurich', 'Europe/London',
+        'America/New_York', 'America/Chicago', 'America/Denver', 'America/Los_Angeles',
+        'Asia/Tokyo', 'Australia/Sydney'
+    ],
+    
+    // The viewer's time zone
+    getSystemTimeZone() {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    },
+    
+    isValidTimeZone(timeZone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    },
+    
+    // Zone names for the pickers (always including the viewer's zone)
+    getTimeZones() {
+        const timeZones = typeof Intl.supportedValuesOf === 'function'
+            ? Intl.supportedValuesOf('timeZone')
+            : this.commonTimeZones;
+        const systemTimeZone = this.getSystemTimeZone();
+        return timeZones.includes(systemTimeZone) ? timeZones : [systemTimeZone, ...timeZones];
+    },
+    
+    // Readable zone name, e.g. 'America/New_York' -> 'America/New York'
+    formatTimeZone(timeZone) {
+        return timeZone ? timeZone.replace(/_/g, ' ') : I18n.t('timeZone.floating');
+    },
+    
+    // Wall-clock date (YYYY-MM-DD) and time (HH:MM) in a zone at a timestamp
+    getZonedDateTime(timestamp, timeZone = '') {
+        if (!timeZone) {
+            const local = new Date(timestamp);
+            return {
+                date: DateUtils.formatDateObject(local),
+                time: DateUtils.minutesToTime(local.getHours() * 60 + local.getMinutes())
+            };
+        }
+        
+        if (!this.formatters.has(timeZone)) {
+            this.formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit'
+            }));
+        }
+        
+        const parts = {};
+        this.formatters.get(timeZone).formatToParts(new Date(timestamp)).forEach(({ type, value }) => {
+            parts[type] = value;
+        });
+        return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+    },
+    
+    // Minutes a zone is ahead of UTC at a timestamp (e.g. 120 for Vienna in summer)
+    getOffset(timestamp, timeZone) {
+        const { date, time } = this.getZonedDateTime(timestamp, timeZone);
+        const { year, month, day } = DateUtils.parseDate(date);
+        const wallClock = Date.UTC(year, month, day, 0, DateUtils.timeToMinutes(time));
+        return Math.round((wallClock - Math.floor(timestamp / 60000) * 60000) / 60000);
+    },
+    
+    // Offset changes of a zone during a year as { timestamp, offsetFrom, offsetTo } (offsets in minutes)
+    getTransitions(year, timeZone) {
+        const day = 24 * 60 * 60 * 1000;
+        const end = Date.UTC(year + 1, 0, 1);
+        const transitions = [];
+        let previous = Date.UTC(year, 0, 1);
+        let previousOffset = this.getOffset(previous, timeZone);
+        
+        for (let timestamp = previous + day; timestamp <= end; timestamp += day) {
+            const offset = this.getOffset(timestamp, timeZone);
+            if (offset !== previousOffset) {
+                // Narrow the change down to the minute
+                let [before, after] = [previous, timestamp];
+                while (after - before > 60000) {
+                    const middle = before + Math.floor((after - before) / 120000) * 60000;
+                    if (this.getOffset(middle, timeZone) === previousOffset) {
+                        before = middle;
+                    } else {
+                        after = middle;
+                    }
+                }
+                if (after < end) {
+                    transitions.push({ timestamp: after, offsetFrom: previousOffset, offsetTo: offset });
+                }
+            }
+            previous = timestamp;
+            previousOffset = offset;
+        }
+        return transitions;
+    },
+    
+    // Timestamp of a wall-clock date and time in a zone. Around DST changes, times skipped by the
+    // clocks (e.g. 02:30 when they jump to 03:00) move forward like local Dates do, and times that
+    // occur twice resolve to the first of them.
+    toTimestamp(date, time, timeZone = '') {
+        const { year, month, day } = DateUtils.parseDate(date);
+        const minutes = time ? DateUtils.timeToMinutes(time) : 0;
+        if (!timeZone) {
+            return new Date(year, month, day, 0, minutes).getTime();
+        }
+        
+        // Try the offsets in effect half a day before and after; they differ only around a DST change
+        const wallClock = Date.UTC(year, month, day, 0, minutes);
+        const halfDay = 12 * 60 * 60 * 1000;
+        const [earlier, later] = [wallClock - halfDay, wallClock + halfDay]
+            .map(sample => wallClock - this.getOffset(sample, timeZone) * 60000);
+        const matches = (timestamp) => {
+            const zoned = this.getZonedDateTime(timestamp, timeZone);
+            return zoned.date === date && zoned.time === DateUtils.minutesToTime(minutes);
+        };
+        
+        if (matches(earlier) && matches(later)) {
+            return Math.min(earlier, later);
+        }
+        return matches(later) ? later : earlier;
+    },
+    
+    // Express a wall-clock date and time of one zone in another
+    convert(date, time, fromTimeZone, toTimeZone) {
+        return this.getZonedDateTime(this.toTimestamp(date, time, fromTimeZone), toTimeZone);
+    }
+};
+
+// Working-day arithmetic on YYYY-MM-DD strings: weekends and the statutory holidays of the
+// active holiday provider and regions are days off, observances (e.g. Heiliger Abend) are not
+const WorkingDays = {
+    weekendDays: [5, 6], // Saturday and Sunday, numbered like DateUtils.getWeekday
+    holidayProvider: AustrianHolidays,
+    regions: [],
+    holidayDates: new Map(), // Year -> Map of YYYY-MM-DD strings to its statutory holidays
+    
+    // Count other holidays as days off (CalendarApp passes its active provider and regions)
+    setHolidays(provider, regions = []) {
+        this.holidayProvider = provider;
+        this.regions = [...regions];
+        this.holidayDates.clear();
+    },
+    
+    getHolidayDates(year) {
+        if (!this.holidayDates.has(year)) {
+            const dates = new Map();
+            this.holidayProvider.getHolidaysForYear(year, this.regions)
+                .filter(holiday => holiday.statutory)
+                .forEach(holiday => {
+                    const dateString = DateUtils.formatDateObject(holiday.date);
+                    if (!dates.has(dateString)) dates.set(dateString, holiday);
+                });
+            this.holidayDates.set(year, dates);
+        }
+        return this.holidayDates.get(year);
+    },
+    
+    // Statutory holiday on a YYYY-MM-DD string, or null
+    getHoliday(dateString) {
+        return this.getHolidayDates(DateUtils.parseDate(dateString).year).get(dateString) || null;
+    },
+    
+    isWorkingDay(dateString) {
+        if (this.weekendDays.includes(DateUtils.getWeekday(dateString))) return false;
+        return !this.getHoliday(dateString);
+    },
+    
+    // Working days after the start date up to and including the end date (negative if the end
+    // date is earlier), so that addWorkingDays(start, countWorkingDays(start, end)) reaches the end
+    // when it is a working day
+    countWorkingDays(startDateString, endDateString) {
+        const direction = endDateString < startDateString ? -1 : 1;
+        let count = 0;
+        
+        for (let date = startDateString; date !== endDateString;) {
+            date = DateUtils.addDays(date, direction);
+            if (this.isWorkingDay(date)) count++;
+        }
+        return count * direction;
+    },
+    
+    // Date a number of working days after (or, if negative, before) a YYYY-MM-DD string
+    addWorkingDays(dateString, workingDays) {
+        const direction = workingDays < 0 ? -1 : 1;
+        let date = dateString;
+        
+        for (let remaining = Math.abs(workingDays); remaining > 0;) {
+            date = DateUtils.addDays(date, direction);
+            if (this.isWorkingDay(date)) remaining--;
+        }
+        return date;
+    },
+    
+    // First working day after a YYYY-MM-DD string
+    getNextWorkingDay(dateString) {
+        return this.addWorkingDays(dateString, 1);
+    },
+    
+    // Bridge day (Fenstertag): a single working day between a holiday and a weekend or another holiday,
+    // such as the Friday after Christi Himmelfahrt
+    isBridgeDay(dateString) {
+        if (!this.isWorkingDay(dateString)) return false;
+        
+        const neighbours = [DateUtils.addDays(dateString, -1), DateUtils.addDays(dateString, 1)];
+        return neighbours.every(date => !this.isWorkingDay(date)) &&
+            neighbours.some(date => this.getHoliday(date));
+    },
+    
+    // Bridge days of a year with the days off in a row (start to end) that taking one of them off yields,
+    // and the holidays in that stretch
+    getBridgeDays(year) {
+        const bridgeDays = [];
+        
+        for (let date = DateUtils.formatDate(year, 0, 1); date.startsWith(`${year}-`); date = DateUtils.addDays(date, 1)) {
+            if (!this.isBridgeDay(date)) continue;
+            
+            let start = DateUtils.addDays(date, -1);
+            while (!this.isWorkingDay(DateUtils.addDays(start, -1))) start = DateUtils.addDays(start, -1);
+            let end = DateUtils.addDays(date, 1);
+            while (!this.isWorkingDay(DateUtils.addDays(end, 1))) end = DateUtils.addDays(end, 1);
+            
+            const holidays = [];
+            for (let day = start; day <= end; day = DateUtils.addDays(day, 1)) {
+                if (this.getHoliday(day)) holidays.push(this.getHoliday(day));
+            }
+            
+            bridgeDays.push({ date, start, end, daysOff: DateUtils.daysBetween(start, end) + 1, holidays });
+        }
+        return bridgeDays;
+    }
+};
+
+// Application state
+const CalendarApp = {
+    currentDate: new Date(),
+    currentView: 'month', // 'month', 'week', 'day', 'year' or 'agenda'
+    agenda: null, // Agenda view state: loaded rows and how far ahead events have been loaded
+    nowLineInterval: null,
+    nowLineDate: null, // Today's date key when the time grid was last rendered
+    storageManager: null, // IndexedDB where available, localStorage otherwise (see createStorageManager)
+    tabSync: null, // CrossTabSync shared with the event manager
+    caldavConfig: null, // { url, username, password, interval } of a CalDAV calendar to sync with on startup
+    restSyncConfig: null, // { url, headers, interval } of a REST endpoint to sync with on startup (see RestSync)
+    remoteSync: null, // Active remote adapter (see connectCalDAV, connectRestSync)
+    syncInterrupted: false, // Whether the last remote sync went offline or failed
+    eventManager: null, // Will be initialized in init()
+    reminderScheduler: null, // Fires event reminders (see showReminder)
+    renderPending: false, // A render has been scheduled (see scheduleRender)
+    modalCloseHandler: null, // Runs when the open modal closes (see showModal)
+    modalWaiters: [], // Resolved when the open modal closes (see whenModalClosed)
+    settings: {}, // Persisted user preferences, e.g. { locale } (see saveSettings)
+    defaultAbsenceAllowance: 25, // Vacation days per year for people without their own allowance
+    
+    // Time grid (week and day view) layout settings
+    timeGrid: {
+        hourHeight: 48, // Pixels per hour
+        snapMinutes: 15,
+        defaultDurationMinutes: 60, // Used for events without an end time
+        scrollToHour: 7
+    },
+    
+    // Drag and drop settings
+    dragAndDrop: {
+        longPressDelay: 400, // Milliseconds before a touch picks up an event
+        touchTolerance: 10 // Pixels a finger may move before the long press is cancelled
+    },
+    
+    // Navigation button labels per view (message keys, see I18n)
+    viewLabels: {
+        month: { previous: 'nav.previousMonth', next: 'nav.nextMonth' },
+        week: { previous: 'nav.previousWeek', next: 'nav.nextWeek', grid: 'view.weekGrid' },
+        day: { previous: 'nav.previousDay', next: 'nav.nextDay', grid: 'view.dayGrid' },
+        year: { previous: 'nav.previousYear', next: 'nav.nextYear' },
+        agenda: { previous: 'nav.previousWeek', next: 'nav.nextWeek' }
+    },
+    
+    // Container element of each view
+    viewContainers: {
+        month: '.calendar-grid',
+        week: '#time-grid-view',
+        day: '#time-grid-view',
+        year: '#year-view',
+        agenda: '#agenda-view'
+    },
+    
+    // Year overview: minimum events per day for each heatmap level (1-4)
+    yearHeatmapThresholds: [1, 2, 4, 6],
+    
+    // Days to move per navigation step in the time grid and agenda views
+    viewSteps: {
+        week: 7,
+        day: 1,
+        agenda: 7
+    },
+    
+    // Initialize the application
+    init() {
+        console.log('Calendar application initializing...');
+        
+        // Setup performance monitoring
+        this.setupPerformanceMonitoring();
+        
+        // Setup global error handling
+        this.setupGlobalErrorHandling();
+        
+        // Initialize event manager with storage
+        this.storageManager = this.createStorageManager();
+        this.eventManager = new EventManager(this.storageManager);
+        
+        // Use the saved language (or the browser's) before anything is rendered
+        this.settings = this.storageManager.loadState('settings') || {};
+        I18n.init(this.settings.locale);
+        DateUtils.setWeekStart(this.settings.weekStart);
+        this.loadHolidayProviders();
+        
+        // Views follow every change to the events, whatever made it
+        this.eventManager.on('change', () => this.scheduleRender());
+        
+        // Exchange changes with other tabs showing this calendar
+        this.tabSync = new CrossTabSync(`${this.storageManager.storageKey}_sync`, (message) => this.handleTabSyncMessage(message));
+        this.eventManager.sync = this.tabSync;
+        
+        const caldavConfig = this.caldavConfig || this.settings.caldav;
+        if (caldavConfig) {
+            this.connectCalDAV(caldavConfig);
+        } else if (this.restSyncConfig) {
+            this.connectRestSync(this.restSyncConfig);
+        }
+        
+        this.reminderScheduler = new ReminderScheduler(this.eventManager, {
+            onReminder: (reminder) => this.showReminder(reminder)
+        });
+        
+        // Check storage status
+        const storageStatus = this.eventManager.getStorageStatus();
+        if (storageStatus.supported) {
+            console.log(`${this.storageManager.constructor.name} is available and working`);
+        } else {
+            console.warn('Storage is not available - events will not persist');
+        }
+        
+        // IndexedDB loads asynchronously: reload events once the database is open
+        // (reminders start afterwards, or missed ones would be skipped as if there were no events)
+        if (this.storageManager.ready) {
+            this.storageManager.ready.then(() => {
+                this.eventManager.loadFromStorage();
+                this.reportStorageMigration();
+                this.reminderScheduler.start();
+            });
+        } else {
+            this.reminderScheduler.start();
+        }
+        
+        // Initialize performance optimizations
+        this.initializeOptimizations();
+        
+        this.setupEventListeners();
+        
+        // Cache DOM elements for performance before rendering
+        this.cacheCommonElements();
+        
+        this.applyLocale();
+        
+        this.reportStorageMigration();
+        
+        // Final polish: Add performance timing
+        if (typeof performance !== 'undefined' && performance.mark) {
+            performance.mark('calendar-init-end');
+            performance.measure('calendar-init', 'calendar-init-start', 'calendar-init-end');
+            const measure = performance.getEntriesByName('calendar-init')[0];
+            console.log(`Calendar initialized in ${measure.duration.toFixed(2)}ms`);
+        }
+        
+        console.log('Calendar application ready!');
+    },
+    
+    // Apply a message from another tab (see CrossTabSync)
+    handleTabSyncMessage(message) {
+        if (message.type === 'reload') {
+            // Another tab replaced all events, e.g. by restoring a backup
+            this.storageManager.refresh().then(() => {
+                this.eventManager.loadFromStorage();
+                this.showNotification(I18n.t('sync.replacedInOtherTab'), 'info');
+            });
+            return;
+        }
+        
+        if (message.type !== 'changes' || !Array.isArray(message.changes)) return;
+        
+        const { conflicts } = this.eventManager.applyExternalChanges(message.changes);
+        conflicts.forEach(conflict => this.showSyncConflict(conflict));
+    },
+    
+    // Show a due reminder in the page with Snooze/Dismiss actions, plus a system notification
+    // while the page is in the background and notifications are allowed
+    showReminder(reminder) {
+        const { event } = reminder;
+        const startDisplay = I18n.formatDateTime(reminder.startsAt, {
+            weekday: 'short',
+            month: 'short',
+            day: 'numeric',
+            ...(event.startTime ? { hour: '2-digit', minute: '2-digit' } : {})
+        });
+        const message = I18n.t(reminder.missed ? 'reminder.missedMessage' : 'reminder.message', {
+            title: event.title,
+            start: startDisplay
+        });
+        const openEvent = () => this.showEventDetailsModal(event.id, event.recurrenceId);
+        
+        if (typeof Notification !== 'undefined' && Notification.permission === 'granted' && document.hidden) {
+            const systemNotification = new Notification(event.title, { body: startDisplay, tag: reminder.key });
+            systemNotification.onclick = () => {
+                window.focus();
+                openEvent();
+                systemNotification.close();
+            };
+        }
+        
+        this.showAdvancedNotification(message, 'info', {
+            persistent: true,
+            icon: '🔔',
+            actions: [
+                { text: I18n.t('action.open'), callback: openEvent },
+                {
+                    text: I18n.t('reminder.snooze', { minutes: this.reminderScheduler.snoozeMinutes }),
+                    callback: () => this.reminderScheduler.snooze(reminder)
+                },
+                { text: I18n.t('reminder.dismiss'), callback: () => this.reminderScheduler.dismiss(reminder) }
+            ]
+        });
+    },
+    
+    // Start syncing events with a CalDAV calendar ({ url, username, password, interval, fetch })
+    connectCalDAV(config) {
+        return this.connectRemoteSync(new CalDAVSync(this.eventManager, {
+            ...config,
+            onStatusChange: (status) => this.handleSyncStatusChange(status),
+            onConflict: (conflict) => this.showSyncConflict(conflict, I18n.t('sync.onServer'))
+        }));
+    },
+    
+    // Start mirroring events to a JSON REST endpoint ({ url, headers, interval, fetch })
+    connectRestSync(config) {
+        return this.connectRemoteSync(new RestSync(this.eventManager, {
+            ...config,
+            onStatusChange: (status) => this.handleSyncStatusChange(status),
+            onConflict: (conflict) => this.showSyncConflictDialog(conflict),
+            onRejected: (mutation, status) => {
+                const event = this.eventManager.getById(mutation.id);
+                const title = event ? event.title : (mutation.body && mutation.body.title) || mutation.id;
+                this.showNotification(I18n.t('sync.rejected', { title, status }), 'error');
+            }
+        }));
+    },
+    
+    // Private method to plug a remote adapter into the event manager and start it
+    connectRemoteSync(remoteSync) {
+        this.disconnectRemoteSync();
+        this.remoteSync = remoteSync;
+        this.eventManager.remote = remoteSync;
+        
+        // IndexedDB loads asynchronously; local events must be known before the first sync
+        return Promise.resolve(this.storageManager.ready).then(() => {
+            return this.remoteSync === remoteSync ? remoteSync.start() : false;
+        });
+    },
+    
+    disconnectRemoteSync() {
+        if (!this.remoteSync) return;
+        
+        this.remoteSync.stop();
+        this.eventManager.remote = null;
+        this.remoteSync = null;
+        this.syncInterrupted = false;
+    },
+    
+    // Report remote sync connectivity problems once, and their recovery
+    handleSyncStatusChange(status) {
+        if (status.state === 'offline' && !this.syncInterrupted) {
+            this.showNotification(I18n.t('sync.offline', { count: status.pending }), 'info');
+        } else if (status.state === 'error') {
+            this.showNotification(I18n.t('sync.failed', { error: status.error }), 'error');
+        } else if (status.state === 'idle' && this.syncInterrupted) {
+            this.showNotification(I18n.t('sync.resumed'), 'success');
+        }
+        
+        if (status.state !== 'syncing') {
+            this.syncInterrupted = status.state === 'offline' || status.state === 'error';
+        }
+    },
+    
+    // Flag concurrent edits of one event (in another tab or on the server);
+    // the discarded version can be restored from the notification
+    showSyncConflict(conflict, where = I18n.t('sync.inAnotherTab')) {
+        let key = 'sync.conflictKeptNewer';
+        if (!conflict.discarded) {
+            key = conflict.keptLocal ? 'sync.conflictKeptLocal' : 'sync.conflictRestored';
+        }
+        const message = I18n.t(key, { title: conflict.kept.title, where });
+        
+        this.showAdvancedNotification(message, 'warning', {
+            duration: 10000,
+            actions: [{
+                text: I18n.t(conflict.discarded ? 'sync.useOtherVersion' : 'sync.deleteIt'),
+                callback: () => this.eventManager.resolveSyncConflict(conflict)
+            }]
+        });
+    },
+    
+    // Ask which version of an event to keep after it changed on the server while local changes waited;
+    // resolves to 'local', 'remote', or null when the dialog is dismissed (the sync asks again later)
+    async showSyncConflictDialog(conflict) {
+        // The sync runs in the background: wait instead of replacing a dialog the user is working in
+        await this.whenModalClosed();
+        
+        return new Promise(resolve => {
+            const title = (conflict.local || conflict.remote).title;
+            const modalContent = `
+                <div class="modal-header">
+                    <h3 class="modal-title">${I18n.t('sync.conflictTitle')}</h3>
+                    <button type="button" class="modal-close" aria-label="${I18n.t('action.closeModal')}">&times;</button>
+                </div>
+                
+                <div class="sync-conflict">
+                    <p>${InputSanitizer.escapeHTML(I18n.t('sync.conflictQuestion', { title }))}</p>
+                    <div class="sync-conflict-versions">
+                        <div class="sync-conflict-version">
+                            <h4>${I18n.t('sync.yourVersion')}</h4>
+                            ${this.createSyncVersionHTML(conflict.local)}
+                        </div>
+                        <div class="sync-conflict-version">
+                            <h4>${I18n.t('sync.serverVersion')}</h4>
+                            ${this.createSyncVersionHTML(conflict.remote)}
+                        </div>
+                    </div>
+                </div>
+                
+                <div class="form-actions">
+                    <button type="button" class="btn btn-outline" id="conflict-later">${I18n.t('sync.decideLater')}</button>
+                    <button type="button" class="btn btn-secondary" id="conflict-use-remote">${I18n.t('sync.useServerVersion')}</button>
+                    <button type="button" class="btn btn-primary" id="conflict-keep-local">${I18n.t('sync.keepMyVersion')}</button>
+                </div>
+            `;
+            
+            // Closing the dialog in any other way (Escape, overlay, another modal) postpones the decision
+            this.showModal(modalContent, () => resolve(null));
+            
+            const choose = (choice) => {
+                resolve(choice);
+                this.closeModal();
+            };
+            document.getElementById('conflict-keep-local').addEventListener('click', () => choose('local'));
+            document.getElementById('conflict-use-remote').addEventListener('click', () => choose('remote'));
+            document.getElementById('conflict-later').addEventListener('click', () => choose(null));
+            document.querySelector('.modal-close').addEventListener('click', () => choose(null));
+        });
+    },
+    
+    createSyncVersionHTML(eventData) {
+        if (!eventData) {
+            return `<p class="text-muted">${I18n.t('sync.deleted')}</p>`;
+        }
+        
+        // Both versions may come straight from the server, so every value is escaped
+        const escape = InputSanitizer.escapeHTML;
+        const event = Event.fromJSON(eventData);
+        const dateDisplay = event.isMultiDay()
+            ? I18n.formatDateRange(event.date, event.getEndDate())
+            : I18n.formatDate(event.date);
+        return `
+            <div class="event-meta">
+                <strong>${escape(event.title)}</strong>
+                <span>📅 ${escape(dateDisplay)}</span>
+                ${event.startTime ? `<span>🕐 ${escape(event.getDisplayTime())}</span>` : ''}
+                ${event.isRecurring() ? `<span>🔁 ${escape(RecurrenceRule.describe(event.recurrence))}</span>` : ''}
+                <span class="event-category"><span class="category-dot ${escape(event.category)}"></span> ${escape(I18n.t(`category.${event.category}`))}</span>
+            </div>
+            ${event.description ? `<p class="sync-conflict-description">${escape(event.description)}</p>` : ''}
+            <small class="text-muted">${escape(I18n.t('details.updated', { date: I18n.formatDateTime(event.updatedAt) }))}</small>
+        `;
+    },
+    
+    // Tell the user when stored or restored data was upgraded to the current format
+    reportStorageMigration() {
+        const migration = this.storageManager && this.storageManager.lastMigration;
+        if (!migration) return;
+        
+        this.storageManager.lastMigration = null;
+        
+        if (migration.error) {
+            this.showNotification(I18n.t('storage.migrationFailed', { version: migration.fromVersion, error: migration.error }), 'error');
+        } else if (migration.applied.length > 0) {
+            this.showNotification(I18n.t('storage.migrated', {
+                from: migration.fromVersion,
+                to: migration.toVersion,
+                count: migration.applied.length
+            }), 'info');
+        }
+    },
+    
+    // Use IndexedDB for event storage when the browser supports it
+    createStorageManager() {
+        if (IndexedDBStorageManager.isSupported()) {
+            return new IndexedDBStorageManager('calendar_events');
+        }
+        return new StorageManager('calendar_events');
+    },
+    
+    // Performance monitoring
+    setupPerformanceMonitoring() {
+        if (typeof performance !== 'undefined' && performance.mark) {
+            performance.mark('calendar-init-start');
+            
+            // Monitor render performance
+            this.originalRenderCalendar = this.renderCalendar;
+            this.renderCalendar = this.measureRenderPerformance.bind(this);
+        }
+    },
+    
+    measureRenderPerformance() {
+        if (typeof performance !== 'undefined' && performance.mark) {
+            performance.mark('calendar-render-start');
+            const result = this.originalRenderCalendar.call(this);
+            performance.mark('calendar-render-end');
+            
+            try {
+                performance.measure('calendar-render-time', 'calendar-render-start', 'calendar-render-end');
+                const measures = performance.getEntriesByName('calendar-render-time');
+                if (measures.length > 0) {
+                    const renderTime = measures[measures.length - 1].duration;
+                    if (renderTime > 50) { // Log slow renders
+                        console.warn(`Slow calendar render: ${renderTime.toFixed(2)}ms`);
+                    }
+                }
+            } catch (e) {
+                // Performance measurement failed, continue normally
+            }
+            
+            return result;
+        } else {
+            return this.originalRenderCalendar.call(this);
+        }
+    },
+    
+    // Initialize performance optimizations
+    initializeOptimizations() {
+        // Debounce resize events
+        let resizeTimeout;
+        window.addEventListener('resize', () => {
+            clearTimeout(resizeTimeout);
+            resizeTimeout = setTimeout(() => {
+                this.handleResize();
+            }, 250);
+        });
+        
+        // Preload commonly used elements
+        this.preloadElements();
+        
+        // Initialize virtual scrolling if needed
+        this.initializeVirtualization();
+        
+        // Setup lazy loading for event previews
+        this.setupLazyLoading();
+        
+        // Initialize loading states
+        this.setupLoadingStates();
+        
+        // Setup smooth transitions
+        this.setupSmoothTransitions();
+    },
+    
+    // Cache frequently accessed DOM elements
+    cacheCommonElements() {
+        try {
+            this.cachedElements = {
+                calendarDates: document.getElementById('calendar-dates'),
+                modalOverlay: document.getElementById('modal-overlay'),
+                currentMonthYear: document.getElementById('current-month-year'),
+                calendarContainer: document.querySelector('.calendar-container')
+            };
+            
+            // Log missing elements for debugging
+            Object.keys(this.cachedElements).forEach(key => {
+                if (!this.cachedElements[key]) {
+                    console.warn(`Element not found: ${key}`);
+                }
+            });
+        } catch (error) {
+            console.error('Error caching elements:', error);
+            this.cachedElements = {}; // Initialize as empty object to prevent further errors
+        }
+    },
+    
+    // Preload elements to avoid repeated DOM queries
+    preloadElements() {
+        // Preload modal template
+        this.modalTemplate = this.createModalTemplate();
+        
+        // Preload common class names
+        this.classNames = {
+            calendarDate: 'calendar-date',
+            hasEvents: 'has-events',
+            today: 'today',
+            selected: 'selected',
+            otherMonth: 'other-month'
+        };
+    },
+    
+    createModalTemplate() {
+        const template = document.createElement('template');
+        template.innerHTML = `
+            <div class="modal-header">
+                <h3 class="modal-title"></h3>
+                <button type="button" class="modal-close" aria-label="${I18n.t('action.closeModal')}">&times;</button>
+            </div>
+            <div class="modal-content"></div>
+        `;
+        return template;
+    },
+    
+    // Handle window resize efficiently
+    handleResize() {
+        // Update calendar layout if needed
+        const container = this.cachedElements?.calendarContainer || document.querySelector('.calendar-container');
+        if (container) {
+            const width = container.offsetWidth;
+            if (width < 600 && !container.classList.contains('compact-mode')) {
+                container.classList.add('compact-mode');
+            } else if (width >= 600 && container.classList.contains('compact-mode')) {
+                container.classList.remove('compact-mode');
+            }
+        }
+    },
+    
+    // Virtual scrolling for large datasets (used by the agenda view)
+    initializeVirtualization() {
+        this.virtualScrolling = {
+            enabled: true,
+            itemHeight: 60, // Height of an event row
+            headerHeight: 36, // Height of a day heading row
+            containerHeight: 400, // Fallback until the scroll container has been measured
+            visibleItems: 0,
+            overscan: 10, // Extra rows rendered above and below the viewport
+            loadDays: 90 // Days of events loaded per step
+        };
+        this.virtualScrolling.visibleItems = Math.ceil(this.virtualScrolling.containerHeight / this.virtualScrolling.itemHeight);
+    },
+    
+    // Lazy loading for event previews
+    setupLazyLoading() {
+        this.lazyLoadObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    this.loadEventPreview(entry.target);
+                }
+            });
+        }, {
+            rootMargin: '50px',
+            threshold: 0.1
+        });
+    },
+    
+    loadEventPreview(element) {
+        if (element.dataset.loaded === 'true') return;
+        
+        // Load preview content lazily
+        const eventId = element.dataset.eventId;
+        if (eventId) {
+            const event = this.eventManager.getById(eventId);
+            if (event) {
+                const preview = element.querySelector('.event-preview');
+                if (preview) {
+                    preview.innerHTML = this.createEventPreviewHTML([event]);
+                    element.dataset.loaded = 'true';
+                }
+            }
+        }
+    },
+    
+    // Setup loading states for better UX
+    setupLoadingStates() {
+        this.showLoading = (element = null) => {
+            const target = element || document.querySelector('.calendar-container');
+            if (target && !target.classList.contains('calendar-loading')) {
+                target.classList.add('calendar-loading');
+            }
+        };
+        
+        this.hideLoading = (element = null) => {
+            const target = element || document.querySelector('.calendar-container');
+            if (target) {
+                target.classList.remove('calendar-loading');
+            }
+        };
+    },
+    
+    // Setup smooth transitions and micro-interactions
+    setupSmoothTransitions() {
+        // Add intersection observer for smooth animations
+        if ('IntersectionObserver' in window) {
+            const observerOptions = {
+                root: null,
+                rootMargin: '0px',
+                threshold: 0.1
+            };
+            
+            this.animationObserver = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        entry.target.classList.add('animate-in');
+                    }
+                });
+            }, observerOptions);
+        }
+        
+        // Enhanced date selection with feedback
+        this.originalSelectDate = this.selectDate;
+        this.selectDate = (dateElement, date) => {
+            // Add visual feedback before selection
+            if (dateElement) {
+                dateElement.style.transform = 'scale(0.95)';
+                setTimeout(() => {
+                    dateElement.style.transform = '';
+                    this.originalSelectDate.call(this, dateElement, date);
+                }, 100);
+            } else {
+                this.originalSelectDate.call(this, dateElement, date);
+            }
+        };
+    },
+    
+    // Set up global event listeners
+    setupEventListeners() {
+        // DOM content loaded listener
+        document.addEventListener('DOMContentLoaded', () => {
+            console.log('DOM loaded');
+        });
+        
+        // Month navigation buttons
+        const prevButton = document.getElementById('prev-month');
+        const nextButton = document.getElementById('next-month');
+        
+        if (prevButton) {
+            prevButton.addEventListener('click', () => {
+                this.navigatePrevious();
+            });
+        }
+        
+        if (nextButton) {
+            nextButton.addEventListener('click', () => {
+                this.navigateNext();
+            });
+        }
+        
+        // View switcher
+        document.querySelectorAll('.view-button').forEach(button => {
+            button.addEventListener('click', () => {
+                this.setView(button.dataset.view);
+            });
+        });
+        
+        // Today button
+        const todayButton = document.getElementById('today-button');
+        if (todayButton) {
+            todayButton.addEventListener('click', () => {
+                this.navigateToToday();
+            });
+        }
+        
+        // Keyboard navigation
+        document.addEventListener('keydown', (e) => {
+            const isTextInput = e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]');
+            
+            if (e.key === 'Escape') {
+                this.closeModal();
+            } else if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z' && !isTextInput) {
+                // Ctrl+Z undo, Ctrl+Shift+Z redo (text fields keep their own undo)
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.redoLastChange();
+                } else {
+                    this.undoLastChange();
+                }
+            } else if (e.key === 'ArrowLeft' && e.ctrlKey) {
+                this.navigatePrevious();
+            } else if (e.key === 'ArrowRight' && e.ctrlKey) {
+                this.navigateNext();
+            }
+        });
+        
+        // Modal overlay click to close
+        const modalOverlay = document.getElementById('modal-overlay');
+        if (modalOverlay) {
+            modalOverlay.addEventListener('click', (e) => {
+                if (e.target === modalOverlay) {
+                    this.closeModal();
+                }
+            });
+        }
+        
+        // Drag and drop rescheduling in the month grid
+        this.setupEventDragAndDrop();
+        
+        this.setupLocaleSwitch();
+        this.setupWeekSettings();
+        
+        const holidayRegionsButton = document.getElementById('holiday-regions-button');
+        if (holidayRegionsButton) {
+            holidayRegionsButton.addEventListener('click', () => this.showHolidaySettingsDialog());
+        }
+        
+        const bridgeDaysButton = document.getElementById('bridge-days-button');
+        if (bridgeDaysButton) {
+            bridgeDaysButton.addEventListener('click', () => this.showBridgeDaysDialog(this.currentDate.getFullYear()));
+        }
+        
+        const absencesButton = document.getElementById('absences-button');
+        if (absencesButton) {
+            absencesButton.addEventListener('click', () => this.showAbsencesDialog(this.currentDate.getFullYear()));
+        }
+        
+        const syncSettingsButton = document.getElementById('sync-settings-button');
+        if (syncSettingsButton) {
+            syncSettingsButton.addEventListener('click', () => this.showSyncSettingsDialog());
+        }
+    },
+    
+    // Language picker in the header, filled with the available catalogs
+    setupLocaleSwitch() {
+        const select = document.getElementById('locale-select');
+        if (!select) return;
+        
+        while (select.firstChild) {
+            select.removeChild(select.firstChild);
+        }
+        I18n.getLocales().forEach(locale => {
+            select.appendChild(Object.assign(document.createElement('option'), {
+                value: locale,
+                textContent: I18n.getLanguageName(locale)
+            }));
+        });
+        select.value = I18n.locale;
+        
+        select.addEventListener('change', () => this.setLocale(select.value));
+    },
+    
+    // First-day-of-week picker and week-number toggle in the header
+    setupWeekSettings() {
+        const select = document.getElementById('week-start-select');
+        if (select) {
+            select.addEventListener('change', () => this.setWeekStart(Number(select.value)));
+        }
+        
+        const toggle = document.getElementById('week-numbers-toggle');
+        if (toggle) {
+            toggle.addEventListener('change', () => this.setShowWeekNumbers(toggle.checked));
+        }
+    },
+    
+    // Label the week start options in the active locale and reflect the saved choices
+    updateWeekSettingsControls() {
+        const select = document.getElementById('week-start-select');
+        if (select) {
+            while (select.firstChild) {
+                select.removeChild(select.firstChild);
+            }
+            DateUtils.weekStartOptions.forEach(weekday => {
+                select.appendChild(Object.assign(document.createElement('option'), {
+                    value: String(weekday),
+                    textContent: DateUtils.getWeekdayName(weekday)
+                }));
+            });
+            select.value = String(DateUtils.weekStartsOn);
+        }
+        
+        const toggle = document.getElementById('week-numbers-toggle');
+        if (toggle) {
+            toggle.checked = Boolean(this.settings.showWeekNumbers);
+        }
+    },
+    
+    // Start weeks on another day (0 = Monday, 5 = Saturday, 6 = Sunday) and remember the choice
+    setWeekStart(weekday) {
+        if (!DateUtils.setWeekStart(weekday)) return false;
+        
+        this.saveSettings({ weekStart: weekday });
+        this.updateDayHeaders();
+        this.updateWeekSettingsControls();
+        this.renderCalendar();
+        return true;
+    },
+    
+    // Show or hide the ISO week-number column of the month grid
+    setShowWeekNumbers(show) {
+        this.saveSettings({ showWeekNumbers: Boolean(show) });
+        this.updateDayHeaders();
+        this.updateWeekSettingsControls();
+        this.renderCalendar();
+    },
+    
+    // Switch the UI language and remember the choice
+    setLocale(locale) {
+        if (!I18n.setLocale(locale)) return false;
+        
+        this.saveSettings({ locale });
+        this.applyLocale();
+        return true;
+    },
+    
+    // Translate the static page, the weekday header and the current view
+    applyLocale() {
+        I18n.translatePage();
+        this.updateDayHeaders();
+        this.updateWeekSettingsControls();
+        
+        const select = document.getElementById('locale-select');
+        if (select) {
+            select.value = I18n.locale;
+        }
+        
+        this.renderCalendar();
+    },
+    
+    // Rebuild the weekday header row in column order, led by the week-number column if shown
+    updateDayHeaders() {
+        const headerRow = document.querySelector('.calendar-days-header');
+        if (!headerRow) return;
+        
+        while (headerRow.firstChild) {
+            headerRow.removeChild(headerRow.firstChild);
+        }
+        
+        const showWeekNumbers = Boolean(this.settings.showWeekNumbers);
+        if (showWeekNumbers) {
+            const weekHeader = document.createElement('div');
+            weekHeader.className = 'day-header week-number-header';
+            weekHeader.setAttribute('role', 'columnheader');
+            weekHeader.setAttribute('aria-label', I18n.t('calendar.weekNumberHeader'));
+            weekHeader.textContent = I18n.t('calendar.weekNumberShort');
+            headerRow.appendChild(weekHeader);
+        }
+        
+        DateUtils.getWeekdayOrder().forEach(weekday => {
+            const header = document.createElement('div');
+            header.className = 'day-header';
+            header.setAttribute('role', 'columnheader');
+            header.setAttribute('aria-label', DateUtils.getWeekdayName(weekday));
+            header.textContent = DateUtils.getWeekdayShortName(weekday);
+            headerRow.appendChild(header);
+        });
+        
+        const grid = headerRow.closest('.calendar-grid');
+        if (grid) {
+            grid.classList.toggle('with-week-numbers', showWeekNumbers);
+        }
+    },
+    
+    // Vacation optimizer: the bridge days of a year and the days off in a row each one yields
+    showBridgeDaysDialog(year) {
+        const bridgeDays = WorkingDays.getBridgeDays(year);
+        const rangeFormat = { weekday: 'short', day: 'numeric', month: 'short' };
+        const modalContent = `
+            <div class="modal-header">
+                <button type="button" class="nav-button" id="bridge-days-previous" aria-label="${I18n.t('nav.previousYear')}">‹</button>
+                <h3 class="modal-title">${I18n.t('bridgeDays.title', { year })}</h3>
+                <button type="button" class="nav-button" id="bridge-days-next" aria-label="${I18n.t('nav.nextYear')}">›</button>
+                <button type="button" class="modal-close" aria-label="${I18n.t('action.closeModal')}">&times;</button>
+            </div>
+            
+            <p class="text-muted">${I18n.t('bridgeDays.hint')}</p>
+            ${bridgeDays.length === 0 ? `<p>${I18n.t('bridgeDays.empty', { year })}</p>` : `
+                <ul class="bridge-day-list">
+                    ${bridgeDays.map(bridgeDay => `
+                        <li>
+                            <button type="button" class="bridge-day-item" data-date="${bridgeDay.date}">
+                                <span class="bridge-day-date">${I18n.formatDate(bridgeDay.date, 'full')}</span>
+                                <span class="bridge-day-holidays">${InputSanitizer.escapeHTML(bridgeDay.holidays.map(holiday => this.describeHoliday(holiday)).join(', '))}</span>
+                                <span class="bridge-day-yield">
+                                    ${I18n.t('bridgeDays.daysOff', { count: bridgeDay.daysOff })}
+                                    (${I18n.formatDateRange(bridgeDay.start, bridgeDay.end, rangeFormat)})
+                                </span>
+                            </button>
+                        </li>
+                    `).join('')}
+                </ul>
+            `}
+            
+            <div class="form-actions">
+                <button type="button" class="btn btn-outline" id="close-bridge-days">${I18n.t('action.close')}</button>
+            </div>
+        `;
+        
+        this.showModal(modalContent);
+        
+        document.querySelector('.modal-close').addEventListener('click', () => this.closeModal());
+        document.getElementById('close-bridge-days').addEventListener('click', () => this.closeModal());
+        document.getElementById('bridge-days-previous').addEventListener('click', () => this.showBridgeDaysDialog(year - 1));
+        document.getElementById('bridge-days-next').addEventListener('click', () => this.showBridgeDaysDialog(year + 1));
+        
+        // Picking a bridge day shows it in the month grid
+        document.querySelectorAll('.bridge-day-item').forEach(item => {
+            item.addEventListener('click', () => {
+                const { year: itemYear, month, day } = DateUtils.parseDate(item.dataset.date);
+                this.closeModal();
+                this.openMonthFromYearView(itemYear, month, day);
+            });
+        });
+    },
+    
+    // Yearly vacation allowance (working days) per person, e.g. { Anna: 25 }
+    getAbsenceAllowances() {
+        return this.settings.absenceAllowances || {};
+    },
+    
+    setAbsenceAllowances(allowances) {
+        const absenceAllowances = {};
+        Object.entries(allowances).forEach(([person, days]) => {
+            const name = InputSanitizer.sanitizeText(person);
+            if (name && Number.isFinite(days) && days >= 0) {
+                absenceAllowances[name] = days;
+            }
+        });
+        
+        this.saveSettings({ absenceAllowances });
+        return absenceAllowances;
+    },
+    
+    // Per person: allowance, working days absent by type and the vacation left in a year
+    getAbsenceBalances(year) {
+        const allowances = this.getAbsenceAllowances();
+        const summary = this.eventManager.getAbsenceSummary(year);
+        const persons = [...new Set([...Object.keys(allowances), ...summary.keys()])]
+            .sort((a, b) => a.localeCompare(b, I18n.locale));
+        
+        return persons.map(person => {
+            const days = summary.get(person) || Object.fromEntries(Event.absenceTypes.map(type => [type, 0]));
+            const allowance = person in allowances ? allowances[person] : this.defaultAbsenceAllowance;
+            return { person, allowance, ...days, remaining: allowance - days.vacation };
+        });
+    },
+    
+    // Absence balances of a year with editable allowances
+    showAbsencesDialog(year) {
+        const balances = this.getAbsenceBalances(year);
+        const allowances = this.getAbsenceAllowances();
+        const escape = InputSanitizer.escapeHTML; // Names are free text and may contain quotes
+        const modalContent = `
+            <div class="modal-header">
+                <button type="button" class="nav-button" id="absences-previous" aria-label="${I18n.t('nav.previousYear')}">‹</button>
+                <h3 class="modal-title">${I18n.t('absences.title', { year })}</h3>
+                <button type="button" class="nav-button" id="absences-next" aria-label="${I18n.t('nav.nextYear')}">›</button>
+                <button type="button" class="modal-close" aria-label="${I18n.t('action.closeModal')}">&times;</button>
+            </div>
+            
+            <form id="absences-form">
+                <p class="text-muted">${I18n.t('absences.hint')}</p>
+                ${balances.length === 0 ? `<p>${I18n.t('absences.empty', { year })}</p>` : `
+                    <table class="absence-table">
+                        <thead>
+                            <tr>
+                                <th scope="col">${I18n.t('absences.person')}</th>
+                                <th scope="col">${I18n.t('absences.allowance')}</th>
+                                ${Event.absenceTypes.map(type => `<th scope="col">${I18n.t(`absence.${type}`)}</th>`).join('')}
+                                <th scope="col">${I18n.t('absences.remaining')}</th>
+                                <th scope="col"></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${balances.map(balance => `
+                                <tr>
+                                    <th scope="row">${escape(balance.person)}</th>
+                                    <td>
+                                        <input type="number" name="allowance" class="form-input" min="0" max="366" step="0.5"
+                                               value="${escape(balance.allowance)}" data-person="${escape(balance.person)}"
+                                               aria-label="${escape(`${I18n.t('absences.allowance')}: ${balance.person}`)}">
+                                    </td>
+                                    ${Event.absenceTypes.map(type => `<td>${balance[type]}</td>`).join('')}
+                                    <td class="${balance.remaining < 0 ? 'absence-overdrawn' : ''}">${balance.remaining}</td>
+                                    <td>
+                                        ${balance.person in allowances ? `
+                                            <button type="button" class="btn btn-outline absence-remove" data-person="${escape(balance.person)}"
+                                                    aria-label="${escape(I18n.t('absences.remove', { person: balance.person }))}">&times;</button>
+                                        ` : ''}
+                                    </td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                `}
+                
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="absence-new-person" class="form-label">${I18n.t('absences.addPerson')}</label>
+                        <input type="text" id="absence-new-person" class="form-input" maxlength="100">
+                    </div>
+                    <div class="form-group">
+                        <label for="absence-new-allowance" class="form-label">${I18n.t('absences.allowance')}</label>
+                        <input type="number" id="absence-new-allowance" class="form-input" min="0" max="366" step="0.5" value="${this.defaultAbsenceAllowance}">
+                    </div>
+                </div>
+                
+                <div class="form-actions">
+                    <button type="button" class="btn btn-outline" id="cancel-absences">${I18n.t('action.cancel')}</button>
+                    <button type="submit" class="btn btn-primary">${I18n.t('form.save')}</button>
+                </div>
+            </form>
+        `;
+        
+        this.showModal(modalContent);
+        
+        document.querySelector('.modal-close').addEventListener('click', () => this.closeModal());
+        document.getElementById('cancel-absences').addEventListener('click', () => this.closeModal());
+        document.getElementById('absences-previous').addEventListener('click', () => this.showAbsencesDialog(year - 1));
+        document.getElementById('absences-next').addEventListener('click', () => this.showAbsencesDialog(year + 1));
+        
+        // Removing a saved allowance falls back to the default (people with absences stay listed)
+        document.querySelectorAll('.absence-remove').forEach(button => {
+            button.addEventListener('click', () => {
+                const { person } = button.dataset;
+                const remaining = { ...this.getAbsenceAllowances() };
+                delete remaining[person];
+                this.setAbsenceAllowances(remaining);
+                this.showNotification(I18n.t('absences.removed', { person }), 'success');
+                this.showAbsencesDialog(year);
+            });
+        });
+        
+        document.getElementById('absences-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const changed = { ...this.getAbsenceAllowances() };
+            
+            // Empty fields keep the current allowance; Number('') would silently set it to 0
+            e.target.querySelectorAll('input[name="allowance"]').forEach(input => {
+                if (input.value.trim() !== '') {
+                    changed[input.dataset.person] = Number(input.value);
+                }
+            });
+            
+            const newPerson = document.getElementById('absence-new-person').value.trim();
+            const newAllowance = document.getElementById('absence-new-allowance').value.trim();
+            if (newPerson) {
+                changed[newPerson] = newAllowance !== '' ? Number(newAllowance) : this.defaultAbsenceAllowance;
+            }
+            
+            this.setAbsenceAllowances(changed);
+            this.showNotification(I18n.t('absences.saved'), 'success');
+            this.showAbsencesDialog(year);
+        });
+    },
+    
+    // Person, type and working days of an absence, e.g. "Anna: Vacation, 5 working days"
+    describeAbsence(event) {
+        return I18n.t('absence.description', {
+            person: event.person,
+            type: I18n.t(`absence.${event.absenceType}`),
+            count: event.getWorkingDays()
+        });
+    },
+    
+    // Register the holiday providers saved as JSON rules and combine the selected providers
+    loadHolidayProviders() {
+        (this.settings.holidayDefinitions || []).forEach(definition => {
+            try {
+                HolidayProvider.register(HolidayProvider.fromJSON(definition));
+            } catch (error) {
+                console.warn('Ignoring invalid holiday rules:', error);
+            }
+        });
+        
+        this.updateHolidayProvider();
+    },
+    
+    // Country codes of the holiday providers shown in the calendar (Austria by default)
+    getHolidayProviderCodes() {
+        return this.settings.holidayProviders || ['AT'];
+    },
+    
+    // Regions (ISO 3166-2 codes) whose regional holidays are shown besides the nationwide ones
+    getHolidayRegions() {
+        return this.settings.holidayRegions || [];
+    },
+    
+    updateHolidayProvider() {
+        const providers = this.getHolidayProviderCodes()
+            .map(country => HolidayProvider.get(country))
+            .filter(Boolean);
+        this.holidayProvider = HolidayProvider.combine(providers);
+        WorkingDays.setHolidays(this.holidayProvider, this.getHolidayRegions());
+    },
+    
+    // Choose the holiday providers (country codes) and regions to show, and remember the choice
+    setHolidaySettings({ providers = this.getHolidayProviderCodes(), regions = this.getHolidayRegions() } = {}) {
+        const holidayProviders = providers.filter(country => HolidayProvider.get(country));
+        const knownRegions = holidayProviders.flatMap(country => Object.keys(HolidayProvider.get(country).regions));
+        const holidayRegions = knownRegions.filter(region => regions.includes(region));
+        
+        this.saveSettings({ holidayProviders, holidayRegions });
+        this.updateHolidayProvider();
+        this.renderCalendar();
+        return { providers: holidayProviders, regions: holidayRegions };
+    },
+    
+    // Register a holiday provider from a JSON rule file, show it and keep the rules for later visits
+    async loadHolidayRules(file) {
+        try {
+            const provider = HolidayProvider.register(HolidayProvider.fromJSON(await this.storageManager.readFile(file)));
+            const definitions = (this.settings.holidayDefinitions || [])
+                .filter(definition => String(definition.country).toUpperCase() !== provider.country);
+            
+            this.saveSettings({ holidayDefinitions: [...definitions, provider.definition] });
+            this.setHolidaySettings({ providers: [...new Set([...this.getHolidayProviderCodes(), provider.country])] });
+            this.showNotification(I18n.t('holidays.loaded', { name: provider.label, count: provider.holidays.length }), 'success');
+            return provider;
+        } catch (error) {
+            console.error('Failed to load holiday rules:', error);
+            this.showNotification(I18n.t('holidays.loadFailed', { error: error.message }), 'error');
+            return null;
+        }
+    },
+    
+    showHolidaySettingsDialog() {
+        const activeProviders = this.getHolidayProviderCodes();
+        const selectedRegions = this.getHolidayRegions();
+        const escape = InputSanitizer.escapeHTML; // Names and codes may come from loaded rules
+        const modalContent = `
+            <div class="modal-header">
+                <h3 class="modal-title">${I18n.t('holidays.title')}</h3>
+                <button type="button" class="modal-close" aria-label="${I18n.t('action.closeModal')}">&times;</button>
+            </div>
+            
+            <form id="holiday-settings-form">
+                <p class="text-muted">${I18n.t('holidays.regionsHint')}</p>
+                ${HolidayProvider.getAll().map(provider => `
+                    <fieldset class="holiday-provider">
+                        <legend>
+                            <label class="holiday-region-option">
+                                <input type="checkbox" name="holidayProviders" value="${escape(provider.country)}" ${activeProviders.includes(provider.country) ? 'checked' : ''}>
+                                ${escape(this.getCountryName(provider.country))}
+                            </label>
+                        </legend>
+                        <div class="holiday-region-options" ${activeProviders.includes(provider.country) ? '' : 'hidden'}>
+                            ${Object.keys(provider.regions).map(region => `
+                                <label class="holiday-region-option">
+                                    <input type="checkbox" name="holidayRegions" value="${escape(region)}" ${selectedRegions.includes(region) ? 'checked' : ''}>
+                                    ${escape(this.getRegionName(region))}
+                                </label>
+                            `).join('')}
+                        </div>
+                    </fieldset>
+                `).join('')}
+                
+                <div class="form-group">
+                    <label for="holiday-rules-file" class="form-label">${I18n.t('holidays.loadRules')}</label>
+                    <input type="file" id="holiday-rules-file" class="form-input" accept="application/json,.json">
+                </div>
+                
+                <div class="form-actions">
+                    <button type="button" class="btn btn-outline" id="cancel-holiday-settings">${I18n.t('action.cancel')}</button>
+                    <button type="submit" class="btn btn-primary">${I18n.t('form.save')}</button>
+                </div>
+            </form>
+        `;
+        
+        this.showModal(modalContent);
+        
+        const form = document.getElementById('holiday-settings-form');
+        const getChecked = (name) => [...form.querySelectorAll(`input[name="${name}"]:checked`)].map(input => input.value);
+        
+        // Regions are only offered for the selected countries
+        form.querySelectorAll('input[name="holidayProviders"]').forEach(input => {
+            input.addEventListener('change', () => {
+                input.closest('.holiday-provider').querySelector('.holiday-region-options').hidden = !input.checked;
+            });
+        });
+        
+        document.getElementById('holiday-rules-file').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (file && await this.loadHolidayRules(file)) {
+                this.showHolidaySettingsDialog();
+            }
+        });
+        
+        document.querySelector('.modal-close').addEventListener('click', () => this.closeModal());
+        document.getElementById('cancel-holiday-settings').addEventListener('click', () => this.closeModal());
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const settings = { providers: getChecked('holidayProviders'), regions: getChecked('holidayRegions') };
+            this.closeModal();
+            this.setHolidaySettings(settings);
+        });
+    },
+    
+    // CalDAV account; the saved config is connected again on the next start
+    showSyncSettingsDialog() {
+        const config = this.settings.caldav || {};
+        const connected = this.remoteSync instanceof CalDAVSync;
+        const modalContent = `
+            <div class="modal-header">
+                <h3 class="modal-title">${I18n.t('caldav.title')}</h3>
+                <button type="button" class="modal-close" aria-label="${I18n.t('action.closeModal')}">&times;</button>
+            </div>
+            
+            <form id="sync-settings-form" novalidate>
+                <p class="text-muted">${I18n.t('caldav.hint')}</p>
+                <p class="text-muted" id="sync-settings-status" role="status"></p>
+                
+                <div class="form-group">
+                    <label for="caldav-url" class="form-label">${I18n.t('caldav.url')}</label>
+                    <input type="url" id="caldav-url" name="url" class="form-input" required placeholder="https://example.com/calendars/me/home/">
+                </div>
+                
+                <div class="form-group">
+                    <label for="caldav-username" class="form-label">${I18n.t('caldav.username')}</label>
+                    <input type="text" id="caldav-username" name="username" class="form-input" autocomplete="username">
+                </div>
+                
+                <div class="form-group">
+                    <label for="caldav-password" class="form-label">${I18n.t('caldav.password')}</label>
+                    <input type="password" id="caldav-password" name="password" class="form-input" autocomplete="current-password">
+                </div>
+                
+                <div class="form-actions">
+                    <button type="button" class="btn btn-outline" id="cancel-sync-settings">${I18n.t('action.cancel')}</button>
+                    ${this.settings.caldav || connected ? `<button type="button" class="btn btn-secondary" id="disconnect-caldav">${I18n.t('caldav.disconnect')}</button>` : ''}
+                    <button type="submit" class="btn btn-primary">${I18n.t('caldav.connect')}</button>
+                </div>
+            </form>
+        `;
+        
+        this.showModal(modalContent);
+        
+        // Values are set through the DOM so they are never parsed as markup
+        const form = document.getElementById('sync-settings-form');
+        form.elements.url.value = config.url || '';
+        form.elements.username.value = config.username || '';
+        form.elements.password.value = config.password || '';
+        document.getElementById('sync-settings-status').textContent = connected
+            ? I18n.t('caldav.connectedTo', { url: this.remoteSync.url })
+            : I18n.t('caldav.notConnected');
+        
+        document.querySelector('.modal-close').addEventListener('click', () => this.closeModal());
+        document.getElementById('cancel-sync-settings').addEventListener('click', () => this.closeModal());
+        
+        const disconnectButton = document.getElementById('disconnect-caldav');
+        if (disconnectButton) {
+            disconnectButton.addEventListener('click', () => {
+                this.closeModal();
+                this.saveSettings({ caldav: null });
+                if (this.remoteSync instanceof CalDAVSync) {
+                    this.disconnectRemoteSync();
+                }
+                this.showNotification(I18n.t('caldav.disconnected'), 'info');
+            });
+        }
+        
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const url = form.elements.url.value.trim();
+            if (!InputSanitizer.validateURL(url)) {
+                this.showNotification(I18n.t('caldav.invalidUrl'), 'error');
+                form.elements.url.focus();
+                return;
+            }
+            
+            const caldav = { url, username: form.elements.username.value.trim(), password: form.elements.password.value };
+            this.closeModal();
+            this.saveSettings({ caldav });
+            this.connectCalDAV(caldav);
+            this.showNotification(I18n.t('caldav.connected'), 'success');
+        });
+    },
+    
+    // Merge changes into the persisted user preferences
+    saveSettings(changes) {
+        this.settings = { ...this.settings, ...changes };
+        if (this.storageManager) {
+            this.storageManager.saveState('settings', this.settings);
+        }
+    },
+    
+    // Modal management functions
+    // onClose runs once when this modal is closed or replaced by another one
+    showModal(content, onClose = null) {
+        const modalOverlay = document.getElementById('modal-overlay');
+        const modal = modalOverlay.querySelector('.modal');
+        
+        this.runModalCloseHandler();
+        this.modalCloseHandler = onClose;
+        
+        modal.innerHTML = content;
+        modalOverlay.classList.remove('hidden');
+        
+        // Focus management for accessibility
+        const firstFocusable = modal.querySelector('input, button, textarea, select');
+        if (firstFocusable) {
+            firstFocusable.focus();
+        }
+    },
+    
+    closeModal() {
+        const modalOverlay = document.getElementById('modal-overlay');
+        modalOverlay.classList.add('hidden');
+        this.runModalCloseHandler();
+        
+        // One waiter per close, as each opens a modal of its own. Deferred, since closing
+        // a modal often leads straight to the next one
+        const waiter = this.modalWaiters.shift();
+        if (waiter) {
+            setTimeout(waiter, 0);
+        }
+    },
+    
+    // Resolves once no modal is open (see closeModal); a waiter that finds the next modal
+    // already open keeps its turn
+    whenModalClosed(keepTurn = false) {
+        const modalOverlay = document.getElementById('modal-overlay');
+        if (modalOverlay.classList.contains('hidden')) {
+            return Promise.resolve();
+        }
+        
+        return new Promise(resolve => {
+            if (keepTurn) {
+                this.modalWaiters.unshift(resolve);
+            } else {
+                this.modalWaiters.push(resolve);
+            }
+        }).then(() => this.whenModalClosed(true));
+    },
+    
+    runModalCloseHandler() {
+        const handler = this.modalCloseHandler;
+        this.modalCloseHandler = null;
+        if (handler) {
+            handler();
+        }
+    },
+    
+    // Switch between month, week, day, year and agenda view
+    setView(view) {
+        if (!this.viewLabels[view] || view === this.currentView) return;
+        
+        // Keep the selected day (or today, if visible) in view when switching from the month grid
+        if (this.currentView === 'month' && view !== 'month') {
+            const today = new Date();
+            if (this.selectedDate) {
+                this.currentDate = new Date(this.selectedDate.year, this.selectedDate.month, this.selectedDate.day);
+            } else if (today.getFullYear() === this.currentDate.getFullYear() && today.getMonth() === this.currentDate.getMonth()) {
+                this.currentDate = today;
+            }
+        }
+        
+        this.currentView = view;
+        this.renderCalendar();
+    },
+    
+    // Navigation methods for the active view
+    navigatePrevious() {
+        if (this.viewSteps[this.currentView]) {
+            this.navigateByDays(-this.viewSteps[this.currentView]);
+        } else if (this.currentView === 'year') {
+            this.navigateByYears(-1);
+        } else {
+            this.navigateToPreviousMonth();
+        }
+    },
+    
+    navigateNext() {
+        if (this.viewSteps[this.currentView]) {
+            this.navigateByDays(this.viewSteps[this.currentView]);
+        } else if (this.currentView === 'year') {
+            this.navigateByYears(1);
+        } else {
+            this.navigateToNextMonth();
+        }
+    },
+    
+    navigateByDays(days) {
+        const dateKey = DateUtils.addDays(DateUtils.formatDateObject(this.currentDate), days);
+        const { year, month, day } = DateUtils.parseDate(dateKey);
+        
+        this.currentDate = new Date(year, month, day);
+        this.renderCalendar();
+    },
+    
+    navigateByYears(years) {
+        this.currentDate = new Date(this.currentDate.getFullYear() + years, this.currentDate.getMonth(), 1);
+        this.renderCalendar();
+    },
+    
+    navigateToPreviousMonth() {
+        const currentYear = this.currentDate.getFullYear();
+        const currentMonth = this.currentDate.getMonth();
+        const prevMonth = DateUtils.getPreviousMonth(currentYear, currentMonth);
+        
+        this.currentDate = new Date(prevMonth.year, prevMonth.month, 1);
+        this.renderCalendar();
+    },
+    
+    navigateToNextMonth() {
+        const currentYear = this.currentDate.getFullYear();
+        const currentMonth = this.currentDate.getMonth();
+        const nextMonth = DateUtils.getNextMonth(currentYear, currentMonth);
+        
+        this.currentDate = new Date(nextMonth.year, nextMonth.month, 1);
+        this.renderCalendar();
+    },
+    
+    // Navigate to today's date
+    navigateToToday() {
+        const today = new Date();
+        if (this.currentView !== 'month') {
+            this.currentDate = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+            this.renderCalendar();
+            return;
+        }
+        
+        this.currentDate = new Date(today.getFullYear(), today.getMonth(), 1);
+        this.renderCalendar();
+        
+        // Optional: Scroll to and highlight today's date after rendering
+        setTimeout(() => {
+            const todayElement = document.querySelector('.calendar-date.today');
+            if (todayElement) {
+                todayElement.scrollIntoView({ 
+                    behavior: 'smooth', 
+                    block: 'center' 
+                });
+                // Brief highlight animation
+                todayElement.style.animation = 'selectedPulse 1s ease-out';
+                setTimeout(() => {
+                    todayElement.style.animation = '';
+                }, 1000);
+            }
+        }, 100);
+    },
+    
+    // Calendar rendering
+    // Render once the current task is done, however many changes it made
+    // (skipped if something renders synchronously in the meantime)
+    scheduleRender() {
+        if (this.renderPending) return;
+        
+        this.renderPending = true;
+        queueMicrotask(() => {
+            if (this.renderPending) {
+                this.renderCalendar();
+            }
+        });
+    },
+    
+    renderCalendar() {
+        this.renderPending = false;
+        
+        // Show loading state
+        if (this.showLoading) {
+            this.showLoading();
+        }
+        
+        this.updateViewControls();
+        
+        if (this.currentView === 'week') {
+            this.renderWeekView();
+        } else if (this.currentView === 'day') {
+            this.renderDayView();
+        } else if (this.currentView === 'year') {
+            this.stopNowLineTimer();
+            this.renderYearView();
+        } else if (this.currentView === 'agenda') {
+            this.stopNowLineTimer();
+            this.renderAgendaView();
+        } else {
+            this.stopNowLineTimer();
+            
+            const currentYear = this.currentDate.getFullYear();
+            const currentMonth = this.currentDate.getMonth();
+            
+            // Update month/year display
+            this.updateMonthYearDisplay(currentYear, currentMonth);
+            
+            // Generate calendar data
+            const calendarData = DateUtils.generateCalendarData(currentYear, currentMonth);
+            
+            // Render calendar dates
+            this.renderCalendarDates(calendarData);
+        }
+        
+        // Hide loading state after rendering
+        requestAnimationFrame(() => {
+            if (this.hideLoading) {
+                this.hideLoading();
+            }
+        });
+    },
+    
+    // Show the container of the active view and update switcher and navigation labels
+    updateViewControls() {
+        const activeSelector = this.viewContainers[this.currentView];
+        new Set(Object.values(this.viewContainers)).forEach(selector => {
+            const container = document.querySelector(selector);
+            if (container) {
+                container.classList.toggle('hidden', selector !== activeSelector);
+            }
+        });
+        
+        const timeGridView = document.getElementById('time-grid-view');
+        if (timeGridView && this.viewLabels[this.currentView].grid) {
+            timeGridView.setAttribute('aria-label', I18n.t(this.viewLabels[this.currentView].grid));
+        }
+        
+        document.querySelectorAll('.view-button').forEach(button => {
+            const isActive = button.dataset.view === this.currentView;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-selected', String(isActive));
+        });
+        
+        const labels = this.viewLabels[this.currentView];
+        const prevButton = document.getElementById('prev-month');
+        const nextButton = document.getElementById('next-month');
+        if (prevButton) prevButton.setAttribute('aria-label', I18n.t(labels.previous));
+        if (nextButton) nextButton.setAttribute('aria-label', I18n.t(labels.next));
+    },
+    
+    // Display a date range such as "13.–19. Januar 2025"
+    updateDateRangeDisplay(startDate, endDate) {
+        const monthYearElement = document.getElementById('current-month-year');
+        if (!monthYearElement) return;
+        
+        monthYearElement.textContent = I18n.formatDateRange(startDate, endDate);
+    },
+    
+    updateMonthYearDisplay(year, month) {
+        const monthYearElement = document.getElementById('current-month-year');
+        if (monthYearElement) {
+            monthYearElement.textContent = I18n.formatDate(DateUtils.formatDate(year, month, 1), 'monthYear');
+        }
+    },
+    
+    renderCalendarDates(calendarData) {
+        const calendarDatesContainer = this.cachedElements?.calendarDates || document.getElementById('calendar-dates');
+        if (!calendarDatesContainer) return;
+        
+        // Use document fragment for batch DOM updates
+        const fragment = document.createDocumentFragment();
+        
+        // Clear existing dates efficiently
+        while (calendarDatesContainer.firstChild) {
+            calendarDatesContainer.removeChild(calendarDatesContainer.firstChild);
+        }
+        
+        // Collect events (including recurring occurrences) for the whole visible grid at once
+        const firstDay = calendarData[0][0];
+        const lastWeek = calendarData[calendarData.length - 1];
+        const lastDay = lastWeek[lastWeek.length - 1];
+        const eventsByDate = this.eventManager.getEventsByDateMap(
+            DateUtils.formatDate(firstDay.year, firstDay.month, firstDay.day),
+            DateUtils.formatDate(lastDay.year, lastDay.month, lastDay.day)
+        );
+        
+        // Render each week with performance optimization
+        calendarData.forEach(week => {
+            const spanLanes = this.computeSpanLanes(week, eventsByDate);
+            
+            if (this.settings.showWeekNumbers) {
+                fragment.appendChild(this.createWeekNumberElement(week));
+            }
+            
+            week.forEach((dateObj, column) => {
+                const dateElement = this.createOptimizedDateElement(dateObj, eventsByDate, {
+                    spanLanes,
+                    isRowStart: column === 0
+                });
+                fragment.appendChild(dateElement);
+            });
+        });
+        
+        // Single DOM update
+        calendarDatesContainer.appendChild(fragment);
+    },
+    
+    // Week-number cell leading a grid row; rows not starting on Monday show the ISO week of their Monday
+    createWeekNumberElement(week) {
+        const monday = week.find(dateObj => dateObj.dayOfWeek === 0);
+        const { week: weekNumber } = DateUtils.getISOWeek(DateUtils.formatDate(monday.year, monday.month, monday.day));
+        
+        const element = document.createElement('button');
+        element.type = 'button';
+        element.className = 'week-number';
+        element.setAttribute('role', 'rowheader');
+        element.textContent = weekNumber;
+        element.title = I18n.t('calendar.openWeek', { week: weekNumber });
+        element.setAttribute('aria-label', element.title);
+        element.addEventListener('click', () => this.openWeekView(monday));
+        
+        return element;
+    },
+    
+    // Assign multi-day events of a week row to fixed vertical lanes so their bars line up across cells
+    computeSpanLanes(week, eventsByDate) {
+        const lanes = new Map();
+        const laneEnds = []; // Last column occupied in each lane
+        
+        week.forEach((dateObj, column) => {
+            const dateKey = DateUtils.formatDate(dateObj.year, dateObj.month, dateObj.day);
+            const spanningEvents = (eventsByDate.get(dateKey) || [])
+                .filter(event => event.isMultiDay() && !event.isAbsence()) // Absences are drawn as bands
+                .sort((a, b) => a.date.localeCompare(b.date) || b.getEndDate().localeCompare(a.getEndDate()));
+            
+            spanningEvents.forEach(event => {
+                const key = EventManager.getInstanceKey(event);
+                if (lanes.has(key)) return;
+                
+                const lastColumn = Math.min(week.length - 1, column + DateUtils.daysBetween(dateKey, event.getEndDate()));
+                let lane = laneEnds.findIndex(end => end < column);
+                if (lane === -1) {
+                    lane = laneEnds.length;
+                }
+                
+                laneEnds[lane] = lastColumn;
+                lanes.set(key, lane);
+            });
+        });
+        
+        return lanes;
+    },
+    
+    createOptimizedDateElement(dateObj, eventsByDate = null, layout = {}) {
+        // Use cached element creation for performance
+        const dateElement = document.createElement('div');
+        dateElement.className = this.classNames.calendarDate;
+        
+        // Create separate element for the date number
+        const dateNumber = document.createElement('span');
+        dateNumber.className = 'calendar-date-number';
+        dateNumber.textContent = dateObj.day;
+        dateNumber.title = I18n.t('calendar.openDayView');
+        dateElement.appendChild(dateNumber);
+        
+        // Apply classes efficiently
+        if (!dateObj.isCurrentMonth) {
+            dateElement.classList.add(this.classNames.otherMonth);
+        }
+        
+        if (dateObj.isToday) {
+            dateElement.classList.add(this.classNames.today);
+        }
+        
+        // Add weekday-specific classes (dayOfWeek is the weekday, whatever column it is shown in)
+        if (dateObj.dayOfWeek !== undefined) {
+            if (dateObj.dayOfWeek === 5) { // Saturday (5 in Monday=0 system)
+                dateElement.classList.add('saturday');
+            } else if (dateObj.dayOfWeek === 6) { // Sunday (6 in Monday=0 system)
+                dateElement.classList.add('sunday');
+            }
+        }
+        
+        // Check for holidays (nationwide and of the selected regions)
+        const date = new Date(dateObj.year, dateObj.month, dateObj.day);
+        const holiday = this.holidayProvider.isHoliday(date, this.getHolidayRegions());
+        
+        if (holiday) {
+            dateElement.classList.add('holiday');
+            dateElement.classList.add(`holiday-${holiday.type}`); // holiday-fixed or holiday-variable
+            dateElement.classList.toggle('holiday-observance', !holiday.statutory);
+            dateElement.setAttribute('data-holiday', this.describeHoliday(holiday));
+            dateElement.setAttribute('title', this.describeHoliday(holiday));
+            
+            // Add holiday name display
+            this.addHolidayDisplay(dateElement, holiday);
+        }
+        
+        // Working days squeezed between a holiday and a weekend (Fenstertage)
+        const dateKey = DateUtils.formatDate(dateObj.year, dateObj.month, dateObj.day);
+        const isBridgeDay = WorkingDays.isBridgeDay(dateKey);
+        
+        if (isBridgeDay) {
+            dateElement.classList.add('bridge-day');
+            const bridgeLabel = document.createElement('div');
+            bridgeLabel.className = 'bridge-day-label';
+            bridgeLabel.textContent = I18n.t('calendar.bridgeDay');
+            dateElement.appendChild(bridgeLabel);
+        }
+        
+        // Check for events and add display (optimized); absences become background bands
+        const dayEvents = eventsByDate ? (eventsByDate.get(dateKey) || []) : this.eventManager.getByDate(dateKey);
+        const absences = dayEvents.filter(event => event.isAbsence());
+        const events = dayEvents.filter(event => !event.isAbsence());
+        
+        if (absences.length > 0) {
+            dateElement.classList.add('has-absences');
+            this.addAbsenceBands(dateElement, absences, { ...layout, dateKey });
+        }
+        
+        if (events.length > 0) {
+            dateElement.classList.add(this.classNames.hasEvents);
+            this.addOptimizedEventDisplay(dateElement, events, { ...layout, dateKey });
+        }
+        
+        // Store data efficiently
+        Object.assign(dateElement.dataset, {
+            year: dateObj.year,
+            month: dateObj.month,
+            day: dateObj.day,
+            isCurrentMonth: dateObj.isCurrentMonth
+        });
+        
+        // Add ARIA attributes
+        const formattedDate = DateUtils.formatDate(dateObj.year, dateObj.month, dateObj.day);
+        let ariaLabel = I18n.formatDate(formattedDate);
+        
+        // Add holiday information to ARIA label
+        if (holiday) {
+            ariaLabel += `, ${I18n.t('calendar.holiday', { name: this.describeHoliday(holiday) })}`;
+        }
+        if (isBridgeDay) {
+            ariaLabel += `, ${I18n.t('calendar.bridgeDay')}`;
+        }
+        absences.forEach(absence => {
+            ariaLabel += `, ${this.describeAbsence(absence)}`;
+        });
+        
+        dateElement.setAttribute('role', 'gridcell');
+        dateElement.setAttribute('aria-label', ariaLabel);
+        dateElement.setAttribute('tabindex', dateObj.isCurrentMonth ? '0' : '-1');
+        
+        // Add event listeners with delegation optimization
+        dateElement.addEventListener('click', this.handleDateClickOptimized.bind(this));
+        dateElement.addEventListener('keydown', this.handleDateKeydownOptimized.bind(this));
+        
+        return dateElement;
+    },
+    
+    addHolidayDisplay(dateElement, holiday) {
+        // Create holiday indicator
+        const holidayIndicator = document.createElement('div');
+        holidayIndicator.className = 'holiday-indicator';
+        
+        // Add holiday name (shortened for space)
+        const holidayName = document.createElement('div');
+        holidayName.className = 'holiday-name';
+        holidayName.textContent = this.getHolidayShortName(holiday);
+        holidayName.setAttribute('title', this.describeHoliday(holiday)); // Full name on hover
+        
+        holidayIndicator.appendChild(holidayName);
+        
+        // Regional holidays name the selected regions observing them (or the country when combining several)
+        const scope = this.getHolidayScope(holiday);
+        if (scope) {
+            const region = document.createElement('div');
+            region.className = 'holiday-region';
+            region.textContent = scope;
+            holidayIndicator.appendChild(region);
+        }
+        
+        // Add visual marker
+        const marker = document.createElement('div');
+        marker.className = `holiday-marker holiday-marker-${holiday.type}`;
+        holidayIndicator.appendChild(marker);
+        
+        dateElement.appendChild(holidayIndicator);
+    },
+    
+    // Holiday name in the active locale: the official name in the provider's language,
+    // otherwise the translation (holiday.<id> messages) if there is one
+    getHolidayName(holiday) {
+        const provider = HolidayProvider.get(holiday.country);
+        if (provider && provider.language === I18n.locale) return holiday.name;
+        
+        return I18n.has(`holiday.${holiday.id}`) ? I18n.t(`holiday.${holiday.id}`) : holiday.name;
+    },
+    
+    // Shortened holiday name for the month grid (holidayShort.<id> messages), or the full name
+    getHolidayShortName(holiday) {
+        return I18n.has(`holidayShort.${holiday.id}`) ? I18n.t(`holidayShort.${holiday.id}`) : this.getHolidayName(holiday);
+    },
+    
+    // Holiday name with its regions, marking observances that are no statutory day off
+    describeHoliday(holiday) {
+        let name = this.getHolidayName(holiday);
+        const scope = this.getHolidayScope(holiday);
+        if (scope) {
+            name += ` (${scope})`;
+        }
+        return holiday.statutory ? name : I18n.t('calendar.observance', { name });
+    },
+    
+    // Where a holiday applies: its regions, or its country while holidays of several countries are shown
+    getHolidayScope(holiday) {
+        if (holiday.regions) {
+            return holiday.regions.map(code => this.getRegionName(code)).join(', ');
+        }
+        return this.getHolidayProviderCodes().length > 1 ? this.getCountryName(holiday.country) : '';
+    },
+    
+    // Region name in the active locale (official name in the provider's language, else region.<code> messages)
+    getRegionName(code) {
+        const provider = HolidayProvider.getAll().find(candidate => code in candidate.regions);
+        if (provider && provider.language === I18n.locale) return provider.regions[code];
+        
+        return I18n.has(`region.${code}`) ? I18n.t(`region.${code}`) : (provider ? provider.regions[code] : code);
+    },
+    
+    // Country name of a holiday provider in the active locale (country.<code> messages), else its label
+    getCountryName(country) {
+        const provider = HolidayProvider.get(country);
+        if (provider && provider.language === I18n.locale) return provider.label;
+        
+        return I18n.has(`country.${country}`) ? I18n.t(`country.${country}`) : (provider ? provider.label : country);
+    },
+    
+    addOptimizedEventDisplay(dateElement, events, options = {}) {
+        const { dateKey = null, spanLanes = null, isRowStart = false } = options;
+        const spanningEvents = events.filter(event => event.isMultiDay());
+        const singleDayEvents = events.filter(event => !event.isMultiDay());
+        
+        // Optimized event display creation
+        const indicatorsFragment = document.createDocumentFragment();
+        
+        // Add event count for many events
+        if (events.length > 3) {
+            const eventCount = document.createElement('div');
+            eventCount.className = 'event-count';
+            eventCount.textContent = events.length;
+            indicatorsFragment.appendChild(eventCount);
+        }
+        
+        // Add event indicators
+        const indicators = document.createElement('div');
+        indicators.className = 'event-indicators';
+        
+        // Multi-day events are drawn as bars, so only single-day events get dots
+        const categories = [...new Set(singleDayEvents.slice(0, 4).map(event => event.category))];
+        categories.forEach(category => {
+            const dot = document.createElement('div');
+            dot.className = `event-dot ${category}`;
+            indicators.appendChild(dot);
+        });
+        
+        indicatorsFragment.appendChild(indicators);
+        
+        // Multi-day bars keep their lane across the week row; empty lanes become spacers
+        const rows = [];
+        spanningEvents.forEach((event, index) => {
+            const lane = spanLanes && spanLanes.has(EventManager.getInstanceKey(event))
+                ? spanLanes.get(EventManager.getInstanceKey(event))
+                : index;
+            rows[lane] = event;
+        });
+        rows.push(...singleDayEvents);
+        
+        // Add mini event list
+        const miniList = document.createElement('div');
+        miniList.className = 'event-mini-list';
+        
+        Array.from(rows).slice(0, 3).forEach(event => {
+            if (!event) {
+                const spacer = document.createElement('div');
+                spacer.className = 'event-mini-item event-span-spacer';
+                spacer.textContent = '\u00a0';
+                miniList.appendChild(spacer);
+                return;
+            }
+            
+            const miniItem = this.createEventMiniItem(event);
+            
+            if (event.isMultiDay()) {
+                const isStart = dateKey === event.date;
+                miniItem.classList.add('event-span');
+                miniItem.classList.toggle('span-start', isStart);
+                miniItem.classList.toggle('span-end', dateKey === event.getEndDate());
+                
+                // Only label the bar where it starts or where it wraps into a new week row
+                if (!isStart && !isRowStart) {
+                    miniItem.textContent = '\u00a0';
+                }
+            }
+            
+            miniList.appendChild(miniItem);
+        });
+        
+        indicatorsFragment.appendChild(miniList);
+        
+        // Add hover tooltip (lazy loaded)
+        const preview = document.createElement('div');
+        preview.className = 'event-preview';
+        preview.dataset.eventIds = events.map(e => e.id).join(',');
+        indicatorsFragment.appendChild(preview);
+        
+        // Observe for lazy loading
+        if (this.lazyLoadObserver) {
+            this.lazyLoadObserver.observe(preview);
+        }
+        
+        dateElement.appendChild(indicatorsFragment);
+    },
+    
+    // Absences as bands along the bottom of a month cell, running into the neighbouring cells;
+    // like multi-day bars they are labelled where they start or wrap into a new week row
+    addAbsenceBands(dateElement, absences, options = {}) {
+        const { dateKey = null, isRowStart = false } = options;
+        const bands = document.createElement('div');
+        bands.className = 'absence-bands';
+        
+        [...absences]
+            .sort((a, b) => a.date.localeCompare(b.date) || a.person.localeCompare(b.person))
+            .forEach(absence => {
+                const band = document.createElement('div');
+                band.className = `absence-band absence-${absence.absenceType}`;
+                band.classList.toggle('span-start', dateKey === absence.date);
+                band.classList.toggle('span-end', dateKey === absence.getEndDate());
+                band.textContent = dateKey === absence.date || isRowStart ? absence.person : '\u00a0';
+                band.title = this.describeAbsence(absence);
+                band.dataset.eventId = absence.id;
+                if (absence.isOccurrence()) {
+                    band.dataset.recurrenceId = absence.recurrenceId;
+                }
+                
+                band.setAttribute('tabindex', '0');
+                band.setAttribute('role', 'button');
+                band.addEventListener('click', this.handleEventItemClickOptimized.bind(this));
+                band.addEventListener('keydown', this.handleEventItemKeydown.bind(this));
+                bands.appendChild(band);
+            });
+        
+        dateElement.appendChild(bands);
+    },
+    
+    // Create a clickable compact event entry (month cells and all-day strips)
+    createEventMiniItem(event) {
+        const miniItem = document.createElement('div');
+        miniItem.className = `event-mini-item ${event.category}`;
+        miniItem.textContent = event.title;
+        miniItem.title = this.formatEventTooltip(event);
+        miniItem.dataset.eventId = event.id;
+        
+        if (event.isOccurrence()) {
+            miniItem.classList.add('recurring');
+            miniItem.dataset.recurrenceId = event.recurrenceId;
+        }
+        
+        // Draggable and focusable for rescheduling (see setupEventDragAndDrop)
+        miniItem.draggable = true;
+        miniItem.setAttribute('tabindex', '0');
+        miniItem.setAttribute('aria-keyshortcuts', 'Alt+ArrowLeft Alt+ArrowRight Alt+ArrowUp Alt+ArrowDown');
+        
+        // Use event delegation for performance
+        miniItem.addEventListener('click', this.handleEventItemClickOptimized.bind(this));
+        miniItem.addEventListener('keydown', this.handleEventItemKeydown.bind(this));
+        
+        return miniItem;
+    },
+    
+    // Keyboard equivalent of drag and drop: Alt+Arrow moves an event by a day or a week
+    handleEventItemKeydown(event) {
+        const { eventId, recurrenceId } = event.currentTarget.dataset;
+        const moveDays = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -7, ArrowDown: 7 }[event.key];
+        
+        if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            event.stopPropagation();
+            this.handleEventItemClickOptimized(event);
+        } else if (event.altKey && moveDays) {
+            event.preventDefault();
+            event.stopPropagation();
+            const moved = this.moveEventByDays({ eventId, recurrenceId: recurrenceId || null }, moveDays);
+            if (moved) {
+                this.focusEventItem(moved);
+            }
+        }
+    },
+    
+    // Drag and drop, set up once on the month grid container (cells are re-rendered)
+    setupEventDragAndDrop() {
+        const calendarDates = document.getElementById('calendar-dates');
+        if (!calendarDates) return;
+        
+        this.dragState = null;
+        
+        calendarDates.addEventListener('dragstart', (e) => {
+            const item = e.target.closest && e.target.closest('.event-mini-item[data-event-id]');
+            if (!item) return;
+            
+            this.startEventDrag(item);
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', item.dataset.eventId);
+        });
+        
+        calendarDates.addEventListener('dragover', (e) => {
+            const cell = e.target.closest && e.target.closest('.calendar-date');
+            if (!this.dragState || !cell) return;
+            
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            this.setDropTarget(cell);
+        });
+        
+        calendarDates.addEventListener('drop', (e) => {
+            const cell = e.target.closest && e.target.closest('.calendar-date');
+            if (!this.dragState || !cell) return;
+            
+            e.preventDefault();
+            this.dropDraggedEvent(cell);
+        });
+        
+        calendarDates.addEventListener('dragend', () => this.endEventDrag());
+        
+        // Touch: long-press an event to pick it up, then drag it onto another day
+        let longPressTimer = null;
+        let touchStart = null;
+        
+        calendarDates.addEventListener('touchstart', (e) => {
+            const item = e.target.closest && e.target.closest('.event-mini-item[data-event-id]');
+            if (!item || e.touches.length !== 1) return;
+            
+            touchStart = { x: e.touches[0].clientX, y: e.touches[0].clientY };
+            longPressTimer = setTimeout(() => {
+                longPressTimer = null;
+                this.startEventDrag(item);
+                this.dragState.touch = true;
+            }, this.dragAndDrop.longPressDelay);
+        }, { passive: true });
+        
+        calendarDates.addEventListener('touchmove', (e) => {
+            const touch = e.touches[0];
+            
+            if (longPressTimer) {
+                // Moving before the long press fires means the user is scrolling
+                if (Math.hypot(touch.clientX - touchStart.x, touch.clientY - touchStart.y) > this.dragAndDrop.touchTolerance) {
+                    clearTimeout(longPressTimer);
+                    longPressTimer = null;
+                }
+                return;
+            }
+            
+            if (!this.dragState || !this.dragState.touch) return;
+            
+            e.preventDefault();
+            const target = document.elementFromPoint(touch.clientX, touch.clientY);
+            const cell = target && target.closest('.calendar-date');
+            if (cell) {
+                this.setDropTarget(cell);
+            }
+        }, { passive: false });
+        
+        calendarDates.addEventListener('touchend', (e) => {
+            if (longPressTimer) {
+                clearTimeout(longPressTimer);
+                longPressTimer = null;
+            }
+            
+            if (!this.dragState || !this.dragState.touch) return;
+            
+            // Suppress the click that would otherwise open the event details
+            e.preventDefault();
+            const cell = this.dragState.dropTarget;
+            if (cell) {
+                this.dropDraggedEvent(cell);
+            } else {
+                this.endEventDrag();
+            }
+        });
+        
+        calendarDates.addEventListener('touchcancel', () => {
+            clearTimeout(longPressTimer);
+            longPressTimer = null;
+            this.endEventDrag();
+        });
+    },
+    
+    startEventDrag(item) {
+        const cell = item.closest('.calendar-date');
+        
+        this.dragState = {
+            eventId: item.dataset.eventId,
+            recurrenceId: item.dataset.recurrenceId || null,
+            fromDate: DateUtils.formatDate(parseInt(cell.dataset.year), parseInt(cell.dataset.month), parseInt(cell.dataset.day)),
+            item,
+            dropTarget: null
+        };
+        
+        document.querySelectorAll(`.event-mini-item[data-event-id="${item.dataset.eventId}"]`).forEach(element => {
+            element.classList.add('dragging');
+        });
+    },
+    
+    setDropTarget(cell) {
+        if (this.dragState.dropTarget === cell) return;
+        
+        if (this.dragState.dropTarget) {
+            this.dragState.dropTarget.classList.remove('drop-target');
+        }
+        cell.classList.add('drop-target');
+        this.dragState.dropTarget = cell;
+    },
+    
+    dropDraggedEvent(cell) {
+        const { eventId, recurrenceId, fromDate } = this.dragState;
+        const toDate = DateUtils.formatDate(parseInt(cell.dataset.year), parseInt(cell.dataset.month), parseInt(cell.dataset.day));
+        
+        this.endEventDrag();
+        this.moveEventByDays({ eventId, recurrenceId }, DateUtils.daysBetween(fromDate, toDate));
+    },
+    
+    endEventDrag() {
+        document.querySelectorAll('.event-mini-item.dragging').forEach(element => {
+            element.classList.remove('dragging');
+        });
+        document.querySelectorAll('.calendar-date.drop-target').forEach(element => {
+            element.classList.remove('drop-target');
+        });
+        this.dragState = null;
+    },
+    
+    // Reschedule an event (or a single occurrence) by a number of days, offering an undo
+    moveEventByDays({ eventId, recurrenceId }, days) {
+        if (!days) return null;
         
-        // Check storage status
-        const storageStatus = this.eventManager.getStorageStatus();
-        if (storageStatus.supported) {
-            console.log('localStorage is available and working');
-        } else {
-            console.warn('localStorage is not available - events will not persist');
-        }
+        const stored = recurrenceId
+            ? this.eventManager.getOccurrence(eventId, recurrenceId)
+            : this.eventManager.getById(eventId);
+        if (!stored) return null;
         
-        // Initialize performance optimizations
-        this.initializeOptimizations();
+        const event = this.eventManager.toViewTimeZone(stored);
+        const changes = {
+            date: DateUtils.addDays(event.date, days),
+            endDate: event.endDate ? DateUtils.addDays(event.endDate, days) : ''
+        };
         
-        this.setupEventListeners();
+        return this.rescheduleEvent({ eventId, recurrenceId }, changes, (moved) => {
+            return I18n.t('event.moved', { title: moved.title, date: I18n.formatDate(moved.date) });
+        });
+    },
+    
+    // Apply date/time changes (in the viewer's time zone, as shown) to an event or a single occurrence,
+    // re-render and offer an undo
+    rescheduleEvent({ eventId, recurrenceId }, changes, describe) {
+        let updated;
         
-        // Cache DOM elements for performance before rendering
-        this.cacheCommonElements();
+        try {
+            const stored = recurrenceId
+                ? this.eventManager.getOccurrence(eventId, recurrenceId)
+                : this.eventManager.getById(eventId);
+            const zonedChanges = stored ? this.eventManager.fromViewTimeZone(stored, changes) : changes;
+            
+            updated = this.eventManager.toViewTimeZone(recurrenceId
+                ? this.eventManager.updateOccurrence(eventId, recurrenceId, zonedChanges)
+                : this.eventManager.update(eventId, zonedChanges));
+        } catch (error) {
+            console.error('Error rescheduling event:', error);
+            this.showNotification(I18n.t('event.moveFailed', { error: error.message }), 'error');
+            return null;
+        }
         
+        // Render right away (instead of after the change notification) so the moved event can be focused
         this.renderCalendar();
+        this.showUndoableNotification(describe(updated));
         
-        // Final polish: Add performance timing
-        if (typeof performance !== 'undefined' && performance.mark) {
-            performance.mark('calendar-init-end');
-            performance.measure('calendar-init', 'calendar-init-start', 'calendar-init-end');
-            const measure = performance.getEntriesByName('calendar-init')[0];
-            console.log(`Calendar initialized in ${measure.duration.toFixed(2)}ms`);
+        return updated;
+    },
+    
+    // Focus an event entry after re-rendering (keeps keyboard moves going)
+    focusEventItem(event) {
+        const { year, month, day } = DateUtils.parseDate(event.date);
+        let selector = `.event-mini-item[data-event-id="${event.id}"]`;
+        if (event.recurrenceId) {
+            selector += `[data-recurrence-id="${event.recurrenceId}"]`;
         }
         
-        console.log('Calendar application ready!');
+        // Prefer the entry on the event's (first) day over continuation segments
+        const item = document.querySelector(`.calendar-date[data-year="${year}"][data-month="${month}"][data-day="${day}"] ${selector}`)
+            || document.querySelector(selector);
+        if (item) {
+            item.focus();
+        }
     },
     
-    // Performance monitoring
-    setupPerformanceMonitoring() {
-        if (typeof performance !== 'undefined' && performance.mark) {
-            performance.mark('calendar-init-start');
-            
-            // Monitor render performance
-            this.originalRenderCalendar = this.renderCalendar;
-            this.renderCalendar = this.measureRenderPerformance.bind(this);
-        }
+    // Week view: 7-day hourly time grid
+    renderWeekView() {
+        const weekStart = DateUtils.getWeekStart(DateUtils.formatDateObject(this.currentDate));
+        const dates = Array.from({ length: 7 }, (_, index) => DateUtils.addDays(weekStart, index));
+        
+        this.updateDateRangeDisplay(dates[0], dates[dates.length - 1]);
+        this.renderTimeGrid(dates);
     },
     
-    measureRenderPerformance() {
-        if (typeof performance !== 'undefined' && performance.mark) {
-            performance.mark('calendar-render-start');
-            const result = this.originalRenderCalendar.call(this);
-            performance.mark('calendar-render-end');
-            
-            try {
-                performance.measure('calendar-render-time', 'calendar-render-start', 'calendar-render-end');
-                const measures = performance.getEntriesByName('calendar-render-time');
-                if (measures.length > 0) {
-                    const renderTime = measures[measures.length - 1].duration;
-                    if (renderTime > 50) { // Log slow renders
-                        console.warn(`Slow calendar render: ${renderTime.toFixed(2)}ms`);
-                    }
-                }
-            } catch (e) {
-                // Performance measurement failed, continue normally
-            }
-            
-            return result;
-        } else {
-            return this.originalRenderCalendar.call(this);
+    // Day view: single-day time grid with a live "now" line
+    renderDayView() {
+        const dateKey = DateUtils.formatDateObject(this.currentDate);
+        const monthYearElement = document.getElementById('current-month-year');
+        
+        if (monthYearElement) {
+            monthYearElement.textContent = I18n.formatDate(dateKey, 'full');
         }
+        
+        this.renderTimeGrid([dateKey]);
     },
     
-    // Initialize performance optimizations
-    initializeOptimizations() {
-        // Debounce resize events
-        let resizeTimeout;
-        window.addEventListener('resize', () => {
-            clearTimeout(resizeTimeout);
-            resizeTimeout = setTimeout(() => {
-                this.handleResize();
-            }, 250);
+    // Year overview: 12 mini months shaded by event density
+    renderYearView() {
+        const container = document.getElementById('year-view');
+        if (!container) return;
+        
+        const year = this.currentDate.getFullYear();
+        const monthYearElement = document.getElementById('current-month-year');
+        if (monthYearElement) {
+            monthYearElement.textContent = String(year);
+        }
+        
+        // Holiday lookup by date key (statutory days come first when several fall on one day)
+        const holidays = new Map();
+        this.holidayProvider.getHolidaysForYear(year, this.getHolidayRegions()).forEach(holiday => {
+            const dateKey = DateUtils.formatDateObject(holiday.date);
+            if (!holidays.has(dateKey)) {
+                holidays.set(dateKey, holiday);
+            }
         });
         
-        // Preload commonly used elements
-        this.preloadElements();
+        // Expand recurring events once for the whole year instead of once per day
+        const eventsByDate = this.eventManager.getEventsByDateMap(DateUtils.formatDate(year, 0, 1), DateUtils.formatDate(year, 11, 31));
         
-        // Initialize virtual scrolling if needed
-        this.initializeVirtualization();
+        const fragment = document.createDocumentFragment();
+        const months = document.createElement('div');
+        months.className = 'year-months';
         
-        // Setup lazy loading for event previews
-        this.setupLazyLoading();
+        for (let month = 0; month < 12; month++) {
+            months.appendChild(this.createYearMonthElement(year, month, holidays, eventsByDate));
+        }
         
-        // Initialize loading states
-        this.setupLoadingStates();
+        fragment.appendChild(months);
+        fragment.appendChild(this.createYearLegend());
         
-        // Setup smooth transitions
-        this.setupSmoothTransitions();
-    },
-    
-    // Cache frequently accessed DOM elements
-    cacheCommonElements() {
-        try {
-            this.cachedElements = {
-                calendarDates: document.getElementById('calendar-dates'),
-                modalOverlay: document.getElementById('modal-overlay'),
-                currentMonthYear: document.getElementById('current-month-year'),
-                calendarContainer: document.querySelector('.calendar-container')
-            };
-            
-            // Log missing elements for debugging
-            Object.keys(this.cachedElements).forEach(key => {
-                if (!this.cachedElements[key]) {
-                    console.warn(`Element not found: ${key}`);
-                }
-            });
-        } catch (error) {
-            console.error('Error caching elements:', error);
-            this.cachedElements = {}; // Initialize as empty object to prevent further errors
+        while (container.firstChild) {
+            container.removeChild(container.firstChild);
         }
+        container.appendChild(fragment);
     },
     
-    // Preload elements to avoid repeated DOM queries
-    preloadElements() {
-        // Preload modal template
-        this.modalTemplate = this.createModalTemplate();
+    createYearMonthElement(year, month, holidays, eventsByDate) {
+        const monthElement = document.createElement('section');
+        monthElement.className = 'year-month';
+        
+        const title = document.createElement('button');
+        title.type = 'button';
+        title.className = 'year-month-title';
+        title.textContent = DateUtils.getMonthName(month);
+        title.setAttribute('aria-label', I18n.t('year.openMonth', {
+            month: I18n.formatDate(DateUtils.formatDate(year, month, 1), 'monthYear')
+        }));
+        title.addEventListener('click', () => this.openMonthFromYearView(year, month));
+        monthElement.appendChild(title);
+        
+        const grid = document.createElement('div');
+        grid.className = 'year-month-grid';
+        grid.setAttribute('role', 'grid');
+        
+        DateUtils.getWeekdayOrder().forEach(weekday => {
+            const header = document.createElement('div');
+            header.className = 'year-weekday';
+            header.textContent = DateUtils.getWeekdayShortName(weekday).charAt(0);
+            header.setAttribute('role', 'columnheader');
+            header.setAttribute('aria-label', DateUtils.getWeekdayName(weekday));
+            grid.appendChild(header);
+        });
         
-        // Preload common class names
-        this.classNames = {
-            calendarDate: 'calendar-date',
-            hasEvents: 'has-events',
-            today: 'today',
-            selected: 'selected',
-            otherMonth: 'other-month'
-        };
-    },
-    
-    createModalTemplate() {
-        const template = document.createElement('template');
-        template.innerHTML = `
-            <div class="modal-header">
-                <h3 class="modal-title"></h3>
-                <button type="button" class="modal-close" aria-label="Close modal">&times;</button>
-            </div>
-            <div class="modal-content"></div>
-        `;
-        return template;
+        DateUtils.generateCalendarData(year, month).flat().forEach(dateObj => {
+            grid.appendChild(this.createYearDayElement(dateObj, holidays, eventsByDate));
+        });
+        
+        monthElement.appendChild(grid);
+        return monthElement;
     },
     
-    // Handle window resize efficiently
-    handleResize() {
-        // Update calendar layout if needed
-        const container = this.cachedElements?.calendarContainer || document.querySelector('.calendar-container');
-        if (container) {
-            const width = container.offsetWidth;
-            if (width < 600 && !container.classList.contains('compact-mode')) {
-                container.classList.add('compact-mode');
-            } else if (width >= 600 && container.classList.contains('compact-mode')) {
-                container.classList.remove('compact-mode');
-            }
+    createYearDayElement(dateObj, holidays, eventsByDate) {
+        const dayElement = document.createElement('div');
+        dayElement.className = 'year-day';
+        dayElement.setAttribute('role', 'gridcell');
+        
+        // Leading and trailing days of neighbouring months stay empty
+        if (!dateObj.isCurrentMonth) {
+            dayElement.classList.add('other-month');
+            return dayElement;
+        }
+        
+        const dateKey = DateUtils.formatDate(dateObj.year, dateObj.month, dateObj.day);
+        const count = (eventsByDate.get(dateKey) || []).length;
+        const holiday = holidays.get(dateKey);
+        let label = I18n.t('year.dayLabel', { date: I18n.formatDate(dateKey), count });
+        
+        dayElement.textContent = dateObj.day;
+        dayElement.classList.add(`heat-${this.getHeatmapLevel(count)}`);
+        dayElement.classList.toggle('today', dateObj.isToday);
+        dayElement.classList.toggle('weekend', dateObj.dayOfWeek >= 5);
+        
+        if (holiday) {
+            dayElement.classList.add('holiday');
+            dayElement.classList.toggle('holiday-observance', !holiday.statutory);
+            label += `, ${I18n.t('calendar.holiday', { name: this.describeHoliday(holiday) })}`;
         }
+        
+        dayElement.title = label;
+        dayElement.setAttribute('aria-label', label);
+        dayElement.addEventListener('click', () => this.openMonthFromYearView(dateObj.year, dateObj.month, dateObj.day));
+        
+        return dayElement;
     },
     
-    // Virtual scrolling for large datasets (future enhancement)
-    initializeVirtualization() {
-        // This would be implemented for calendars with many events
-        this.virtualScrolling = {
-            enabled: false,
-            itemHeight: 60,
-            containerHeight: 400,
-            visibleItems: 0
-        };
+    // Map an event count to a heatmap level from 0 (no events) to 4
+    getHeatmapLevel(count) {
+        return this.yearHeatmapThresholds.filter(threshold => count >= threshold).length;
     },
     
-    // Lazy loading for event previews
-    setupLazyLoading() {
-        this.lazyLoadObserver = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    this.loadEventPreview(entry.target);
-                }
-            });
-        }, {
-            rootMargin: '50px',
-            threshold: 0.1
-        });
+    createYearLegend() {
+        const legend = document.createElement('div');
+        legend.className = 'year-legend';
+        legend.setAttribute('aria-hidden', 'true');
+        legend.appendChild(Object.assign(document.createElement('span'), { textContent: I18n.t('year.less') }));
+        
+        for (let level = 0; level <= this.yearHeatmapThresholds.length; level++) {
+            legend.appendChild(Object.assign(document.createElement('span'), { className: `year-day heat-${level}` }));
+        }
+        
+        legend.appendChild(Object.assign(document.createElement('span'), { textContent: I18n.t('year.more') }));
+        legend.appendChild(Object.assign(document.createElement('span'), { className: 'year-day holiday' }));
+        legend.appendChild(Object.assign(document.createElement('span'), { textContent: I18n.t('year.holiday') }));
+        
+        return legend;
     },
     
-    loadEventPreview(element) {
-        if (element.dataset.loaded === 'true') return;
+    // Jump the month grid to a month picked in the year overview, highlighting the day if given
+    openMonthFromYearView(year, month, day = null) {
+        this.currentDate = new Date(year, month, 1);
+        this.currentView = 'month';
+        this.renderCalendar();
         
-        // Load preview content lazily
-        const eventId = element.dataset.eventId;
-        if (eventId) {
-            const event = this.eventManager.getById(eventId);
-            if (event) {
-                const preview = element.querySelector('.event-preview');
-                if (preview) {
-                    preview.innerHTML = this.createEventPreviewHTML([event]);
-                    element.dataset.loaded = 'true';
-                }
+        if (day !== null) {
+            const dateElement = document.querySelector(
+                `.calendar-date[data-day="${day}"][data-month="${month}"][data-year="${year}"]`
+            );
+            if (dateElement) {
+                this.highlightSelectedDate(dateElement);
+                this.selectedDate = { year, month, day, element: dateElement };
+                dateElement.focus();
             }
         }
     },
     
-    // Setup loading states for better UX
-    setupLoadingStates() {
-        this.showLoading = (element = null) => {
-            const target = element || document.querySelector('.calendar-container');
-            if (target && !target.classList.contains('calendar-loading')) {
-                target.classList.add('calendar-loading');
-            }
-        };
+    // Agenda view: chronological list of events grouped by day, loaded in steps while scrolling
+    renderAgendaView() {
+        const container = document.getElementById('agenda-view');
+        if (!container) return;
         
-        this.hideLoading = (element = null) => {
-            const target = element || document.querySelector('.calendar-container');
-            if (target) {
-                target.classList.remove('calendar-loading');
-            }
+        const startDate = DateUtils.formatDateObject(this.currentDate);
+        const monthYearElement = document.getElementById('current-month-year');
+        if (monthYearElement) {
+            monthYearElement.textContent = I18n.t('agenda.from', { date: I18n.formatDate(startDate) });
+        }
+        
+        // Re-rendering the same list (e.g. after an edit) keeps the loaded range and scroll position
+        const previous = this.agenda && this.agenda.startDate === startDate ? this.agenda : null;
+        const previousScroll = previous && previous.scrollElement ? previous.scrollElement.scrollTop : 0;
+        
+        // Load up to the last event (a day further, as converting it to the viewer's zone can move it);
+        // series repeating without end keep the list loading
+        const lastDate = this.eventManager.getLastEventDate();
+        
+        const scrollElement = document.createElement('div');
+        scrollElement.className = 'agenda-scroll';
+        
+        const spacer = document.createElement('div');
+        spacer.className = 'agenda-spacer';
+        spacer.setAttribute('role', 'list');
+        scrollElement.appendChild(spacer);
+        
+        const status = document.createElement('div');
+        status.className = 'agenda-status';
+        scrollElement.appendChild(status);
+        
+        this.agenda = {
+            startDate,
+            loadedUntil: DateUtils.addDays(startDate, -1),
+            rows: [],
+            offsets: [],
+            totalHeight: 0,
+            loadUntil: lastDate ? DateUtils.addDays(lastDate, 1) : lastDate,
+            exhausted: lastDate === '',
+            renderedRange: null,
+            scrollElement,
+            spacer,
+            status
         };
+        
+        while (container.firstChild) {
+            container.removeChild(container.firstChild);
+        }
+        container.appendChild(scrollElement);
+        
+        scrollElement.addEventListener('scroll', () => {
+            if (this.agenda.scrollFrame) return;
+            this.agenda.scrollFrame = requestAnimationFrame(() => {
+                this.agenda.scrollFrame = null;
+                this.updateAgendaWindow();
+            });
+        });
+        
+        this.loadMoreAgendaRows(previous ? previous.loadedUntil : null);
+        scrollElement.scrollTop = previousScroll;
+        this.updateAgendaWindow();
     },
     
-    // Setup smooth transitions and micro-interactions
-    setupSmoothTransitions() {
-        // Add intersection observer for smooth animations
-        if ('IntersectionObserver' in window) {
-            const observerOptions = {
-                root: null,
-                rootMargin: '0px',
-                threshold: 0.1
-            };
+    // Load further days into the agenda; untilDate forces loading at least up to that date
+    loadMoreAgendaRows(untilDate = null) {
+        const agenda = this.agenda;
+        const { loadDays } = this.virtualScrolling;
+        const wanted = this.getAgendaVisibleItems();
+        let added = 0;
+        
+        while (!agenda.exhausted && (added < wanted || (untilDate && agenda.loadedUntil < untilDate))) {
+            const from = DateUtils.addDays(agenda.loadedUntil, 1);
+            const to = DateUtils.addDays(from, loadDays - 1);
+            const eventsByDate = this.eventManager.getEventsByDateMap(from, to);
+            const rowCount = agenda.rows.length;
             
-            this.animationObserver = new IntersectionObserver((entries) => {
-                entries.forEach(entry => {
-                    if (entry.isIntersecting) {
-                        entry.target.classList.add('animate-in');
-                    }
-                });
-            }, observerOptions);
+            eventsByDate.forEach((events, dateKey) => {
+                // Multi-day events are listed once, on their first day (or the first day of the list)
+                const listed = events.filter(event => event.date === dateKey || dateKey === agenda.startDate);
+                if (listed.length === 0) return;
+                
+                this.addAgendaRow({ type: 'day', dateKey });
+                listed.forEach(event => this.addAgendaRow({ type: 'event', dateKey, event }));
+            });
+            
+            agenda.loadedUntil = to;
+            added += agenda.rows.length - rowCount;
+            agenda.exhausted = agenda.loadUntil !== null && to >= agenda.loadUntil;
         }
         
-        // Enhanced date selection with feedback
-        this.originalSelectDate = this.selectDate;
-        this.selectDate = (dateElement, date) => {
-            // Add visual feedback before selection
-            if (dateElement) {
-                dateElement.style.transform = 'scale(0.95)';
-                setTimeout(() => {
-                    dateElement.style.transform = '';
-                    this.originalSelectDate.call(this, dateElement, date);
-                }, 100);
-            } else {
-                this.originalSelectDate.call(this, dateElement, date);
-            }
-        };
+        agenda.spacer.style.height = `${agenda.totalHeight}px`;
+        agenda.status.textContent = agenda.exhausted
+            ? I18n.t(agenda.rows.length === 0 ? 'agenda.empty' : 'agenda.end')
+            : I18n.t('agenda.loading');
+    },
+    
+    addAgendaRow(row) {
+        const { itemHeight, headerHeight } = this.virtualScrolling;
+        const height = row.type === 'day' ? headerHeight : itemHeight;
+        
+        this.agenda.rows.push(row);
+        this.agenda.offsets.push(this.agenda.totalHeight);
+        this.agenda.totalHeight += height;
+    },
+    
+    getAgendaVisibleItems() {
+        const { itemHeight, containerHeight } = this.virtualScrolling;
+        const measuredHeight = this.agenda && this.agenda.scrollElement.clientHeight;
+        
+        this.virtualScrolling.visibleItems = Math.ceil((measuredHeight || containerHeight) / itemHeight);
+        return this.virtualScrolling.visibleItems;
     },
     
-    // Set up global event listeners
-    setupEventListeners() {
-        // DOM content loaded listener
-        document.addEventListener('DOMContentLoaded', () => {
-            console.log('DOM loaded');
-        });
+    // Render only the rows around the viewport and load more when nearing the end
+    updateAgendaWindow() {
+        const agenda = this.agenda;
+        if (!agenda) return;
         
-        // Month navigation buttons
-        const prevButton = document.getElementById('prev-month');
-        const nextButton = document.getElementById('next-month');
+        const { overscan, containerHeight } = this.virtualScrolling;
+        const scrollTop = agenda.scrollElement.scrollTop;
+        const viewportHeight = agenda.scrollElement.clientHeight || containerHeight;
         
-        if (prevButton) {
-            prevButton.addEventListener('click', () => {
-                this.navigateToPreviousMonth();
-            });
+        if (!agenda.exhausted && scrollTop + viewportHeight >= agenda.totalHeight - viewportHeight) {
+            this.loadMoreAgendaRows();
         }
         
-        if (nextButton) {
-            nextButton.addEventListener('click', () => {
-                this.navigateToNextMonth();
-            });
+        const first = Math.max(0, this.findAgendaRowAt(scrollTop) - overscan);
+        const last = Math.min(agenda.rows.length, first + this.getAgendaVisibleItems() + overscan * 2);
+        
+        if (agenda.renderedRange && agenda.renderedRange.first === first && agenda.renderedRange.last === last) {
+            return;
         }
+        agenda.renderedRange = { first, last };
         
-        // Today button
-        const todayButton = document.getElementById('today-button');
-        if (todayButton) {
-            todayButton.addEventListener('click', () => {
-                this.navigateToToday();
-            });
+        const fragment = document.createDocumentFragment();
+        for (let index = first; index < last; index++) {
+            const element = this.createAgendaRowElement(agenda.rows[index]);
+            element.style.top = `${agenda.offsets[index]}px`;
+            fragment.appendChild(element);
         }
         
-        // Keyboard navigation
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape') {
-                this.closeModal();
-            } else if (e.key === 'ArrowLeft' && e.ctrlKey) {
-                this.navigateToPreviousMonth();
-            } else if (e.key === 'ArrowRight' && e.ctrlKey) {
-                this.navigateToNextMonth();
-            }
-        });
+        while (agenda.spacer.firstChild) {
+            agenda.spacer.removeChild(agenda.spacer.firstChild);
+        }
+        agenda.spacer.appendChild(fragment);
+    },
+    
+    // Binary search for the row at a scroll offset
+    findAgendaRowAt(offset) {
+        const offsets = this.agenda.offsets;
+        let low = 0;
+        let high = offsets.length - 1;
         
-        // Modal overlay click to close
-        const modalOverlay = document.getElementById('modal-overlay');
-        if (modalOverlay) {
-            modalOverlay.addEventListener('click', (e) => {
-                if (e.target === modalOverlay) {
-                    this.closeModal();
-                }
-            });
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (offsets[middle] <= offset) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
         }
+        
+        return low;
     },
     
-    // Modal management functions
-    showModal(content) {
-        const modalOverlay = document.getElementById('modal-overlay');
-        const modal = modalOverlay.querySelector('.modal');
+    createAgendaRowElement(row) {
+        const element = document.createElement('div');
+        element.setAttribute('role', 'listitem');
         
-        modal.innerHTML = content;
-        modalOverlay.classList.remove('hidden');
+        if (row.type === 'day') {
+            element.className = 'agenda-day-header';
+            element.classList.toggle('today', row.dateKey === DateUtils.formatDateObject(new Date()));
+            element.textContent = I18n.formatDate(row.dateKey, 'full');
+            return element;
+        }
         
-        // Focus management for accessibility
-        const firstFocusable = modal.querySelector('input, button, textarea, select');
-        if (firstFocusable) {
-            firstFocusable.focus();
+        const { event } = row;
+        element.className = `agenda-event ${event.category}`;
+        element.classList.toggle('recurring', event.isOccurrence());
+        element.dataset.eventId = event.id;
+        if (event.isOccurrence()) {
+            element.dataset.recurrenceId = event.recurrenceId;
         }
+        element.setAttribute('tabindex', '0');
+        element.setAttribute('aria-label', this.formatEventTooltip(event));
+        
+        const time = document.createElement('span');
+        time.className = 'agenda-event-time';
+        time.textContent = event.getDisplayTime() || I18n.t('event.allDay');
+        
+        const title = document.createElement('span');
+        title.className = 'agenda-event-title';
+        title.textContent = event.title;
+        
+        const category = document.createElement('span');
+        category.className = 'agenda-event-category';
+        category.textContent = I18n.t(`category.${event.category}`);
+        
+        element.append(time, title, category);
+        
+        element.addEventListener('click', this.handleEventItemClickOptimized.bind(this));
+        element.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                this.handleEventItemClickOptimized(e);
+            }
+        });
+        
+        return element;
     },
     
-    closeModal() {
-        const modalOverlay = document.getElementById('modal-overlay');
-        modalOverlay.classList.add('hidden');
+    // Open the day view for a date (e.g. when its day number is clicked)
+    openDayView(dateObj) {
+        this.currentDate = new Date(dateObj.year, dateObj.month, dateObj.day);
+        this.selectedDate = null;
+        this.currentView = 'day';
+        this.renderCalendar();
     },
     
-    // Navigation methods
-    navigateToPreviousMonth() {
-        const currentYear = this.currentDate.getFullYear();
-        const currentMonth = this.currentDate.getMonth();
-        const prevMonth = DateUtils.getPreviousMonth(currentYear, currentMonth);
-        
-        this.currentDate = new Date(prevMonth.year, prevMonth.month, 1);
+    // Open the week view at the week containing a date (e.g. when a week number is clicked)
+    openWeekView(dateObj) {
+        this.currentDate = new Date(dateObj.year, dateObj.month, dateObj.day);
+        this.selectedDate = null;
+        this.currentView = 'week';
         this.renderCalendar();
     },
     
-    navigateToNextMonth() {
-        const currentYear = this.currentDate.getFullYear();
-        const currentMonth = this.currentDate.getMonth();
-        const nextMonth = DateUtils.getNextMonth(currentYear, currentMonth);
+    // Render an hourly time grid for one or more consecutive days
+    renderTimeGrid(dates) {
+        const container = document.getElementById('time-grid-view');
+        if (!container) return;
+        
+        const { hourHeight, scrollToHour } = this.timeGrid;
+        const previousBody = container.querySelector('.time-grid-body');
+        const previousScroll = previousBody ? previousBody.scrollTop : null;
+        const eventsByDate = this.eventManager.getEventsByDateMap(dates[0], dates[dates.length - 1]);
+        const todayKey = DateUtils.formatDateObject(new Date());
+        
+        const grid = document.createElement('div');
+        grid.className = 'time-grid';
+        grid.style.setProperty('--day-count', dates.length);
+        grid.style.setProperty('--hour-height', `${hourHeight}px`);
+        
+        // Day headers
+        const header = document.createElement('div');
+        header.className = 'time-grid-header';
+        header.appendChild(Object.assign(document.createElement('div'), { className: 'time-grid-corner' }));
+        
+        // All-day strip
+        const allDayRow = document.createElement('div');
+        allDayRow.className = 'time-grid-allday';
+        allDayRow.appendChild(Object.assign(document.createElement('div'), {
+            className: 'time-grid-allday-label',
+            textContent: I18n.t('event.allDay')
+        }));
+        
+        // Scrollable hour area
+        const body = document.createElement('div');
+        body.className = 'time-grid-body';
+        
+        const hourLabels = document.createElement('div');
+        hourLabels.className = 'time-grid-hours';
+        for (let hour = 0; hour < 24; hour++) {
+            const label = document.createElement('div');
+            label.className = 'time-grid-hour-label';
+            label.textContent = DateUtils.minutesToTime(hour * 60);
+            hourLabels.appendChild(label);
+        }
+        body.appendChild(hourLabels);
+        
+        dates.forEach(dateKey => {
+            const { day } = DateUtils.parseDate(dateKey);
+            const weekday = DateUtils.getWeekday(dateKey);
+            const dayEvents = eventsByDate.get(dateKey) || [];
+            const allDayEvents = dayEvents.filter(event => this.isAllDayInTimeGrid(event));
+            const timedEvents = dayEvents.filter(event => !this.isAllDayInTimeGrid(event));
+            
+            const dayHeader = document.createElement('div');
+            dayHeader.className = 'time-grid-day-header';
+            dayHeader.classList.toggle('today', dateKey === todayKey);
+            dayHeader.classList.toggle('saturday', weekday === 5);
+            dayHeader.classList.toggle('sunday', weekday === 6);
+            dayHeader.setAttribute('role', 'columnheader');
+            dayHeader.setAttribute('aria-label', I18n.formatDate(dateKey));
+            dayHeader.innerHTML = `
+                <span class="time-grid-weekday">${DateUtils.getWeekdayShortName(weekday)}</span>
+                <span class="time-grid-day-number">${day}</span>
+            `;
+            header.appendChild(dayHeader);
+            
+            const allDayCell = document.createElement('div');
+            allDayCell.className = 'time-grid-allday-cell';
+            allDayEvents.forEach(event => allDayCell.appendChild(this.createEventMiniItem(event)));
+            allDayRow.appendChild(allDayCell);
+            
+            body.appendChild(this.createTimeGridColumn(dateKey, timedEvents, dateKey === todayKey));
+        });
         
-        this.currentDate = new Date(nextMonth.year, nextMonth.month, 1);
-        this.renderCalendar();
+        grid.append(header, allDayRow, body);
+        
+        while (container.firstChild) {
+            container.removeChild(container.firstChild);
+        }
+        container.appendChild(grid);
+        
+        body.scrollTop = previousScroll !== null ? previousScroll : scrollToHour * hourHeight;
+        
+        this.nowLineDate = todayKey;
+        this.updateNowLine();
+        this.startNowLineTimer();
     },
     
-    // Navigate to today's date
-    navigateToToday() {
-        const today = new Date();
-        this.currentDate = new Date(today.getFullYear(), today.getMonth(), 1);
-        this.renderCalendar();
+    // Keep the "now" line current; re-render once the date changes at midnight
+    startNowLineTimer() {
+        if (this.nowLineInterval) return;
         
-        // Optional: Scroll to and highlight today's date after rendering
-        setTimeout(() => {
-            const todayElement = document.querySelector('.calendar-date.today');
-            if (todayElement) {
-                todayElement.scrollIntoView({ 
-                    behavior: 'smooth', 
-                    block: 'center' 
-                });
-                // Brief highlight animation
-                todayElement.style.animation = 'selectedPulse 1s ease-out';
-                setTimeout(() => {
-                    todayElement.style.animation = '';
-                }, 1000);
+        this.nowLineInterval = setInterval(() => {
+            if (DateUtils.formatDateObject(new Date()) !== this.nowLineDate) {
+                this.renderCalendar();
+            } else {
+                this.updateNowLine();
             }
-        }, 100);
+        }, 60 * 1000);
     },
     
-    // Calendar rendering
-    renderCalendar() {
-        // Show loading state
-        if (this.showLoading) {
-            this.showLoading();
+    stopNowLineTimer() {
+        if (this.nowLineInterval) {
+            clearInterval(this.nowLineInterval);
+            this.nowLineInterval = null;
         }
+    },
+    
+    updateNowLine() {
+        const now = new Date();
+        const top = (now.getHours() * 60 + now.getMinutes()) / 60 * this.timeGrid.hourHeight;
         
-        const currentYear = this.currentDate.getFullYear();
-        const currentMonth = this.currentDate.getMonth();
-        
-        // Update month/year display
-        this.updateMonthYearDisplay(currentYear, currentMonth);
-        
-        // Generate calendar data
-        const calendarData = DateUtils.generateCalendarData(currentYear, currentMonth);
-        
-        // Render calendar dates
-        this.renderCalendarDates(calendarData);
-        
-        // Hide loading state after rendering
-        requestAnimationFrame(() => {
-            if (this.hideLoading) {
-                this.hideLoading();
-            }
+        document.querySelectorAll('.time-grid-now-line').forEach(line => {
+            line.style.top = `${top}px`;
         });
     },
     
-    updateMonthYearDisplay(year, month) {
-        const monthYearElement = document.getElementById('current-month-year');
-        if (monthYearElement) {
-            const monthName = DateUtils.getMonthName(month);
-            monthYearElement.textContent = `${monthName} ${year}`;
-        }
+    // All-day events and events lasting a full day or longer go into the all-day strip
+    isAllDayInTimeGrid(event) {
+        return event.isAllDay() || (event.isMultiDay() && event.getDurationInMinutes() >= 24 * 60);
     },
     
-    renderCalendarDates(calendarData) {
-        const calendarDatesContainer = this.cachedElements?.calendarDates || document.getElementById('calendar-dates');
-        if (!calendarDatesContainer) return;
+    createTimeGridColumn(dateKey, events, isToday) {
+        const { hourHeight, snapMinutes } = this.timeGrid;
+        const column = document.createElement('div');
+        column.className = 'time-grid-column';
+        column.classList.toggle('today', isToday);
+        column.dataset.date = dateKey;
+        column.setAttribute('role', 'gridcell');
         
-        // Use document fragment for batch DOM updates
-        const fragment = document.createDocumentFragment();
+        const segments = this.layoutTimeSegments(events.map(event => this.getTimeSegment(event, dateKey)));
         
-        // Clear existing dates efficiently
-        while (calendarDatesContainer.firstChild) {
-            calendarDatesContainer.removeChild(calendarDatesContainer.firstChild);
+        segments.forEach(segment => {
+            column.appendChild(this.createTimeGridEventElement(segment));
+        });
+        
+        if (isToday) {
+            const nowLine = document.createElement('div');
+            nowLine.className = 'time-grid-now-line';
+            nowLine.setAttribute('aria-hidden', 'true');
+            column.appendChild(nowLine);
         }
         
-        // Render each week with performance optimization
-        calendarData.forEach(week => {
-            week.forEach(dateObj => {
-                const dateElement = this.createOptimizedDateElement(dateObj);
-                fragment.appendChild(dateElement);
+        // Clicking an empty slot creates an event at that time
+        column.addEventListener('click', (e) => {
+            if (e.target !== column || this.suppressTimeGridClick) return;
+            
+            const offset = e.clientY - column.getBoundingClientRect().top;
+            const minutes = Math.floor(offset / hourHeight * 60 / snapMinutes) * snapMinutes;
+            const startMinutes = Math.min(Math.max(minutes, 0), 24 * 60 - snapMinutes);
+            const endMinutes = Math.min(startMinutes + this.timeGrid.defaultDurationMinutes, 24 * 60 - 1);
+            const { year, month, day } = DateUtils.parseDate(dateKey);
+            
+            this.showEventCreationModal({ year, month, day }, {
+                startTime: DateUtils.minutesToTime(startMinutes),
+                endTime: DateUtils.minutesToTime(endMinutes)
             });
         });
         
-        // Single DOM update
-        calendarDatesContainer.appendChild(fragment);
+        return column;
     },
     
-    createOptimizedDateElement(dateObj) {
-        // Use cached element creation for performance
-        const dateElement = document.createElement('div');
-        dateElement.className = this.classNames.calendarDate;
-        
-        // Create separate element for the date number
-        const dateNumber = document.createElement('span');
-        dateNumber.className = 'calendar-date-number';
-        dateNumber.textContent = dateObj.day;
-        dateElement.appendChild(dateNumber);
-        
-        // Apply classes efficiently
-        if (!dateObj.isCurrentMonth) {
-            dateElement.classList.add(this.classNames.otherMonth);
-        }
+    // Get the part of an event that falls on a given day, in minutes since midnight
+    getTimeSegment(event, dateKey) {
+        const start = dateKey === event.date ? DateUtils.timeToMinutes(event.startTime) : 0;
+        let end = 24 * 60;
         
-        if (dateObj.isToday) {
-            dateElement.classList.add(this.classNames.today);
+        if (dateKey === event.getEndDate()) {
+            end = event.endTime
+                ? DateUtils.timeToMinutes(event.endTime)
+                : start + this.timeGrid.defaultDurationMinutes;
         }
         
-        // Add weekday-specific classes
-        if (dateObj.dayOfWeek !== undefined) {
-            if (dateObj.dayOfWeek === 5) { // Saturday (5 in Monday=0 system)
-                dateElement.classList.add('saturday');
-            } else if (dateObj.dayOfWeek === 6) { // Sunday (6 in Monday=0 system)
-                dateElement.classList.add('sunday');
-            }
-        }
+        return {
+            event,
+            start,
+            end: Math.min(24 * 60, Math.max(end, start + this.timeGrid.snapMinutes)),
+            continuesBefore: dateKey !== event.date,
+            continuesAfter: dateKey !== event.getEndDate()
+        };
+    },
+    
+    // Lay out overlapping segments side by side; adds column and columnCount to each segment
+    layoutTimeSegments(segments) {
+        const sorted = [...segments].sort((a, b) => a.start - b.start || b.end - a.end);
+        let cluster = [];
+        let columnEnds = [];
+        let clusterEnd = -1;
         
-        // Check for holidays
-        const date = new Date(dateObj.year, dateObj.month, dateObj.day);
-        const holiday = AustrianHolidays.isHoliday(date);
+        const finishCluster = () => {
+            cluster.forEach(segment => {
+                segment.columnCount = columnEnds.length;
+            });
+            cluster = [];
+            columnEnds = [];
+        };
         
-        if (holiday) {
-            dateElement.classList.add('holiday');
-            dateElement.classList.add(`holiday-${holiday.type}`); // holiday-fixed or holiday-variable
-            dateElement.setAttribute('data-holiday', holiday.name);
-            dateElement.setAttribute('title', holiday.name);
+        sorted.forEach(segment => {
+            // A segment starting after everything in the cluster has ended starts a new cluster
+            if (segment.start >= clusterEnd) {
+                finishCluster();
+            }
             
-            // Add holiday name display
-            this.addHolidayDisplay(dateElement, holiday);
-        }
+            let column = columnEnds.findIndex(end => end <= segment.start);
+            if (column === -1) {
+                column = columnEnds.length;
+            }
+            columnEnds[column] = segment.end;
+            
+            segment.column = column;
+            cluster.push(segment);
+            clusterEnd = Math.max(clusterEnd, segment.end);
+        });
+        finishCluster();
         
-        // Check for events and add display (optimized)
-        const dateKey = DateUtils.formatDate(dateObj.year, dateObj.month, dateObj.day);
-        const events = this.eventManager.getByDate(dateKey);
+        return sorted;
+    },
+    
+    createTimeGridEventElement(segment) {
+        const { event, start, end, column, columnCount } = segment;
+        const { hourHeight } = this.timeGrid;
+        
+        const element = document.createElement('div');
+        element.className = `time-grid-event ${event.category}`;
+        element.classList.toggle('continues-before', segment.continuesBefore);
+        element.classList.toggle('continues-after', segment.continuesAfter);
+        element.classList.toggle('recurring', event.isOccurrence());
+        element.dataset.eventId = event.id;
+        if (event.isOccurrence()) {
+            element.dataset.recurrenceId = event.recurrenceId;
+        }
+        
+        Object.assign(element.style, {
+            top: `${start / 60 * hourHeight}px`,
+            height: `${(end - start) / 60 * hourHeight}px`,
+            left: `calc(${column / columnCount * 100}% + 2px)`,
+            width: `calc(${100 / columnCount}% - 4px)`
+        });
         
-        if (events.length > 0) {
-            dateElement.classList.add(this.classNames.hasEvents);
-            this.addOptimizedEventDisplay(dateElement, events);
-        }
+        const time = document.createElement('span');
+        time.className = 'time-grid-event-time';
+        time.textContent = event.getDisplayTime();
         
-        // Store data efficiently
-        Object.assign(dateElement.dataset, {
-            year: dateObj.year,
-            month: dateObj.month,
-            day: dateObj.day,
-            isCurrentMonth: dateObj.isCurrentMonth
-        });
+        const title = document.createElement('span');
+        title.className = 'time-grid-event-title';
+        title.textContent = event.title;
         
-        // Add ARIA attributes
-        const formattedDate = DateUtils.formatDate(dateObj.year, dateObj.month, dateObj.day);
-        let ariaLabel = `${dateObj.day} ${DateUtils.getMonthName(dateObj.month)} ${dateObj.year}`;
+        element.append(time, title);
+        element.title = this.formatEventTooltip(event);
+        element.setAttribute('role', 'button');
+        element.setAttribute('tabindex', '0');
+        element.setAttribute('aria-label', this.formatEventTooltip(event));
         
-        // Add holiday information to ARIA label
-        if (holiday) {
-            ariaLabel += `, Feiertag: ${holiday.name}`;
+        // The body moves the start time (only where the event starts), the bottom edge resizes it
+        element.classList.toggle('movable', !segment.continuesBefore);
+        if (!segment.continuesAfter) {
+            const resizeHandle = document.createElement('div');
+            resizeHandle.className = 'time-grid-event-resize';
+            resizeHandle.setAttribute('aria-hidden', 'true');
+            element.appendChild(resizeHandle);
         }
+        element.addEventListener('pointerdown', (e) => this.startTimeGridDrag(e, segment, element));
         
-        dateElement.setAttribute('role', 'gridcell');
-        dateElement.setAttribute('aria-label', ariaLabel);
-        dateElement.setAttribute('tabindex', dateObj.isCurrentMonth ? '0' : '-1');
-        
-        // Add event listeners with delegation optimization
-        dateElement.addEventListener('click', this.handleDateClickOptimized.bind(this));
-        dateElement.addEventListener('keydown', this.handleDateKeydownOptimized.bind(this));
+        element.addEventListener('click', (e) => {
+            if (this.suppressTimeGridClick) {
+                e.stopPropagation();
+                return;
+            }
+            this.handleEventItemClickOptimized(e);
+        });
+        element.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                this.handleEventItemClickOptimized(e);
+            }
+        });
         
-        return dateElement;
+        return element;
     },
     
-    addHolidayDisplay(dateElement, holiday) {
-        // Create holiday indicator
-        const holidayIndicator = document.createElement('div');
-        holidayIndicator.className = 'holiday-indicator';
+    // Drag an event's body to change its start time or its bottom edge to change its end time
+    startTimeGridDrag(e, segment, element) {
+        if (e.button !== 0 || this.timeGridDrag) return;
         
-        // Add holiday name (shortened for space)
-        const holidayName = document.createElement('div');
-        holidayName.className = 'holiday-name';
-        holidayName.textContent = this.shortenHolidayName(holiday.name);
-        holidayName.setAttribute('title', holiday.name); // Full name on hover
+        const mode = e.target.classList.contains('time-grid-event-resize') ? 'resize' : 'move';
+        if (mode === 'move' && segment.continuesBefore) return;
         
-        holidayIndicator.appendChild(holidayName);
+        const drag = { mode, segment, element, startY: e.clientY, started: false, changes: null, error: null };
+        this.timeGridDrag = drag;
         
-        // Add visual marker
-        const marker = document.createElement('div');
-        marker.className = `holiday-marker holiday-marker-${holiday.type}`;
-        holidayIndicator.appendChild(marker);
+        if (element.setPointerCapture) {
+            element.setPointerCapture(e.pointerId);
+        }
         
-        dateElement.appendChild(holidayIndicator);
-    },
-    
-    shortenHolidayName(name) {
-        // Shorten holiday names for better display
-        const shortNames = {
-            'Neujahr': 'Neujahr',
-            'Heilige Drei Könige': 'Hl. 3 Könige',
-            'Staatsfeiertag': 'Staatsfeiertag',
-            'Mariä Himmelfahrt': 'M. Himmelfahrt',
-            'Nationalfeiertag': 'Nationalfeiertag',
-            'Allerheiligen': 'Allerheiligen',
-            'Mariä Empfängnis': 'M. Empfängnis',
-            'Christtag': 'Christtag',
-            'Stefanitag': 'Stefanitag',
-            'Karfreitag': 'Karfreitag',
-            'Ostersonntag': 'Ostersonntag',
-            'Ostermontag': 'Ostermontag',
-            'Christi Himmelfahrt': 'Chr. Himmelfahrt',
-            'Pfingstsonntag': 'Pfingstsonntag',
-            'Pfingstmontag': 'Pfingstmontag',
-            'Fronleichnam': 'Fronleichnam'
+        const handleMove = (moveEvent) => this.updateTimeGridDrag(moveEvent);
+        const handleEnd = () => {
+            element.removeEventListener('pointermove', handleMove);
+            element.removeEventListener('pointerup', handleEnd);
+            element.removeEventListener('pointercancel', handleEnd);
+            this.finishTimeGridDrag();
         };
         
-        return shortNames[name] || name;
+        element.addEventListener('pointermove', handleMove);
+        element.addEventListener('pointerup', handleEnd);
+        element.addEventListener('pointercancel', handleEnd);
     },
     
-    addOptimizedEventDisplay(dateElement, events) {
-        // Optimized event display creation
-        const indicatorsFragment = document.createDocumentFragment();
-        
-        // Add event count for many events
-        if (events.length > 3) {
-            const eventCount = document.createElement('div');
-            eventCount.className = 'event-count';
-            eventCount.textContent = events.length;
-            indicatorsFragment.appendChild(eventCount);
-        }
+    updateTimeGridDrag(e) {
+        const drag = this.timeGridDrag;
+        if (!drag) return;
         
-        // Add event indicators
-        const indicators = document.createElement('div');
-        indicators.className = 'event-indicators';
+        const { hourHeight, snapMinutes } = this.timeGrid;
+        const offset = e.clientY - drag.startY;
         
-        const categories = [...new Set(events.slice(0, 4).map(event => event.category))];
-        categories.forEach(category => {
-            const dot = document.createElement('div');
-            dot.className = `event-dot ${category}`;
-            indicators.appendChild(dot);
-        });
+        // Small movements still count as a click
+        if (!drag.started && Math.abs(offset) < 4) return;
+        drag.started = true;
         
-        indicatorsFragment.appendChild(indicators);
+        const { event, start, end } = drag.segment;
+        const offsetMinutes = offset / hourHeight * 60;
+        const snap = (minutes) => Math.round(minutes / snapMinutes) * snapMinutes;
+        let top = start;
+        let bottom = end;
         
-        // Add mini event list
-        const miniList = document.createElement('div');
-        miniList.className = 'event-mini-list';
+        if (drag.mode === 'move') {
+            top = Math.min(Math.max(snap(start + offsetMinutes), 0), 24 * 60 - snapMinutes);
+            bottom = Math.min(top + (end - start), 24 * 60);
+            drag.changes = this.getMovedEventTimes(event, top);
+        } else {
+            bottom = Math.min(Math.max(snap(end + offsetMinutes), 0), 24 * 60);
+            // The time grid ends at midnight; 24:00 is stored as the last minute of the day
+            drag.changes = { endTime: DateUtils.minutesToTime(Math.min(bottom, 24 * 60 - 1)) };
+        }
+        
+        // Reject invalid ranges while dragging, using the same rules as the event forms
+        const candidate = new Event({ ...event.toJSON(), ...drag.changes, recurrence: null });
+        const validation = candidate.validate();
+        drag.error = validation.isValid ? null : validation.errors[0];
+        
+        drag.element.classList.add('dragging');
+        drag.element.classList.toggle('invalid', Boolean(drag.error));
+        drag.element.title = drag.error || this.formatEventTooltip(candidate);
+        drag.element.style.top = `${top / 60 * hourHeight}px`;
+        drag.element.style.height = `${Math.max(bottom - top, snapMinutes) / 60 * hourHeight}px`;
+        drag.element.querySelector('.time-grid-event-time').textContent = candidate.getDisplayTime();
+    },
+    
+    // Start and end times after moving an event to a new start (keeps its duration, may run past midnight)
+    getMovedEventTimes(event, startMinutes) {
+        const changes = { startTime: DateUtils.minutesToTime(startMinutes) };
         
-        events.slice(0, 3).forEach(event => {
-            const miniItem = document.createElement('div');
-            miniItem.className = `event-mini-item ${event.category}`;
-            miniItem.textContent = event.title;
-            miniItem.title = this.formatEventTooltip(event);
-            miniItem.dataset.eventId = event.id;
-            
-            // Use event delegation for performance
-            miniItem.addEventListener('click', this.handleEventItemClickOptimized.bind(this));
+        if (event.endTime) {
+            const endMinutes = startMinutes + event.getDurationInMinutes();
+            const extraDays = Math.floor(endMinutes / (24 * 60));
             
-            miniList.appendChild(miniItem);
-        });
+            changes.endTime = DateUtils.minutesToTime(endMinutes % (24 * 60));
+            changes.endDate = extraDays > 0 ? DateUtils.addDays(event.date, extraDays) : '';
+        }
         
-        indicatorsFragment.appendChild(miniList);
+        return changes;
+    },
+    
+    finishTimeGridDrag() {
+        const drag = this.timeGridDrag;
+        this.timeGridDrag = null;
+        if (!drag || !drag.started) return;
         
-        // Add hover tooltip (lazy loaded)
-        const preview = document.createElement('div');
-        preview.className = 'event-preview';
-        preview.dataset.eventIds = events.map(e => e.id).join(',');
-        indicatorsFragment.appendChild(preview);
+        // The click that follows pointerup must not open the details or creation modal
+        this.suppressTimeGridClick = true;
+        setTimeout(() => {
+            this.suppressTimeGridClick = false;
+        }, 0);
         
-        // Observe for lazy loading
-        if (this.lazyLoadObserver) {
-            this.lazyLoadObserver.observe(preview);
-        }
+        const { event } = drag.segment;
+        const unchanged = !drag.changes || Object.keys(drag.changes).every(field => drag.changes[field] === event[field]);
         
-        dateElement.appendChild(indicatorsFragment);
+        if (drag.error) {
+            this.showNotification(drag.error, 'error');
+            this.renderCalendar();
+        } else if (unchanged) {
+            this.renderCalendar();
+        } else {
+            const reference = { eventId: event.id, recurrenceId: event.recurrenceId };
+            this.rescheduleEvent(reference, drag.changes, (updated) => {
+                return I18n.t('event.rescheduled', { title: updated.title, time: updated.getDisplayTime() });
+            });
+        }
     },
     
     handleDateClickOptimized(event) {
@@ -1716,14 +8395,18 @@ const CalendarApp = {
         if (event.key === 'Enter' || event.key === ' ') {
             event.preventDefault();
             this.handleDateClickOptimized(event);
+        } else if (event.key === 'd' || event.key === 'D') {
+            // Keyboard equivalent of clicking the day number
+            const { year, month, day } = event.currentTarget.dataset;
+            this.openDayView({ year: parseInt(year), month: parseInt(month), day: parseInt(day) });
         }
     },
     
     handleEventItemClickOptimized(event) {
         event.stopPropagation();
-        const eventId = event.target.dataset.eventId;
+        const { eventId, recurrenceId } = event.currentTarget.dataset;
         if (eventId) {
-            this.showEventDetailsModal(eventId);
+            this.showEventDetailsModal(eventId, recurrenceId || null);
         }
     },
     
@@ -1759,7 +8442,7 @@ const CalendarApp = {
         // Add ARIA attributes for accessibility
         const formattedDate = DateUtils.formatDate(dateObj.year, dateObj.month, dateObj.day);
         dateElement.setAttribute('role', 'gridcell');
-        dateElement.setAttribute('aria-label', `${dateObj.day} ${DateUtils.getMonthName(dateObj.month)} ${dateObj.year}`);
+        dateElement.setAttribute('aria-label', I18n.formatDate(formattedDate));
         dateElement.setAttribute('tabindex', dateObj.isCurrentMonth ? '0' : '-1');
         
         // Add click event listener
@@ -1782,6 +8465,12 @@ const CalendarApp = {
     handleDateClick(event, dateObj) {
         console.log('Date clicked:', dateObj);
         
+        // Clicking the day number opens the day view
+        if (event.target.closest && event.target.closest('.calendar-date-number')) {
+            this.openDayView(dateObj);
+            return;
+        }
+        
         // If clicking on a date from another month, navigate to that month
         if (!dateObj.isCurrentMonth) {
             this.currentDate = new Date(dateObj.year, dateObj.month, 1);
@@ -1841,8 +8530,7 @@ const CalendarApp = {
         try {
             const success = await this.eventManager.restoreFromFile(file);
             if (success) {
-                // Re-render calendar to show imported events
-                this.renderCalendar();
+                this.reportStorageMigration();
                 console.log('Events imported successfully');
             }
             return success;
@@ -1852,22 +8540,98 @@ const CalendarApp = {
         }
     },
     
+    // Export events as iCalendar (.ics), optionally limited to a date range
+    exportEventsAsICS(startDate = null, endDate = null) {
+        if (this.eventManager) {
+            return this.eventManager.downloadICS(startDate, endDate);
+        }
+        console.warn('Event manager not available for export');
+        return false;
+    },
+    
+    async importICSEvents(file) {
+        if (!this.eventManager) {
+            throw new Error('Event manager not available for import');
+        }
+        
+        try {
+            const result = await this.eventManager.importFromICSFile(file);
+            
+            if (result.skipped.length > 0 || result.errors.length > 0) {
+                console.warn('Some calendar components were not imported:', result.skipped, result.errors);
+            }
+            
+            const skippedCount = result.skipped.length + result.errors.length;
+            const message = I18n.t('data.imported', { count: result.imported });
+            this.showNotification(
+                skippedCount > 0 ? I18n.t('data.skipped', { message, count: skippedCount }) : message,
+                result.errors.length > 0 ? 'error' : 'success'
+            );
+            return result;
+        } catch (error) {
+            console.error('Failed to import calendar file:', error);
+            throw error;
+        }
+    },
+    
     clearAllData() {
         if (!this.eventManager) {
             console.warn('Event manager not available');
             return false;
         }
         
-        const confirmed = confirm('Are you sure you want to clear all event data? This action cannot be undone.');
+        const confirmed = confirm(I18n.t('data.confirmClear'));
         if (confirmed) {
             this.eventManager.clear();
-            this.renderCalendar();
+            this.showUndoableNotification(I18n.t('data.cleared'), 'info');
             console.log('All event data cleared');
             return true;
         }
         return false;
     },
     
+    // Undo/redo of event changes (Ctrl+Z / Ctrl+Shift+Z)
+    undoLastChange() {
+        const label = this.eventManager.undo();
+        if (!label) {
+            this.showNotification(I18n.t('history.nothingToUndo'), 'info');
+            return false;
+        }
+        
+        this.showNotification(I18n.t('history.undone', { label }), 'info');
+        return true;
+    },
+    
+    redoLastChange() {
+        const label = this.eventManager.redo();
+        if (!label) {
+            this.showNotification(I18n.t('history.nothingToRedo'), 'info');
+            return false;
+        }
+        
+        this.showNotification(I18n.t('history.redone', { label }), 'info');
+        return true;
+    },
+    
+    // Notification with an Undo action for the change that was just made
+    showUndoableNotification(message, type = 'success') {
+        const entry = this.eventManager.history.peekUndo();
+        
+        this.showAdvancedNotification(message, type, {
+            actions: [{
+                text: I18n.t('action.undo'),
+                callback: () => {
+                    // Later changes must be undone first (e.g. with Ctrl+Z)
+                    if (this.eventManager.history.peekUndo() !== entry) {
+                        this.showNotification(I18n.t('history.undoUnavailable'), 'error');
+                        return;
+                    }
+                    this.undoLastChange();
+                }
+            }]
+        });
+    },
+    
     // Add some test events for demonstration
     addTestEvents() {
         if (!this.eventManager) return;
@@ -1909,18 +8673,25 @@ const CalendarApp = {
             }
         });
         
-        this.renderCalendar();
         console.log('Test events added successfully');
     },
     
     // Event creation modal
-    showEventCreationModal(dateObj) {
+    showEventCreationModal(dateObj, defaults = {}) {
         const formattedDate = DateUtils.formatDate(dateObj.year, dateObj.month, dateObj.day);
-        const dateDisplay = `${DateUtils.getMonthName(dateObj.month)} ${dateObj.day}, ${dateObj.year}`;
+        const dateDisplay = I18n.formatDate(formattedDate);
         
         const modalContent = this.createEventFormHTML(formattedDate, dateDisplay);
         this.showModal(modalContent);
         
+        // Prefill times, e.g. when a time slot was clicked
+        if (defaults.startTime) {
+            document.getElementById('event-start-time').value = defaults.startTime;
+        }
+        if (defaults.endTime) {
+            document.getElementById('event-end-time').value = defaults.endTime;
+        }
+        
         // Setup form event listeners
         this.setupEventFormListeners();
     },
@@ -1928,63 +8699,70 @@ const CalendarApp = {
     createEventFormHTML(dateValue, dateDisplay) {
         return `
             <div class="modal-header">
-                <h3 class="modal-title">Create New Event</h3>
-                <button type="button" class="modal-close" aria-label="Close modal">&times;</button>
+                <h3 class="modal-title">${I18n.t('form.createTitle')}</h3>
+                <button type="button" class="modal-close" aria-label="${I18n.t('action.closeModal')}">&times;</button>
             </div>
             
             <form class="event-form" id="event-form" novalidate>
-                <div class="form-group">
-                    <label for="event-date" class="form-label">Date</label>
-                    <input type="date" id="event-date" name="date" class="form-input" 
-                           value="${dateValue}" required>
-                    <div class="form-error" id="date-error"></div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="event-date" class="form-label">${I18n.t('form.date')}</label>
+                        <input type="date" id="event-date" name="date" class="form-input" 
+                               value="${dateValue}" required>
+                        <div class="form-error" id="date-error"></div>
+                    </div>
+                    
+                    <div class="form-group">
+                        <label for="event-end-date" class="form-label">${I18n.t('form.endDate')}</label>
+                        <input type="date" id="event-end-date" name="endDate" class="form-input" 
+                               min="${dateValue}">
+                        <div class="form-error" id="end-date-error"></div>
+                    </div>
                 </div>
                 
                 <div class="form-group">
-                    <label for="event-title" class="form-label">Event Title *</label>
+                    <label for="event-title" class="form-label">${I18n.t('form.title')}</label>
                     <input type="text" id="event-title" name="title" class="form-input" 
-                           placeholder="Enter event title" required maxlength="100">
+                           placeholder="${I18n.t('form.titlePlaceholder')}" required maxlength="100">
                     <div class="form-error" id="title-error"></div>
                 </div>
                 
                 <div class="form-group">
-                    <label for="event-description" class="form-label">Description</label>
+                    <label for="event-description" class="form-label">${I18n.t('form.description')}</label>
                     <textarea id="event-description" name="description" class="form-textarea" 
-                              placeholder="Enter event description (optional)" maxlength="500"></textarea>
+                              placeholder="${I18n.t('form.descriptionPlaceholder')}" maxlength="500"></textarea>
                     <div class="form-error" id="description-error"></div>
                 </div>
                 
                 <div class="form-row">
                     <div class="form-group">
-                        <label for="event-start-time" class="form-label">Start Time</label>
+                        <label for="event-start-time" class="form-label">${I18n.t('form.startTime')}</label>
                         <input type="time" id="event-start-time" name="startTime" class="form-input">
                         <div class="form-error" id="start-time-error"></div>
                     </div>
                     
                     <div class="form-group">
-                        <label for="event-end-time" class="form-label">End Time</label>
+                        <label for="event-end-time" class="form-label">${I18n.t('form.endTime')}</label>
                         <input type="time" id="event-end-time" name="endTime" class="form-input">
                         <div class="form-error" id="end-time-error"></div>
                     </div>
                 </div>
                 
-                <div class="form-group">
-                    <label class="form-label">Category</label>
-                    <div class="category-badges">
-                        <button type="button" class="category-badge work" data-category="work">Work</button>
-                        <button type="button" class="category-badge personal selected" data-category="personal">Personal</button>
-                        <button type="button" class="category-badge health" data-category="health">Health</button>
-                        <button type="button" class="category-badge education" data-category="education">Education</button>
-                        <button type="button" class="category-badge social" data-category="social">Social</button>
-                        <button type="button" class="category-badge travel" data-category="travel">Travel</button>
-                        <button type="button" class="category-badge general" data-category="general">General</button>
-                    </div>
-                    <input type="hidden" id="event-category" name="category" value="personal">
-                </div>
+                ${this.createTimeZoneFieldHTML('', this.eventManager.viewTimeZone)}
+                
+                ${this.createRecurrenceFieldsHTML('', null)}
+                
+                ${this.createReminderFieldsHTML('', [])}
+                
+                ${this.createWorkingDaysFieldHTML('', false)}
+                
+                ${this.createAbsenceFieldsHTML('', '', '')}
+                
+                ${this.createCategoryFieldHTML('', 'personal')}
                 
                 <div class="form-actions">
-                    <button type="button" class="btn btn-outline" id="cancel-event">Cancel</button>
-                    <button type="submit" class="btn btn-primary" id="create-event">Create Event</button>
+                    <button type="button" class="btn btn-outline" id="cancel-event">${I18n.t('action.cancel')}</button>
+                    <button type="submit" class="btn btn-primary" id="create-event">${I18n.t('form.create')}</button>
                 </div>
             </form>
         `;
@@ -2030,6 +8808,8 @@ const CalendarApp = {
         
         // Real-time validation
         const titleInput = document.getElementById('event-title');
+        const dateInput = document.getElementById('event-date');
+        const endDateInput = document.getElementById('event-end-date');
         const startTimeInput = document.getElementById('event-start-time');
         const endTimeInput = document.getElementById('event-end-time');
         
@@ -2040,30 +8820,275 @@ const CalendarApp = {
         
         if (startTimeInput && endTimeInput) {
             const validateTimes = () => {
-                if (startTimeInput.value && endTimeInput.value) {
-                    this.validateTimeRange(startTimeInput.value, endTimeInput.value);
-                }
+                endDateInput.min = dateInput.value;
+                this.validateTimeRange(startTimeInput.value, endTimeInput.value, dateInput.value, endDateInput.value);
             };
             
-            startTimeInput.addEventListener('change', validateTimes);
-            endTimeInput.addEventListener('change', validateTimes);
+            [dateInput, endDateInput, startTimeInput, endTimeInput].forEach(input => {
+                input.addEventListener('change', validateTimes);
+            });
         }
         
+        this.setupRecurrenceFieldListeners('');
+        this.setupReminderFieldListeners();
+        this.setupAbsenceFieldListeners('');
+        
         // Focus on first input
         if (titleInput) {
             setTimeout(() => titleInput.focus(), 100);
         }
     },
     
+    createRecurrenceFieldsHTML(idPrefix, recurrence) {
+        const rule = recurrence || { freq: '', interval: 1, byDay: [], count: null, until: null };
+        const endType = rule.count ? 'count' : rule.until ? 'until' : 'never';
+        const frequencyOptions = [
+            ['', I18n.t('recurrence.none')],
+            ...RecurrenceRule.frequencies.map(frequency => [frequency, I18n.t(`recurrence.${frequency}`)])
+        ];
+        
+        return `
+            <div class="form-group recurrence-group" id="${idPrefix}recurrence-group">
+                <label for="${idPrefix}event-recurrence" class="form-label">${I18n.t('recurrence.label')}</label>
+                <select id="${idPrefix}event-recurrence" name="recurrenceFreq" class="form-select">
+                    ${frequencyOptions.map(([value, label]) => `
+                        <option value="${value}" ${rule.freq === value ? 'selected' : ''}>${label}</option>
+                    `).join('')}
+                </select>
+                
+                <div class="recurrence-options ${rule.freq ? '' : 'hidden'}" id="${idPrefix}recurrence-options">
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="${idPrefix}recurrence-interval" class="form-label">${I18n.t('recurrence.interval')}</label>
+                            <input type="number" id="${idPrefix}recurrence-interval" name="recurrenceInterval"
+                                   class="form-input" min="1" max="99" value="${rule.interval}">
+                        </div>
+                        
+                        <div class="form-group">
+                            <label for="${idPrefix}recurrence-end" class="form-label">${I18n.t('recurrence.ends')}</label>
+                            <select id="${idPrefix}recurrence-end" name="recurrenceEnd" class="form-select">
+                                <option value="never" ${endType === 'never' ? 'selected' : ''}>${I18n.t('recurrence.never')}</option>
+                                <option value="count" ${endType === 'count' ? 'selected' : ''}>${I18n.t('recurrence.after')}</option>
+                                <option value="until" ${endType === 'until' ? 'selected' : ''}>${I18n.t('recurrence.onDate')}</option>
+                            </select>
+                        </div>
+                    </div>
+                    
+                    <div class="recurrence-weekdays ${rule.freq === 'weekly' ? '' : 'hidden'}" id="${idPrefix}recurrence-weekdays">
+                        ${RecurrenceRule.weekdays.map((day, weekday) => `
+                            <label class="recurrence-weekday">
+                                <input type="checkbox" name="recurrenceByDay" value="${day}" ${rule.byDay.includes(day) ? 'checked' : ''}>
+                                ${DateUtils.getWeekdayShortName(weekday)}
+                            </label>
+                        `).join('')}
+                    </div>
+                    
+                    <div class="form-row">
+                        <div class="form-group ${endType === 'count' ? '' : 'hidden'}" id="${idPrefix}recurrence-count-group">
+                            <label for="${idPrefix}recurrence-count" class="form-label">${I18n.t('recurrence.count')}</label>
+                            <input type="number" id="${idPrefix}recurrence-count" name="recurrenceCount"
+                                   class="form-input" min="1" max="999" value="${rule.count || 10}">
+                        </div>
+                        
+                        <div class="form-group ${endType === 'until' ? '' : 'hidden'}" id="${idPrefix}recurrence-until-group">
+                            <label for="${idPrefix}recurrence-until" class="form-label">${I18n.t('recurrence.until')}</label>
+                            <input type="date" id="${idPrefix}recurrence-until" name="recurrenceUntil"
+                                   class="form-input" value="${rule.until || ''}">
+                        </div>
+                    </div>
+                </div>
+                <div class="form-error" id="${idPrefix}recurrence-error"></div>
+            </div>
+        `;
+    },
+    
+    setupRecurrenceFieldListeners(idPrefix) {
+        const frequencySelect = document.getElementById(`${idPrefix}event-recurrence`);
+        const endSelect = document.getElementById(`${idPrefix}recurrence-end`);
+        const scopeInputs = document.querySelectorAll('input[name="scope"]');
+        
+        const updateVisibility = () => {
+            const frequency = frequencySelect.value;
+            const endType = endSelect.value;
+            
+            document.getElementById(`${idPrefix}recurrence-options`).classList.toggle('hidden', !frequency);
+            document.getElementById(`${idPrefix}recurrence-weekdays`).classList.toggle('hidden', frequency !== 'weekly');
+            document.getElementById(`${idPrefix}recurrence-count-group`).classList.toggle('hidden', endType !== 'count');
+            document.getElementById(`${idPrefix}recurrence-until-group`).classList.toggle('hidden', endType !== 'until');
+        };
+        
+        if (frequencySelect && endSelect) {
+            frequencySelect.addEventListener('change', updateVisibility);
+            endSelect.addEventListener('change', updateVisibility);
+        }
+        
+        // Editing a single occurrence cannot change the series' repeat rule, time zone, reminders, countdown or absence
+        const updateScope = () => {
+            const checkedScope = document.querySelector('input[name="scope"]:checked');
+            [`${idPrefix}recurrence-group`, `${idPrefix}time-zone-group`, `${idPrefix}reminders-group`, `${idPrefix}working-days-group`, `${idPrefix}absence-group`].forEach(groupId => {
+                const group = document.getElementById(groupId);
+                if (checkedScope && group) {
+                    group.classList.toggle('hidden', checkedScope.value === 'occurrence');
+                }
+            });
+        };
+        
+        scopeInputs.forEach(input => input.addEventListener('change', updateScope));
+        updateScope();
+    },
+    
+    readRecurrenceFromForm(formData) {
+        const frequency = formData.get('recurrenceFreq');
+        if (!frequency) return null;
+        
+        const endType = formData.get('recurrenceEnd');
+        return {
+            freq: frequency,
+            interval: formData.get('recurrenceInterval'),
+            byDay: frequency === 'weekly' ? formData.getAll('recurrenceByDay') : [],
+            count: endType === 'count' ? formData.get('recurrenceCount') : null,
+            until: endType === 'until' ? formData.get('recurrenceUntil') : null
+        };
+    },
+    
+    // Zone the form's date and times are in; only used for events with a start time
+    createTimeZoneFieldHTML(idPrefix, timeZone) {
+        let timeZones = TimeZoneUtils.getTimeZones();
+        if (timeZone && !timeZones.includes(timeZone)) {
+            timeZones = [timeZone, ...timeZones];
+        }
+        
+        return `
+            <div class="form-group" id="${idPrefix}time-zone-group">
+                <label for="${idPrefix}event-time-zone" class="form-label">${I18n.t('timeZone.label')}</label>
+                <select id="${idPrefix}event-time-zone" name="timeZone" class="form-select">
+                    <option value="" ${timeZone ? '' : 'selected'}>${I18n.t('timeZone.floatingOption')}</option>
+                    ${timeZones.map(zone => `
+                        <option value="${zone}" ${zone === timeZone ? 'selected' : ''}>${TimeZoneUtils.formatTimeZone(zone)}</option>
+                    `).join('')}
+                </select>
+                <div class="form-error" id="${idPrefix}time-zone-error"></div>
+            </div>
+        `;
+    },
+    
+    // Reminder checkboxes: the presets plus any other offsets the event already has (e.g. from an import)
+    createReminderFieldsHTML(idPrefix, reminders) {
+        const options = Event.normalizeReminders([...Event.reminderPresets, ...reminders]);
+        
+        return `
+            <div class="form-group reminders-group" id="${idPrefix}reminders-group">
+                <label class="form-label">${I18n.t('reminders.label')}</label>
+                <div class="reminder-options">
+                    ${options.map(minutes => `
+                        <label class="reminder-option">
+                            <input type="checkbox" name="reminders" value="${minutes}" ${reminders.includes(minutes) ? 'checked' : ''}>
+                            ${Event.describeReminder(minutes)}
+                        </label>
+                    `).join('')}
+                </div>
+                <div class="form-error" id="${idPrefix}reminders-error"></div>
+            </div>
+        `;
+    },
+    
+    // Absence type and the person who is absent (people with an allowance or earlier absences are suggested)
+    createAbsenceFieldsHTML(idPrefix, absenceType, person) {
+        const escape = InputSanitizer.escapeHTML;
+        const persons = [...new Set([
+            ...Object.keys(this.getAbsenceAllowances()),
+            ...this.eventManager.getAll().filter(event => event.isAbsence()).map(event => event.person)
+        ])].sort((a, b) => a.localeCompare(b, I18n.locale));
+        
+        return `
+            <div class="form-row" id="${idPrefix}absence-group">
+                <div class="form-group">
+                    <label for="${idPrefix}event-absence-type" class="form-label">${I18n.t('form.absenceType')}</label>
+                    <select id="${idPrefix}event-absence-type" name="absenceType" class="form-select">
+                        <option value="" ${absenceType ? '' : 'selected'}>${I18n.t('absence.none')}</option>
+                        ${Event.absenceTypes.map(type => `
+                            <option value="${type}" ${type === absenceType ? 'selected' : ''}>${I18n.t(`absence.${type}`)}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                
+                <div class="form-group ${absenceType ? '' : 'hidden'}" id="${idPrefix}person-group">
+                    <label for="${idPrefix}event-person" class="form-label">${I18n.t('form.person')}</label>
+                    <input type="text" id="${idPrefix}event-person" name="person" class="form-input" maxlength="100"
+                           value="${escape(person)}" list="${idPrefix}absence-persons" placeholder="${I18n.t('form.personPlaceholder')}">
+                    <datalist id="${idPrefix}absence-persons">
+                        ${persons.map(name => `<option value="${escape(name)}">`).join('')}
+                    </datalist>
+                    <div class="form-error" id="${idPrefix}person-error"></div>
+                </div>
+            </div>
+        `;
+    },
+    
+    // The person field is only needed for absences
+    setupAbsenceFieldListeners(idPrefix) {
+        const typeSelect = document.getElementById(`${idPrefix}event-absence-type`);
+        const personGroup = document.getElementById(`${idPrefix}person-group`);
+        
+        if (typeSelect && personGroup) {
+            typeSelect.addEventListener('change', () => personGroup.classList.toggle('hidden', !typeSelect.value));
+        }
+    },
+    
+    // Opt-in working-day countdown shown in the event details (e.g. for deadlines)
+    createWorkingDaysFieldHTML(idPrefix, showWorkingDays) {
+        return `
+            <div class="form-group" id="${idPrefix}working-days-group">
+                <label class="reminder-option">
+                    <input type="checkbox" id="${idPrefix}event-show-working-days" name="showWorkingDays" ${showWorkingDays ? 'checked' : ''}>
+                    ${I18n.t('form.showWorkingDays')}
+                </label>
+            </div>
+        `;
+    },
+    
+    // Category picker shared by the create and edit forms
+    createCategoryFieldHTML(idPrefix, selectedCategory) {
+        return `
+            <div class="form-group">
+                <label class="form-label">${I18n.t('form.category')}</label>
+                <div class="category-badges">
+                    ${Event.categories.map(category => `
+                        <button type="button" class="category-badge ${category} ${category === selectedCategory ? 'selected' : ''}" data-category="${category}">${I18n.t(`category.${category}`)}</button>
+                    `).join('')}
+                </div>
+                <input type="hidden" id="${idPrefix}event-category" name="category" value="${selectedCategory}">
+            </div>
+        `;
+    },
+    
+    // Ask for permission to show system notifications when the first reminder is picked
+    setupReminderFieldListeners() {
+        document.querySelectorAll('input[name="reminders"]').forEach(input => {
+            input.addEventListener('change', () => {
+                if (input.checked && typeof Notification !== 'undefined' && Notification.permission === 'default') {
+                    Notification.requestPermission();
+                }
+            });
+        });
+    },
+    
     handleEventFormSubmission(form) {
         const formData = new FormData(form);
         const eventData = {
             title: formData.get('title').trim(),
             description: formData.get('description').trim(),
             date: formData.get('date'),
+            endDate: formData.get('endDate'),
             startTime: formData.get('startTime'),
             endTime: formData.get('endTime'),
-            category: formData.get('category')
+            timeZone: formData.get('startTime') ? formData.get('timeZone') : '', // All-day events are floating
+            category: formData.get('category'),
+            recurrence: this.readRecurrenceFromForm(formData),
+            reminders: formData.getAll('reminders').map(Number),
+            showWorkingDays: formData.has('showWorkingDays'),
+            absenceType: formData.get('absenceType'),
+            person: formData.get('absenceType') ? formData.get('person').trim() : ''
         };
         
         // Validate form data
@@ -2075,17 +9100,14 @@ const CalendarApp = {
             // Create the event
             const newEvent = this.eventManager.create(eventData);
             
-            // Close modal
+            // Close modal (the calendar re-renders on the change notification)
             this.closeModal();
             
-            // Re-render calendar to show new event
-            this.renderCalendar();
-            
             // Show success message
             console.log('Event created successfully:', newEvent);
             
             // Optional: Show success notification
-            this.showNotification('Event created successfully!', 'success');
+            this.showNotification(I18n.t('event.created'), 'success');
             
         } catch (error) {
             console.error('Failed to create event:', error);
@@ -2102,6 +9124,7 @@ const CalendarApp = {
             title: ['required', 'minLength:1', 'maxLength:100'],
             description: ['maxLength:500'],
             date: ['required', 'date'],
+            endDate: eventData.endDate ? ['date'] : [],
             startTime: eventData.startTime ? ['time'] : [],
             endTime: eventData.endTime ? ['time'] : [],
             category: ['required']
@@ -2120,18 +9143,24 @@ const CalendarApp = {
         // Display errors
         for (const [fieldName, result] of Object.entries(validation.fields)) {
             if (!result.isValid) {
-                this.showFieldError(fieldName === 'startTime' ? 'start-time' : 
-                                  fieldName === 'endTime' ? 'end-time' : fieldName, 
-                                  result.errors[0]);
+                this.showFieldError(this.getFieldErrorId(fieldName), result.errors[0]);
             }
         }
         
         // Additional custom validations
-        if (sanitizedData.startTime && sanitizedData.endTime) {
-            if (sanitizedData.startTime >= sanitizedData.endTime) {
-                this.showFieldError('end-time', 'End time must be after start time');
-                validation.isValid = false;
-            }
+        if (!this.validateTimeRange(sanitizedData.startTime, sanitizedData.endTime, sanitizedData.date, sanitizedData.endDate)) {
+            validation.isValid = false;
+        }
+        
+        const recurrenceErrors = RecurrenceRule.validate(RecurrenceRule.normalize(sanitizedData.recurrence), sanitizedData.date);
+        if (recurrenceErrors.length > 0) {
+            this.showFieldError('recurrence', recurrenceErrors[0]);
+            validation.isValid = false;
+        }
+        
+        if (sanitizedData.absenceType && !sanitizedData.person) {
+            this.showFieldError('person', I18n.t('validation.absencePerson'));
+            validation.isValid = false;
         }
         
         // Validate date is not in past (optional - can be disabled)
@@ -2141,7 +9170,7 @@ const CalendarApp = {
             today.setHours(0, 0, 0, 0);
             
             if (eventDate < today) {
-                this.showFieldError('date', 'Event date cannot be in the past');
+                this.showFieldError('date', I18n.t('validation.pastDate'));
                 validation.isValid = false;
             }
         }
@@ -2158,10 +9187,10 @@ const CalendarApp = {
         switch (fieldName) {
             case 'title':
                 if (!value || value.trim().length === 0) {
-                    this.showFieldError('title', 'Event title is required');
+                    this.showFieldError('title', I18n.t('validation.titleRequired'));
                     return false;
                 } else if (value.length > 100) {
-                    this.showFieldError('title', 'Title must be 100 characters or less');
+                    this.showFieldError('title', I18n.t('validation.titleLength'));
                     return false;
                 }
                 break;
@@ -2169,15 +9198,25 @@ const CalendarApp = {
         return true;
     },
     
-    validateTimeRange(startTime, endTime) {
-        if (startTime && endTime && startTime >= endTime) {
-            this.showFieldError('end-time', 'End time must be after start time');
+    validateTimeRange(startTime, endTime, date = '', endDate = '') {
+        const error = Event.getTimeRangeError(date, startTime, endDate, endTime);
+        const field = endDate && date && endDate < date ? 'end-date' : 'end-time';
+        
+        this.clearFieldError('end-date');
+        this.clearFieldError('end-time');
+        
+        if (error) {
+            this.showFieldError(field, error);
             return false;
         }
-        this.clearFieldError('end-time');
         return true;
     },
     
+    // Map form field names to the kebab-case IDs used by error elements
+    getFieldErrorId(fieldName) {
+        return fieldName.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+    },
+    
     showFieldError(fieldName, message) {
         const field = document.getElementById(`event-${fieldName}`);
         const errorElement = document.getElementById(`${fieldName}-error`);
@@ -2310,7 +9349,7 @@ const CalendarApp = {
             // Add click handler for event editing
             miniItem.addEventListener('click', (e) => {
                 e.stopPropagation();
-                this.showEventDetailsModal(event.id);
+                this.showEventDetailsModal(event.id, event.recurrenceId);
             });
             
             miniList.appendChild(miniItem);
@@ -2352,11 +9391,11 @@ const CalendarApp = {
         
         return `
             <div class="preview-multiple">
-                <strong>${events.length} Events</strong>
+                <strong>${I18n.t('event.count', { count: events.length })}</strong>
                 ${events.slice(0, 3).map(event => `
                     <br>• ${event.title}${event.startTime ? ` (${event.startTime})` : ''}
                 `).join('')}
-                ${events.length > 3 ? `<br>... and ${events.length - 3} more` : ''}
+                ${events.length > 3 ? `<br>${I18n.t('event.andMore', { count: events.length - 3 })}` : ''}
             </div>
         `;
     },
@@ -2393,11 +9432,13 @@ const CalendarApp = {
         return this.eventManager.getByDateRange(startDateString, endDateString);
     },
     
-    // Show event details modal with edit/delete options
-    showEventDetailsModal(eventId) {
-        const event = this.eventManager.getById(eventId);
+    // Show event details modal with edit/delete options (recurrenceId selects a single occurrence)
+    showEventDetailsModal(eventId, recurrenceId = null) {
+        const event = recurrenceId
+            ? this.eventManager.getOccurrence(eventId, recurrenceId)
+            : this.eventManager.getById(eventId);
         if (!event) {
-            this.showNotification('Event not found', 'error');
+            this.showNotification(I18n.t('event.notFound'), 'error');
             return;
         }
         
@@ -2407,59 +9448,82 @@ const CalendarApp = {
     },
     
     createEventDetailsHTML(event) {
-        const dateDisplay = new Date(event.date + 'T00:00:00').toLocaleDateString('en-US', {
-            weekday: 'long',
-            year: 'numeric',
-            month: 'long',
-            day: 'numeric'
-        });
+        // Show date and time in the viewer's zone, and the event's own time if its zone differs
+        const viewed = this.eventManager.toViewTimeZone(event);
+        const dateDisplay = viewed.isMultiDay()
+            ? I18n.formatDateRange(viewed.date, viewed.getEndDate(), 'full')
+            : I18n.formatDate(viewed.date, 'full');
+        const timeZoneDisplay = viewed !== event
+            ? `${viewed.date !== event.date ? `${I18n.formatDate(event.date, 'full')}, ` : ''}${event.getDisplayTime()} (${TimeZoneUtils.formatTimeZone(event.timeZone)})`
+            : '';
+        const escape = InputSanitizer.escapeHTML;
         
         return `
             <div class="modal-header">
-                <h3 class="modal-title">Event Details</h3>
-                <button type="button" class="modal-close" aria-label="Close modal">&times;</button>
+                <h3 class="modal-title">${I18n.t('details.title')}</h3>
+                <button type="button" class="modal-close" aria-label="${I18n.t('action.closeModal')}">&times;</button>
             </div>
             
             <div class="event-details">
                 <div class="event-detail-section">
-                    <h4>${event.title}</h4>
+                    <h4>${escape(event.title)}</h4>
                     <div class="event-meta">
-                        <span class="event-date">📅 ${dateDisplay}</span>
-                        ${event.startTime ? `<span class="event-time">🕐 ${event.getDisplayTime()}</span>` : ''}
+                        <span class="event-date">📅 ${escape(dateDisplay)}</span>
+                        ${viewed.startTime ? `<span class="event-time">🕐 ${escape(viewed.getDisplayTime())}</span>` : ''}
+                        ${timeZoneDisplay ? `<span class="event-time-zone">🌐 ${escape(timeZoneDisplay)}</span>` : ''}
+                        ${event.isRecurring() ? `<span class="event-recurrence">🔁 ${escape(RecurrenceRule.describe(event.recurrence))}</span>` : ''}
+                        ${event.reminders.length > 0 ? `<span class="event-reminders">🔔 ${escape(event.reminders.map(Event.describeReminder).join(', '))}</span>` : ''}
+                        ${event.showWorkingDays ? `<span class="event-working-days">⏳ ${escape(this.describeWorkingDaysUntil(viewed.date))}</span>` : ''}
+                        ${event.isAbsence() ? `<span class="event-absence">🌴 ${escape(this.describeAbsence(event))}</span>` : ''}
                         <span class="event-category">
-                            <span class="category-dot ${event.category}"></span>
-                            ${event.category.charAt(0).toUpperCase() + event.category.slice(1)}
+                            <span class="category-dot ${escape(event.category)}"></span>
+                            ${escape(I18n.t(`category.${event.category}`))}
                         </span>
                     </div>
                     ${event.description ? `
                         <div class="event-description">
-                            <p>${event.description}</p>
+                            <p>${escape(event.description)}</p>
                         </div>
                     ` : ''}
                 </div>
                 
                 <div class="event-timestamps">
                     <small class="text-muted">
-                        Created: ${new Date(event.createdAt).toLocaleDateString()}
+                        ${escape(I18n.t('details.created', { date: I18n.formatDateTime(event.createdAt, 'short') }))}
                         ${event.updatedAt !== event.createdAt ? 
-                            `<br>Updated: ${new Date(event.updatedAt).toLocaleDateString()}` : ''}
+                            `<br>${escape(I18n.t('details.updated', { date: I18n.formatDateTime(event.updatedAt, 'short') }))}` : ''}
                     </small>
                 </div>
             </div>
             
             <div class="form-actions">
-                <button type="button" class="btn btn-outline" id="close-details">Close</button>
-                <button type="button" class="btn btn-secondary" id="edit-event">Edit Event</button>
-                <button type="button" class="btn btn-danger" id="delete-event">Delete</button>
+                <button type="button" class="btn btn-outline" id="close-details">${I18n.t('action.close')}</button>
+                <button type="button" class="btn btn-secondary" id="edit-event">${I18n.t('details.edit')}</button>
+                ${event.isOccurrence() ? `
+                    <button type="button" class="btn btn-danger" id="delete-occurrence">${I18n.t('details.deleteOccurrence')}</button>
+                ` : ''}
+                <button type="button" class="btn btn-danger" id="delete-event">${I18n.t(event.isRecurring() ? 'details.deleteSeries' : 'action.delete')}</button>
             </div>
         `;
     },
     
+    // Working days from today until a date, e.g. "3 working days until the event"
+    describeWorkingDaysUntil(dateString) {
+        const today = DateUtils.formatDateObject(new Date());
+        if (dateString === today) return I18n.t('details.workingDaysToday');
+        
+        const count = WorkingDays.countWorkingDays(today, dateString);
+        return count >= 0
+            ? I18n.t('details.workingDaysUntil', { count })
+            : I18n.t('details.workingDaysAgo', { count: -count });
+    },
+    
     setupEventDetailsListeners(event) {
         const closeBtn = document.querySelector('.modal-close');
         const closeDetailsBtn = document.getElementById('close-details');
         const editBtn = document.getElementById('edit-event');
         const deleteBtn = document.getElementById('delete-event');
+        const deleteOccurrenceBtn = document.getElementById('delete-occurrence');
         
         // Close modal handlers
         [closeBtn, closeDetailsBtn].forEach(btn => {
@@ -2481,10 +9545,16 @@ const CalendarApp = {
                 this.confirmDeleteEvent(event);
             });
         }
+        
+        if (deleteOccurrenceBtn) {
+            deleteOccurrenceBtn.addEventListener('click', () => {
+                this.confirmDeleteOccurrence(event);
+            });
+        }
     },
     
     showEventEditModal(event) {
-        const dateDisplay = `${DateUtils.getMonthName(new Date(event.date).getMonth())} ${new Date(event.date).getDate()}, ${new Date(event.date).getFullYear()}`;
+        const dateDisplay = I18n.formatDate(event.date);
         const modalContent = this.createEventEditFormHTML(event);
         this.showModal(modalContent);
         this.setupEventEditFormListeners(event);
@@ -2493,27 +9563,36 @@ const CalendarApp = {
     createEventEditFormHTML(event) {
         return `
             <div class="modal-header">
-                <h3 class="modal-title">Edit Event</h3>
-                <button type="button" class="modal-close" aria-label="Close modal">&times;</button>
+                <h3 class="modal-title">${I18n.t('form.editTitle')}</h3>
+                <button type="button" class="modal-close" aria-label="${I18n.t('action.closeModal')}">&times;</button>
             </div>
             
             <form class="event-form" id="edit-event-form" novalidate>
-                <div class="form-group">
-                    <label for="edit-event-date" class="form-label">Date</label>
-                    <input type="date" id="edit-event-date" name="date" class="form-input" 
-                           value="${event.date}" required>
-                    <div class="form-error" id="edit-date-error"></div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="edit-event-date" class="form-label">${I18n.t('form.date')}</label>
+                        <input type="date" id="edit-event-date" name="date" class="form-input" 
+                               value="${event.date}" required>
+                        <div class="form-error" id="edit-date-error"></div>
+                    </div>
+                    
+                    <div class="form-group">
+                        <label for="edit-event-end-date" class="form-label">${I18n.t('form.endDate')}</label>
+                        <input type="date" id="edit-event-end-date" name="endDate" class="form-input" 
+                               value="${event.endDate}" min="${event.date}">
+                        <div class="form-error" id="edit-end-date-error"></div>
+                    </div>
                 </div>
                 
                 <div class="form-group">
-                    <label for="edit-event-title" class="form-label">Event Title *</label>
+                    <label for="edit-event-title" class="form-label">${I18n.t('form.title')}</label>
                     <input type="text" id="edit-event-title" name="title" class="form-input" 
                            value="${event.title}" required maxlength="100">
                     <div class="form-error" id="edit-title-error"></div>
                 </div>
                 
                 <div class="form-group">
-                    <label for="edit-event-description" class="form-label">Description</label>
+                    <label for="edit-event-description" class="form-label">${I18n.t('form.description')}</label>
                     <textarea id="edit-event-description" name="description" class="form-textarea" 
                               maxlength="500">${event.description}</textarea>
                     <div class="form-error" id="edit-description-error"></div>
@@ -2521,37 +9600,45 @@ const CalendarApp = {
                 
                 <div class="form-row">
                     <div class="form-group">
-                        <label for="edit-event-start-time" class="form-label">Start Time</label>
+                        <label for="edit-event-start-time" class="form-label">${I18n.t('form.startTime')}</label>
                         <input type="time" id="edit-event-start-time" name="startTime" 
                                class="form-input" value="${event.startTime}">
                         <div class="form-error" id="edit-start-time-error"></div>
                     </div>
                     
                     <div class="form-group">
-                        <label for="edit-event-end-time" class="form-label">End Time</label>
+                        <label for="edit-event-end-time" class="form-label">${I18n.t('form.endTime')}</label>
                         <input type="time" id="edit-event-end-time" name="endTime" 
                                class="form-input" value="${event.endTime}">
                         <div class="form-error" id="edit-end-time-error"></div>
                     </div>
                 </div>
                 
-                <div class="form-group">
-                    <label class="form-label">Category</label>
-                    <div class="category-badges">
-                        <button type="button" class="category-badge work ${event.category === 'work' ? 'selected' : ''}" data-category="work">Work</button>
-                        <button type="button" class="category-badge personal ${event.category === 'personal' ? 'selected' : ''}" data-category="personal">Personal</button>
-                        <button type="button" class="category-badge health ${event.category === 'health' ? 'selected' : ''}" data-category="health">Health</button>
-                        <button type="button" class="category-badge education ${event.category === 'education' ? 'selected' : ''}" data-category="education">Education</button>
-                        <button type="button" class="category-badge social ${event.category === 'social' ? 'selected' : ''}" data-category="social">Social</button>
-                        <button type="button" class="category-badge travel ${event.category === 'travel' ? 'selected' : ''}" data-category="travel">Travel</button>
-                        <button type="button" class="category-badge general ${event.category === 'general' ? 'selected' : ''}" data-category="general">General</button>
+                ${event.isOccurrence() ? `
+                    <div class="form-group">
+                        <label class="form-label">${I18n.t('form.scope')}</label>
+                        <div class="form-radio-group">
+                            <label><input type="radio" name="scope" value="occurrence" checked> ${I18n.t('form.scopeOccurrence')}</label>
+                            <label><input type="radio" name="scope" value="series"> ${I18n.t('form.scopeSeries')}</label>
+                        </div>
                     </div>
-                    <input type="hidden" id="edit-event-category" name="category" value="${event.category}">
-                </div>
+                ` : ''}
+                
+                ${this.createTimeZoneFieldHTML('edit-', event.timeZone)}
+                
+                ${this.createRecurrenceFieldsHTML('edit-', event.recurrence)}
+                
+                ${this.createReminderFieldsHTML('edit-', event.reminders)}
+                
+                ${this.createWorkingDaysFieldHTML('edit-', event.showWorkingDays)}
+                
+                ${this.createAbsenceFieldsHTML('edit-', event.absenceType, event.person)}
+                
+                ${this.createCategoryFieldHTML('edit-', event.category)}
                 
                 <div class="form-actions">
-                    <button type="button" class="btn btn-outline" id="cancel-edit">Cancel</button>
-                    <button type="submit" class="btn btn-primary" id="save-event">Save Changes</button>
+                    <button type="button" class="btn btn-outline" id="cancel-edit">${I18n.t('action.cancel')}</button>
+                    <button type="submit" class="btn btn-primary" id="save-event">${I18n.t('form.save')}</button>
                 </div>
             </form>
         `;
@@ -2590,6 +9677,8 @@ const CalendarApp = {
         
         // Real-time validation
         const titleInput = document.getElementById('edit-event-title');
+        const dateInput = document.getElementById('edit-event-date');
+        const endDateInput = document.getElementById('edit-event-end-date');
         const startTimeInput = document.getElementById('edit-event-start-time');
         const endTimeInput = document.getElementById('edit-event-end-time');
         
@@ -2600,15 +9689,19 @@ const CalendarApp = {
         
         if (startTimeInput && endTimeInput) {
             const validateTimes = () => {
-                if (startTimeInput.value && endTimeInput.value) {
-                    this.validateEditTimeRange(startTimeInput.value, endTimeInput.value);
-                }
+                endDateInput.min = dateInput.value;
+                this.validateEditTimeRange(startTimeInput.value, endTimeInput.value, dateInput.value, endDateInput.value);
             };
             
-            startTimeInput.addEventListener('change', validateTimes);
-            endTimeInput.addEventListener('change', validateTimes);
+            [dateInput, endDateInput, startTimeInput, endTimeInput].forEach(input => {
+                input.addEventListener('change', validateTimes);
+            });
         }
         
+        this.setupRecurrenceFieldListeners('edit-');
+        this.setupReminderFieldListeners();
+        this.setupAbsenceFieldListeners('edit-');
+        
         // Focus on title input
         if (titleInput) {
             setTimeout(() => titleInput.focus(), 100);
@@ -2621,10 +9714,22 @@ const CalendarApp = {
             title: formData.get('title').trim(),
             description: formData.get('description').trim(),
             date: formData.get('date'),
+            endDate: formData.get('endDate'),
             startTime: formData.get('startTime'),
             endTime: formData.get('endTime'),
-            category: formData.get('category')
+            timeZone: formData.get('startTime') ? formData.get('timeZone') : '', // All-day events are floating
+            category: formData.get('category'),
+            recurrence: this.readRecurrenceFromForm(formData),
+            reminders: formData.getAll('reminders').map(Number),
+            showWorkingDays: formData.has('showWorkingDays'),
+            absenceType: formData.get('absenceType'),
+            person: formData.get('absenceType') ? formData.get('person').trim() : ''
         };
+        const scope = formData.get('scope') || 'series';
+        
+        if (scope === 'occurrence') {
+            eventData.recurrence = null; // Not part of a single occurrence
+        }
         
         // Validate form data
         if (!this.validateEventEditForm(eventData)) {
@@ -2632,17 +9737,29 @@ const CalendarApp = {
         }
         
         try {
-            // Update the event
-            this.eventManager.update(originalEvent.id, eventData);
+            if (scope === 'occurrence') {
+                // Update only this occurrence of the series
+                delete eventData.recurrence;
+                this.eventManager.updateOccurrence(originalEvent.id, originalEvent.recurrenceId, eventData);
+            } else {
+                if (originalEvent.isOccurrence()) {
+                    // Moving an occurrence's date shifts the whole series by the same number of days
+                    const series = this.eventManager.getById(originalEvent.id);
+                    const shift = DateUtils.daysBetween(originalEvent.date, eventData.date);
+                    const extraDays = eventData.endDate ? DateUtils.daysBetween(eventData.date, eventData.endDate) : 0;
+                    eventData.date = DateUtils.addDays(series.date, shift);
+                    eventData.endDate = extraDays > 0 ? DateUtils.addDays(eventData.date, extraDays) : '';
+                }
+                
+                // Update the event
+                this.eventManager.update(originalEvent.id, eventData);
+            }
             
-            // Close modal
+            // Close modal (the calendar re-renders on the change notification)
             this.closeModal();
             
-            // Re-render calendar to show updated event
-            this.renderCalendar();
-            
             // Show success message
-            this.showNotification('Event updated successfully!', 'success');
+            this.showNotification(I18n.t('event.updated'), 'success');
             
         } catch (error) {
             console.error('Failed to update event:', error);
@@ -2651,14 +9768,13 @@ const CalendarApp = {
     },
     
     confirmDeleteEvent(event) {
-        const confirmed = confirm(`Are you sure you want to delete "${event.title}"? This action cannot be undone.`);
+        const confirmed = confirm(I18n.t('event.confirmDelete', { title: event.title }));
         
         if (confirmed) {
             try {
                 this.eventManager.delete(event.id);
                 this.closeModal();
-                this.renderCalendar();
-                this.showNotification('Event deleted successfully!', 'success');
+                this.showUndoableNotification(I18n.t('event.deleted'));
             } catch (error) {
                 console.error('Failed to delete event:', error);
                 this.showNotification(error.message, 'error');
@@ -2666,6 +9782,24 @@ const CalendarApp = {
         }
     },
     
+    confirmDeleteOccurrence(occurrence) {
+        const confirmed = confirm(I18n.t('event.confirmDeleteOccurrence', {
+            title: occurrence.title,
+            date: I18n.formatDate(occurrence.date)
+        }));
+        
+        if (confirmed) {
+            try {
+                this.eventManager.deleteOccurrence(occurrence.id, occurrence.recurrenceId);
+                this.closeModal();
+                this.showUndoableNotification(I18n.t('event.occurrenceDeleted'));
+            } catch (error) {
+                console.error('Failed to delete occurrence:', error);
+                this.showNotification(error.message, 'error');
+            }
+        }
+    },
+    
     // Enhanced validation for edit form
     validateEventEditForm(eventData) {
         this.clearAllEditFieldErrors();
@@ -2675,6 +9809,7 @@ const CalendarApp = {
             title: ['required', 'minLength:1', 'maxLength:100'],
             description: ['maxLength:500'],
             date: ['required', 'date'],
+            endDate: eventData.endDate ? ['date'] : [],
             startTime: eventData.startTime ? ['time'] : [],
             endTime: eventData.endTime ? ['time'] : [],
             category: ['required']
@@ -2691,18 +9826,24 @@ const CalendarApp = {
         // Display errors for edit form
         for (const [fieldName, result] of Object.entries(validation.fields)) {
             if (!result.isValid) {
-                this.showEditFieldError(fieldName === 'startTime' ? 'start-time' : 
-                                      fieldName === 'endTime' ? 'end-time' : fieldName, 
-                                      result.errors[0]);
+                this.showEditFieldError(this.getFieldErrorId(fieldName), result.errors[0]);
             }
         }
         
         // Additional custom validations
-        if (sanitizedData.startTime && sanitizedData.endTime) {
-            if (sanitizedData.startTime >= sanitizedData.endTime) {
-                this.showEditFieldError('end-time', 'End time must be after start time');
-                validation.isValid = false;
-            }
+        if (!this.validateEditTimeRange(sanitizedData.startTime, sanitizedData.endTime, sanitizedData.date, sanitizedData.endDate)) {
+            validation.isValid = false;
+        }
+        
+        const recurrenceErrors = RecurrenceRule.validate(RecurrenceRule.normalize(sanitizedData.recurrence), sanitizedData.date);
+        if (recurrenceErrors.length > 0) {
+            this.showEditFieldError('recurrence', recurrenceErrors[0]);
+            validation.isValid = false;
+        }
+        
+        if (sanitizedData.absenceType && !sanitizedData.person) {
+            this.showEditFieldError('person', I18n.t('validation.absencePerson'));
+            validation.isValid = false;
         }
         
         return validation.isValid;
@@ -2712,10 +9853,10 @@ const CalendarApp = {
         switch (fieldName) {
             case 'title':
                 if (!value || value.trim().length === 0) {
-                    this.showEditFieldError('title', 'Event title is required');
+                    this.showEditFieldError('title', I18n.t('validation.titleRequired'));
                     return false;
                 } else if (value.length > 100) {
-                    this.showEditFieldError('title', 'Title must be 100 characters or less');
+                    this.showEditFieldError('title', I18n.t('validation.titleLength'));
                     return false;
                 }
                 break;
@@ -2723,12 +9864,17 @@ const CalendarApp = {
         return true;
     },
     
-    validateEditTimeRange(startTime, endTime) {
-        if (startTime && endTime && startTime >= endTime) {
-            this.showEditFieldError('end-time', 'End time must be after start time');
+    validateEditTimeRange(startTime, endTime, date = '', endDate = '') {
+        const error = Event.getTimeRangeError(date, startTime, endDate, endTime);
+        const field = endDate && date && endDate < date ? 'end-date' : 'end-time';
+        
+        this.clearEditFieldError('end-date');
+        this.clearEditFieldError('end-time');
+        
+        if (error) {
+            this.showEditFieldError(field, error);
             return false;
         }
-        this.clearEditFieldError('end-time');
         return true;
     },
     
@@ -2778,17 +9924,15 @@ const CalendarApp = {
     handleError(error, context = '') {
         console.error(`Error in ${context}:`, error);
         
-        let userMessage = 'An unexpected error occurred. Please try again.';
+        let userMessage = I18n.t('error.unexpected');
         
         // Provide specific error messages based on error type
         if (error.name === 'QuotaExceededError') {
-            userMessage = 'Storage quota exceeded. Please clear some data or export your events.';
+            userMessage = I18n.t('error.quotaExceeded');
         } else if (error.name === 'NetworkError') {
-            userMessage = 'Network error. Please check your connection and try again.';
+            userMessage = I18n.t('error.network');
         } else if (error.name === 'ValidationError') {
             userMessage = error.message;
-        } else if (error.message && error.message.includes('validation')) {
-            userMessage = error.message;
         }
         
         this.showNotification(userMessage, 'error');
@@ -2974,7 +10118,7 @@ const CalendarApp = {
             // Re-render calendar
             this.renderCalendar();
             
-            this.showNotification('Application recovered successfully', 'success');
+            this.showNotification(I18n.t('app.recovered'), 'success');
         } catch (error) {
             this.handleError(error, 'Error Recovery');
         }